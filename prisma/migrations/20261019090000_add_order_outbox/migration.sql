@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "order_outbox" (
+    "id" SERIAL NOT NULL,
+    "tracking_id" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "contact_id" TEXT,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_at" TIMESTAMP(3),
+    "last_error" TEXT,
+    "result" TEXT,
+    "keycrm_order_id" INTEGER,
+    "keycrm_order_number" TEXT,
+    "submitted_at" TIMESTAMP(3),
+    "dead_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "order_outbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "order_outbox_tracking_id_key" ON "order_outbox"("tracking_id");
+
+-- CreateIndex
+CREATE INDEX "order_outbox_status_next_attempt_at_idx" ON "order_outbox"("status", "next_attempt_at");
+
+-- CreateIndex
+CREATE INDEX "order_outbox_contact_id_idx" ON "order_outbox"("contact_id");
+
+-- CreateIndex
+CREATE INDEX "order_outbox_created_at_idx" ON "order_outbox"("created_at");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "bot_orders" ADD COLUMN     "keycrm_order_id" INTEGER,
+ADD COLUMN     "keycrm_order_number" TEXT;
+
+-- CreateIndex
+CREATE INDEX "bot_orders_keycrm_order_id_idx" ON "bot_orders"("keycrm_order_id");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "product_snapshots" (
+    "id" SERIAL NOT NULL,
+    "keycrm_id" INTEGER NOT NULL,
+    "sku" TEXT,
+    "name" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "currency_code" TEXT NOT NULL DEFAULT 'CHF',
+    "quantity" DOUBLE PRECISION,
+    "category_id" INTEGER,
+    "is_archived" BOOLEAN NOT NULL DEFAULT false,
+    "chatbot_names" TEXT NOT NULL DEFAULT '{}',
+    "fetched_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_snapshots_keycrm_id_key" ON "product_snapshots"("keycrm_id");
+
+-- CreateIndex
+CREATE INDEX "product_snapshots_sku_idx" ON "product_snapshots"("sku");
+
+-- CreateIndex
+CREATE INDEX "product_snapshots_fetched_at_idx" ON "product_snapshots"("fetched_at");
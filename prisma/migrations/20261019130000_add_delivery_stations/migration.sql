@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "delivery_stations" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name_uk" TEXT NOT NULL,
+    "name_ru" TEXT NOT NULL,
+    "name_fr" TEXT NOT NULL,
+    "name_en" TEXT NOT NULL,
+    "aliases" TEXT NOT NULL DEFAULT '[]',
+    "canton" TEXT NOT NULL,
+    "ecommerce_station_id" INTEGER,
+    "schedule" TEXT NOT NULL DEFAULT '{}',
+    "is_pickup" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_stations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_stations_code_key" ON "delivery_stations"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_stations_ecommerce_station_id_key" ON "delivery_stations"("ecommerce_station_id");
+
+-- CreateIndex
+CREATE INDEX "delivery_stations_is_active_idx" ON "delivery_stations"("is_active");
+
+-- Seed the stations previously hardcoded in EnhancedCrmService and n8nHelper
+INSERT INTO "delivery_stations" ("code", "name_uk", "name_ru", "name_fr", "name_en", "aliases", "canton", "ecommerce_station_id", "schedule", "is_pickup", "sort_order", "updated_at") VALUES
+    ('nyon', 'Ньйон', 'Ньон', 'Nyon', 'Nyon', '["Retrait à Nyon", "Pickup - Nyon"]', 'VD', NULL, '{}', true, 0, CURRENT_TIMESTAMP),
+    ('rolle', 'Ролль', 'Ролль', 'Rolle', 'Rolle', '[]', 'VD', 12, '{"time": "10:15-10:30"}', false, 10, CURRENT_TIMESTAMP),
+    ('vevey', 'Веве', 'Веве', 'Vevey', 'Vevey', '[]', 'VD', 11, '{"time": "11:40"}', false, 20, CURRENT_TIMESTAMP),
+    ('montreux', 'Монтре', 'Монтрё', 'Montreux', 'Montreux', '[]', 'VD', 3, '{"time": "12:10"}', false, 30, CURRENT_TIMESTAMP),
+    ('lausanne', 'Лозанна', 'Лозанна', 'Lausanne', 'Lausanne', '[]', 'VD', 4, '{"time": "13:00"}', false, 40, CURRENT_TIMESTAMP),
+    ('morges', 'Морж', 'Морж', 'Morges', 'Morges', '[]', 'VD', 6, '{"time": "13:35"}', false, 50, CURRENT_TIMESTAMP),
+    ('geneva', 'Женева', 'Женева', 'Genève', 'Geneva', '["Geneve", "Genf"]', 'GE', 7, '{"time": "18:20-18:30"}', false, 60, CURRENT_TIMESTAMP),
+    ('aigle', 'Егль', 'Эгль', 'Aigle', 'Aigle', '[]', 'VD', 10, '{"note": "по телефону"}', false, 70, CURRENT_TIMESTAMP);
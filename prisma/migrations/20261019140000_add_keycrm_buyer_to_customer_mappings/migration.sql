@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "customer_mappings" ALTER COLUMN "sendpulse_id" DROP NOT NULL,
+ADD COLUMN     "keycrm_buyer_id" INTEGER,
+ADD COLUMN     "source" TEXT;
+
+-- CreateIndex
+CREATE INDEX "customer_mappings_keycrm_buyer_id_idx" ON "customer_mappings"("keycrm_buyer_id");
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "cart_abandonments" (
+    "id" SERIAL NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "telegram_id" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'ABANDONED',
+    "item_count" INTEGER NOT NULL,
+    "total_amount" DECIMAL(10,2) NOT NULL,
+    "items" TEXT NOT NULL DEFAULT '[]',
+    "last_activity_at" TIMESTAMP(3) NOT NULL,
+    "reminder_status" TEXT,
+    "reminded_at" TIMESTAMP(3),
+    "tracking_id" TEXT,
+    "resolved_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cart_abandonments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "cart_abandonments_contact_id_status_idx" ON "cart_abandonments"("contact_id", "status");
+
+-- CreateIndex
+CREATE INDEX "cart_abandonments_created_at_idx" ON "cart_abandonments"("created_at");
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "product_mappings" ADD COLUMN     "keycrm_unit" TEXT NOT NULL DEFAULT 'unit',
+ADD COLUMN     "max_quantity" INTEGER,
+ADD COLUMN     "min_quantity" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "quantity_step" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "unit_type" TEXT NOT NULL DEFAULT 'weight',
+ADD COLUMN     "unit_weight_kg" DECIMAL(10,3) DEFAULT 1;
+
+-- Units previously hardcoded in GET /api/bot/cart/:contact_id
+-- Sold by piece
+UPDATE "product_mappings" SET "unit_type" = 'piece', "unit_weight_kg" = NULL WHERE "ecommerce_id" IN (4, 11, 12, 30);
+-- Sold by half-kilo (cart quantity / 2 = kg)
+UPDATE "product_mappings" SET "unit_weight_kg" = 0.5 WHERE "ecommerce_id" IN (3, 6, 25);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "product_snapshots" ADD COLUMN     "available_quantity" DOUBLE PRECISION,
+ADD COLUMN     "stock_fetched_at" TIMESTAMP(3);
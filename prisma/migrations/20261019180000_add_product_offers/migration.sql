@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "product_mappings" ADD COLUMN     "keycrm_offer_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "product_snapshots" ADD COLUMN     "has_offers" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "offers" TEXT NOT NULL DEFAULT '[]';
+
+-- CreateIndex
+CREATE INDEX "product_mappings_keycrm_offer_id_idx" ON "product_mappings"("keycrm_offer_id");
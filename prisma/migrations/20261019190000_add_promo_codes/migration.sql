@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "promo_codes" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "discount_type" TEXT NOT NULL,
+    "discount_value" DECIMAL(10,2) NOT NULL,
+    "min_order_amount" DECIMAL(10,2),
+    "valid_from" TIMESTAMP(3),
+    "valid_until" TIMESTAMP(3),
+    "usage_limit_per_customer" INTEGER,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promo_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promo_redemptions" (
+    "id" SERIAL NOT NULL,
+    "promo_code_id" INTEGER NOT NULL,
+    "bot_order_id" TEXT NOT NULL,
+    "contact_id" TEXT,
+    "phone" TEXT,
+    "discount_amount" DECIMAL(10,2) NOT NULL,
+    "keycrm_order_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promo_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cart_promos" (
+    "id" SERIAL NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "promo_code_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cart_promos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_codes_code_key" ON "promo_codes"("code");
+
+-- CreateIndex
+CREATE INDEX "promo_redemptions_promo_code_id_phone_idx" ON "promo_redemptions"("promo_code_id", "phone");
+
+-- CreateIndex
+CREATE INDEX "promo_redemptions_promo_code_id_contact_id_idx" ON "promo_redemptions"("promo_code_id", "contact_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_redemptions_promo_code_id_bot_order_id_key" ON "promo_redemptions"("promo_code_id", "bot_order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cart_promos_contact_id_key" ON "cart_promos"("contact_id");
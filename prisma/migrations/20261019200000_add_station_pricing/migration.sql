@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "delivery_stations" ADD COLUMN     "pricing" TEXT NOT NULL DEFAULT '{}';
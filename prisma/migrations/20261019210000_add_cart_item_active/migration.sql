@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "bot_cart_items" ADD COLUMN     "is_active" BOOLEAN NOT NULL DEFAULT true;
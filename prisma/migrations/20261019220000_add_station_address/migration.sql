@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "delivery_stations" ADD COLUMN     "address" TEXT NOT NULL DEFAULT '{}';
+
+-- Address of the pickup point previously hardcoded in EnhancedCrmService
+UPDATE "delivery_stations"
+SET "address" = '{"city": "Nyon", "street": "chemin de Pré-Fleuri", "house": "5", "postalCode": "1260"}'
+WHERE "code" = 'nyon';
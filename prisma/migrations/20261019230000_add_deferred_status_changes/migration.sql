@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "deferred_status_changes" (
+    "id" SERIAL NOT NULL,
+    "keycrm_order_id" INTEGER NOT NULL,
+    "status_id" INTEGER NOT NULL,
+    "status_group_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "deferred_status_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "deferred_status_changes_keycrm_order_id_key" ON "deferred_status_changes"("keycrm_order_id");
+
+-- CreateIndex
+CREATE INDEX "deferred_status_changes_updated_at_idx" ON "deferred_status_changes"("updated_at");
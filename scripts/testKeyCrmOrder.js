@@ -1,11 +1,14 @@
 import 'dotenv/config';
 import { keyCrmOrderService } from '../src/services/keyCrmOrderService.js';
+import { getChannelAdapter } from '../src/adapters/index.js';
 
-const result = await keyCrmOrderService.createOrderFromBot({
-  source: 'whatsapp',   // или 'whatsapp' / 'instagram' /'telegram'
+const order = getChannelAdapter('whatsapp')({   // или 'whatsapp' / 'instagram' /'telegram'
+  source: 'whatsapp',
   products: [{ id: 3, quantity: 1 }],
   customerInfo: { firstName: 'Test', lastName: 'User', phone: '41712345698' },
   deliveryInfo: { city: 'Geneva', station: 'Cornavin', canton: 'GE' },
   notes: 'TEST ORDER - please delete'
 });
+
+const result = await keyCrmOrderService.createOrder(order);
 console.log('Result:', JSON.stringify(result, null, 2));
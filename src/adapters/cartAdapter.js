@@ -0,0 +1,38 @@
+// Cart checkout adapter — a bot order whose items come from the contact's cart
+//
+// The request body is the bot's usual order payload (without products); it is
+// run through the channel adapter with the cart lines, which also carry their
+// names and the (just re-priced) cart prices.
+import { validateOrder } from './orderSchema.js';
+import { generateBotOrderId } from './orderDefaults.js';
+
+/**
+ * @param {Object} body - bot order payload
+ * @param {Object} cart - re-priced cart (CartPricingService.repriceCart)
+ * @param {Function} channelAdapter - adapter of the bot channel (getChannelAdapter)
+ */
+export function adaptCartCheckout(body, cart, channelAdapter) {
+  const order = channelAdapter({
+    ...body,
+    botOrderId: body.botOrderId || generateBotOrderId('cart', body.contact_id),
+    products: cart.items.map(item => ({ id: item.productId, quantity: item.quantity })),
+    notes: body.notes || `Cart checkout - ${cart.totalItems} items`,
+    orderAttributes: {
+      ...body.orderAttributes,
+      cart_items: cart.totalItems,
+      cart_total: cart.totalAmount,
+      cart_weight: cart.totalWeight,
+      cart_products: cart.items.map(item => `${item.productName} x${item.quantity}`).join(', ')
+    }
+  });
+
+  return validateOrder({
+    ...order,
+    items: order.items.map((item, index) => ({
+      ...item,
+      name: cart.items[index].productName,
+      unitPrice: Number(cart.items[index].price)
+    })),
+    totals: { total: cart.totalAmount }
+  });
+}
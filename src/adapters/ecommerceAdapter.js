@@ -0,0 +1,61 @@
+// Ecommerce adapter — orders pushed by the ecommerce API to /api/sync/create-deal
+//
+// Payload: the ecommerce order ({ user | guestInfo, items: [{ productId,
+// product: { id, name }, quantity, price }], totalAmount, notesClient,
+// paymentMethod, deliveryType, deliveryDate, addressDelivery, stationDelivery,
+// pickupDelivery }).
+import { buildCustomer, buildPayment, normalizeLanguage } from './orderDefaults.js';
+import { validateOrder } from './orderSchema.js';
+
+// Ecommerce delivery type enum → canonical delivery type
+const DELIVERY_TYPES = {
+  RAILWAY_STATION: 'railway_station',
+  COURIER: 'address',
+  PICKUP: 'pickup',
+};
+
+export function adaptEcommerceOrder(orderData, orderId) {
+  const customer = orderData.user || orderData.guestInfo || {};
+
+  return validateOrder({
+    botOrderId: `ecom_${orderId}`,
+    source: 'ecommerce',
+    chatId: `order_${orderId}`,
+    externalId: String(orderId),
+    language: normalizeLanguage(orderData.language || customer.language),
+    customer: buildCustomer({
+      firstName: customer.firstName || null,
+      lastName: customer.lastName || null,
+      phone: customer.phone,
+      email: customer.email || null
+    }),
+    items: (orderData.items || []).map(item => ({
+      productId: item.productId || item.product?.id,
+      name: item.product?.name || `Product ${item.productId}`,
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.price)
+    })),
+    delivery: {
+      type: DELIVERY_TYPES[orderData.deliveryType] || null,
+      address: textOf(orderData.addressDelivery),
+      station: textOf(orderData.stationDelivery),
+      deliveryDate: orderData.deliveryDate ? String(orderData.deliveryDate).slice(0, 10) : null
+    },
+    payment: buildPayment(orderData.paymentMethod),
+    totals: { total: parseFloat(orderData.totalAmount) || 0 },
+    notes: orderData.notesClient || '',
+    attributes: {
+      deliveryType: orderData.deliveryType || null,
+      addressDelivery: orderData.addressDelivery ?? null,
+      stationDelivery: orderData.stationDelivery ?? null,
+      pickupDelivery: orderData.pickupDelivery ?? null
+    }
+  });
+}
+
+// Delivery places arrive either as text or as the related record
+function textOf(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return value.name || value.address || null;
+}
@@ -0,0 +1,67 @@
+// Hostinger email adapter — website orders parsed from notification emails by n8n
+//
+// Payload: { messageId, orderNumber, date, products: [{ name, sku, variant, qty,
+// unitPrice }], customer: { name, phone, email, address }, deliveryMethod (raw
+// French text), keyCrmDeliveryType (KeyCRM label), paymentMethod, promoCode,
+// subtotal, shipping, total }. Products are identified by KeyCRM SKU.
+import { buildCustomer, buildPayment } from './orderDefaults.js';
+import { validateOrder } from './orderSchema.js';
+import { normalizeDeliveryType } from '../config/delivery.js';
+import { toCanonicalValue } from '../config/keycrmFields.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export function adaptEmailOrder(body) {
+  const { messageId, orderNumber, products, customer = {} } = body;
+
+  if (!customer.phone) {
+    throw new AppError('Invalid order: customer phone is required', 400, 'INVALID_ORDER');
+  }
+
+  const [firstName, ...lastName] = (customer.name || '').trim().split(/\s+/);
+
+  return validateOrder({
+    // The email's message ID doubles as the deduplication key
+    botOrderId: messageId || `email_${orderNumber}_${Date.now()}`,
+    source: 'hostinger_email',
+    chatId: 'email',
+    externalId: orderNumber ? String(orderNumber) : null,
+    // The Hostinger shop is French-only
+    language: 'fr',
+    customer: buildCustomer({
+      firstName: firstName || null,
+      lastName: lastName.join(' ') || null,
+      phone: customer.phone,
+      email: customer.email || null
+    }, customer.name),
+    items: (products || []).map(product => ({
+      sku: product.sku,
+      name: product.name,
+      quantity: Number(product.qty) || 1,
+      unitPrice: product.unitPrice ?? null,
+      notes: product.variant || null
+    })),
+    delivery: {
+      type: toCanonicalValue('order', 'deliveryType', body.keyCrmDeliveryType) ||
+        normalizeDeliveryType(body.deliveryMethod),
+      method: body.deliveryMethod || null,
+      address: customer.address || null
+    },
+    payment: buildPayment(body.paymentMethod),
+    totals: pickTotals(body),
+    notes: orderNumber ? `Commande Hostinger #${orderNumber}` : '',
+    promoCode: body.promoCode || null,
+    attributes: {
+      messageId: messageId || null,
+      orderDate: body.date || null
+    }
+  });
+}
+
+function pickTotals({ subtotal, shipping, total }) {
+  return Object.fromEntries(
+    Object.entries({ subtotal, shipping, total })
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => [key, Number(value)])
+      .filter(([, value]) => Number.isFinite(value))
+  );
+}
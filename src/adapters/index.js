@@ -0,0 +1,43 @@
+// Order adapters — turn each source's payload into the canonical order
+// (see orderSchema.js) consumed by the outbox, KeyCrmOrderService.createOrder
+// and bot_orders storage.
+import { adaptTelegramOrder } from './telegramAdapter.js';
+import { adaptWhatsappOrder } from './whatsappAdapter.js';
+import { adaptInstagramOrder } from './instagramAdapter.js';
+import { ORDER_SCHEMA_VERSION, validateOrder } from './orderSchema.js';
+
+const ADAPTERS = {
+  telegram: adaptTelegramOrder,
+  whatsapp: adaptWhatsappOrder,
+  instagram: adaptInstagramOrder,
+};
+
+export const SUPPORTED_CHANNELS = Object.keys(ADAPTERS);
+
+/**
+ * Get the adapter for a bot channel, or null when the channel is unsupported.
+ * @param {string} source - 'telegram' | 'whatsapp' | 'instagram'
+ */
+export function getChannelAdapter(source) {
+  return ADAPTERS[source?.toLowerCase()] || null;
+}
+
+/**
+ * Canonical order from a stored outbox payload. Entries queued before the
+ * canonical model hold the bot adapter output of that time, which the
+ * channel adapters still accept.
+ */
+export function fromOutboxPayload(payload) {
+  if (payload.version === ORDER_SCHEMA_VERSION) {
+    return validateOrder(payload);
+  }
+
+  const adapter = getChannelAdapter(payload.source) || adaptTelegramOrder;
+  return adapter(payload);
+}
+
+export { adaptCartCheckout } from './cartAdapter.js';
+export { adaptEmailOrder } from './emailAdapter.js';
+export { adaptEcommerceOrder } from './ecommerceAdapter.js';
+export { validateOrder, ORDER_SOURCES } from './orderSchema.js';
+export { normalizeItems } from './orderDefaults.js';
@@ -0,0 +1,26 @@
+// Instagram order adapter — SendPulse Instagram bot payloads
+//
+// Instagram contacts have no phone number; the bot must collect it and send
+// it as `customerInfo.phone` (or `phone`) for KeyCRM to match the buyer.
+import { commonOrderFields, buildCustomer } from './orderDefaults.js';
+import { validateOrder } from './orderSchema.js';
+
+export function adaptInstagramOrder(body) {
+  const customerInfo = body.customerInfo || {};
+  const username = customerInfo.username || body.username || null;
+  const [firstName, ...lastName] = (customerInfo.firstName || body.name || '').trim().split(/\s+/);
+
+  return validateOrder({
+    ...commonOrderFields(body, 'ig'),
+    source: 'instagram',
+    chatId: String(body.contact_id || 'unknown'),
+    customer: buildCustomer({
+      firstName: firstName || username || 'InstagramUser',
+      lastName: customerInfo.lastName || lastName.join(' ') || 'Unknown',
+      phone: customerInfo.phone || body.phone,
+      email: customerInfo.email,
+      username
+    }, body.orderAttributes?.fullname),
+    notes: body.notes || `Instagram order from ${username ? `@${username}` : body.contact_id}`
+  });
+}
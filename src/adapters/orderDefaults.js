@@ -0,0 +1,118 @@
+// Shared helpers for channel order adapters
+import crypto from 'crypto';
+import { normalizeDeliveryType } from '../config/delivery.js';
+import { normalizePaymentMethod, DEFAULT_PAYMENT_METHOD } from '../config/payments.js';
+import { ORDER_LANGUAGES } from './orderSchema.js';
+import { normalizePhone } from '../utils/phone.js';
+
+/**
+ * Convert bot product items to canonical { productId, quantity, notes } items
+ * with numeric IDs and quantities. SendPulse sends bot variables as strings,
+ * so both forms are accepted.
+ * Throws 'Invalid product ID' / 'Invalid quantity' errors on bad input.
+ */
+export function normalizeItems(products = []) {
+  return products.map(product => {
+    const productId = toPositiveNumber(product.id);
+    if (productId === null) {
+      throw new Error(`Invalid product ID: ${product.id}. Must be a positive integer.`);
+    }
+
+    const quantity = toPositiveNumber(product.quantity);
+    if (quantity === null) {
+      throw new Error(`Invalid quantity: ${product.quantity}. Must be a positive integer.`);
+    }
+
+    return {
+      productId,
+      quantity,
+      notes: product.notes || null
+    };
+  });
+}
+
+/**
+ * Order ID for a bot order that came without one. The contact (or a random
+ * suffix without one) keeps orders placed in the same millisecond apart.
+ */
+export function generateBotOrderId(idPrefix, contactId) {
+  return `${idPrefix}_${Date.now()}_${contactId || crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Fields every bot channel fills the same way: order ID, language, items,
+ * delivery, payment, promo code and the SendPulse bot variables
+ * (orderAttributes) kept as `attributes`. `idPrefix` marks generated order IDs
+ * with their channel.
+ */
+export function commonOrderFields(body, idPrefix) {
+  const language = normalizeLanguage(body.language || body.orderAttributes?.language);
+
+  return {
+    botOrderId: body.botOrderId || generateBotOrderId(idPrefix, body.contact_id),
+    contactId: body.contact_id ? String(body.contact_id) : null,
+    language,
+    items: Array.isArray(body.products) ? normalizeItems(body.products) : [],
+    // Station, canton and pickup default are filled in from the station registry
+    // (DeliveryStationService.resolveDeliveryInfo) before the order is queued
+    delivery: normalizeDelivery(body.deliveryInfo),
+    payment: buildPayment(body.paymentMethod, DEFAULT_PAYMENT_METHOD),
+    promoCode: body.promoCode || body.orderAttributes?.promo_code || null,
+    attributes: {
+      ...body.orderAttributes,
+      language
+    }
+  };
+}
+
+/**
+ * Canonical payment block: the method as one of PAYMENT_METHODS (`fallback`
+ * when the source doesn't say, null when we don't know its wording) and that
+ * wording as `label` when it differs from the method key.
+ */
+export function buildPayment(method, fallback = null) {
+  const normalized = normalizePaymentMethod(method);
+
+  return {
+    method: normalized || (method ? null : fallback),
+    ...(method && method !== normalized && { label: String(method).trim() }),
+  };
+}
+
+/**
+ * Canonical customer block; `fullName` prefers the bot's `fullname` variable.
+ * Phones are stored in E.164 (numbers that can't be parsed are kept as sent).
+ */
+export function buildCustomer({ firstName = null, lastName = null, phone = null, email = null, username = null }, fullName = null) {
+  return {
+    firstName,
+    lastName,
+    fullName: fullName || [firstName, lastName].filter(Boolean).join(' ') || null,
+    phone: normalizePhone(phone) || (phone ? String(phone) : null),
+    email,
+    username
+  };
+}
+
+export function normalizeDelivery(deliveryInfo) {
+  return {
+    ...deliveryInfo,
+    type: normalizeDeliveryType(deliveryInfo?.type)
+  };
+}
+
+// Bots send 'ua' / 'UA' as well as ISO codes; anything unknown falls back to Ukrainian
+export function normalizeLanguage(language) {
+  const code = typeof language === 'string' ? language.trim().toLowerCase() : '';
+  if (code === 'ua') return 'uk';
+  return ORDER_LANGUAGES.includes(code) ? code : 'uk';
+}
+
+function toPositiveNumber(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+
+  const number = typeof value === 'string' ? parseInt(value, 10) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
@@ -0,0 +1,113 @@
+// Canonical order model — the single shape every order channel is converted to
+//
+// Channel adapters (telegram, whatsapp, instagram, cart checkout, Hostinger
+// email, ecommerce) turn their source payload into this shape; everything
+// downstream (outbox, KeyCRM mapper, bot_orders storage) reads only this.
+// Adding a channel means writing one adapter that returns validateOrder(...).
+import Joi from 'joi';
+import { DELIVERY_TYPES } from '../config/delivery.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Bumped when the shape changes; outbox entries without it predate the model
+export const ORDER_SCHEMA_VERSION = 1;
+
+export const ORDER_SOURCES = ['telegram', 'whatsapp', 'instagram', 'hostinger_email', 'ecommerce'];
+
+export const ORDER_LANGUAGES = ['uk', 'ru', 'fr', 'en'];
+
+const optionalString = Joi.string().allow('', null).default(null);
+
+const itemSchema = Joi.object({
+  // Ecommerce product ID (bots, ecommerce) or KeyCRM SKU (website) — at least one
+  productId: Joi.number().integer().positive().allow(null).default(null),
+  sku: optionalString,
+  name: optionalString,
+  quantity: Joi.number().integer().positive().required(),
+  // Price quoted by the source; KeyCRM prices are authoritative
+  unitPrice: Joi.number().min(0).allow(null).default(null),
+  notes: optionalString,
+}).or('productId', 'sku');
+
+const deliverySchema = Joi.object({
+  type: Joi.string().valid(...DELIVERY_TYPES).allow(null).default(null),
+  // Delivery method as written by the source (e.g. Hostinger's French label)
+  method: optionalString,
+  city: optionalString,
+  station: optionalString,
+  canton: optionalString,
+  address: optionalString,
+  // Filled in from the station registry and the delivery schedule
+  stationId: Joi.number().integer().allow(null),
+  ecommerceStationId: Joi.number().integer().allow(null),
+  deliveryDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null),
+  deliveryTimeSlot: optionalString,
+}).default({});
+
+export const orderSchema = Joi.object({
+  version: Joi.number().integer().valid(ORDER_SCHEMA_VERSION).default(ORDER_SCHEMA_VERSION),
+  botOrderId: Joi.string().max(191).required(),
+  source: Joi.string().valid(...ORDER_SOURCES).required(),
+  // SendPulse contact for bot channels, null otherwise
+  contactId: optionalString,
+  chatId: Joi.string().required(),
+  // Order ID in the source system (Hostinger order number, ecommerce order ID)
+  externalId: optionalString,
+  language: Joi.string().valid(...ORDER_LANGUAGES).default('uk'),
+
+  customer: Joi.object({
+    firstName: optionalString,
+    lastName: optionalString,
+    fullName: optionalString,
+    phone: optionalString,
+    email: optionalString,
+    username: optionalString,
+  }).required(),
+
+  items: Joi.array().items(itemSchema).min(1).required(),
+  delivery: deliverySchema,
+
+  payment: Joi.object({
+    // One of PAYMENT_METHODS (src/config/payments.js); null when the source
+    // doesn't say or says it in a way we don't know
+    method: Joi.string().allow('', null).default('CASH'),
+    // The source's own wording, when it isn't the method key
+    label: optionalString,
+  }).default({ method: 'CASH' }),
+
+  totals: Joi.object({
+    subtotal: Joi.number().min(0),
+    shipping: Joi.number().min(0),
+    total: Joi.number().min(0),
+  }).default({}),
+
+  notes: Joi.string().allow('').default(''),
+  // Promo code entered by the customer; checked and applied by the KeyCRM mapper
+  promoCode: optionalString,
+  // Source-specific extras kept as-is (SendPulse bot variables, email metadata)
+  attributes: Joi.object().unknown(true).default({}),
+});
+
+/**
+ * Validate and normalize a canonical order (defaults applied, unknown keys dropped).
+ * Throws AppError 400 INVALID_ORDER with `details` [{ field, message }].
+ */
+export function validateOrder(order) {
+  const { error, value } = orderSchema.validate(order, {
+    abortEarly: false,
+    stripUnknown: { objects: true },
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    throw Object.assign(
+      new AppError(`Invalid order: ${details.map(detail => detail.message).join('; ')}`, 400, 'INVALID_ORDER'),
+      { details }
+    );
+  }
+
+  return value;
+}
@@ -0,0 +1,22 @@
+// Telegram order adapter — SendPulse Telegram bot / Telegraf bot payloads
+import { commonOrderFields, buildCustomer } from './orderDefaults.js';
+import { validateOrder } from './orderSchema.js';
+
+export function adaptTelegramOrder(body) {
+  const customerInfo = body.customerInfo || {};
+  const telegramId = body.telegram_id || body.chatId;
+
+  return validateOrder({
+    ...commonOrderFields(body, 'tg'),
+    source: 'telegram',
+    chatId: String(body.chatId || body.telegram_id || 'unknown'),
+    customer: buildCustomer({
+      firstName: customerInfo.firstName || 'TelegramUser',
+      lastName: customerInfo.lastName || customerInfo.username || 'Unknown',
+      phone: customerInfo.phone,
+      email: customerInfo.email,
+      username: customerInfo.username
+    }, body.orderAttributes?.fullname),
+    notes: body.notes || `Telegram order from ${customerInfo.username || telegramId}`
+  });
+}
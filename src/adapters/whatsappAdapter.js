@@ -0,0 +1,25 @@
+// WhatsApp order adapter — SendPulse WhatsApp bot payloads
+//
+// WhatsApp contacts are identified by phone number, which SendPulse exposes
+// as the contact's `phone` field; the bot's own `customerInfo.phone` wins if set.
+import { commonOrderFields, buildCustomer } from './orderDefaults.js';
+import { validateOrder } from './orderSchema.js';
+
+export function adaptWhatsappOrder(body) {
+  const customerInfo = body.customerInfo || {};
+  const phone = customerInfo.phone || body.phone || null;
+  const [firstName, ...lastName] = (customerInfo.firstName || body.name || '').trim().split(/\s+/);
+
+  return validateOrder({
+    ...commonOrderFields(body, 'wa'),
+    source: 'whatsapp',
+    chatId: String(phone || body.contact_id || 'unknown'),
+    customer: buildCustomer({
+      firstName: firstName || 'WhatsAppUser',
+      lastName: customerInfo.lastName || lastName.join(' ') || 'Unknown',
+      phone,
+      email: customerInfo.email
+    }, body.orderAttributes?.fullname),
+    notes: body.notes || `WhatsApp order from ${phone || body.contact_id}`
+  });
+}
@@ -12,12 +12,19 @@ import syncRoutes from './routes/syncRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
 import productRoutes from './routes/productRoutes.js';
 import emailOrderRoutes from './routes/emailOrderRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { authMiddleware } from './middleware/auth.js';
 import logger from './utils/logger.js';
 
+// Import background jobs
+import { startScheduledJobs, stopScheduledJobs } from './jobs/index.js';
+
+import { keyCrmOrderService } from './services/keyCrmOrderService.js';
+import { getFieldMapping } from './config/keycrmFields.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -57,7 +64,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Logging
+// Logging — KeyCRM webhook URLs carry the webhook secret, kept out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url)
+  .replace(/(\/webhook\/keycrm\/)[^/?]+|([?&]secret=)[^&]+/g, '$1$2***'));
 app.use(morgan('combined', {
   stream: {
     write: (message) => logger.info(message.trim())
@@ -95,6 +104,7 @@ app.use('/api/sync', authMiddleware, syncRoutes);
 app.use('/api/webhook', webhookRoutes);
 app.use('/api', productRoutes);
 app.use('/api/orders', emailOrderRoutes);
+app.use('/api/admin', authMiddleware, adminRoutes);
 
 
 // Root endpoint
@@ -105,16 +115,44 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       bot: '/api/bot',
-      sync: '/api/sync'
+      sync: '/api/sync',
+      admin: '/api/admin'
     },
     availableEndpoints: {
-      'POST /api/bot/telegram-order': 'Create telegram order',
+      'POST /api/bot/telegram-order': 'Queue telegram order (202 + trackingId)',
+      'POST /api/bot/orders': 'Queue telegram/whatsapp/instagram order (202 + trackingId)',
+      'GET /api/bot/order-tracking/:trackingId': 'Get queued order submission status',
+      'GET /api/bot/delivery-options?station=Vevey': 'Next delivery dates and time slots',
+      'GET /api/bot/customers/:contactId': 'Returning customer profile with recent orders',
+      'POST /api/bot/cart/:contactId/reorder/:botOrderId': 'Copy a previous order into the cart',
+      'POST /api/bot/cart/:contactId/promo': 'Apply a promo code to the cart',
+      'DELETE /api/bot/cart/:contactId/promo': 'Remove the promo code from the cart',
       'GET /api/bot/telegram-health': 'Service health check',
+      'GET /api/products?lang=fr': 'Product catalog with categories (paginated)',
+      'GET /api/products/:ecommerceId': 'Single product with KeyCRM price',
       'POST /api/bot/test-product-conversion': 'Test product ID conversion',
       'POST /api/sync/update-deal-status': 'Update deal status in SendPulse (requires auth)',
       'POST /api/sync/create-deal': 'Create new deal from order (requires auth)',
       'GET /api/sync/status/:orderId': 'Get order sync status (requires auth)',
+      'GET /api/sync/outbox': 'List dead-lettered orders (requires auth)',
+      'POST /api/sync/outbox/:trackingId/replay': 'Replay dead-lettered order (requires auth)',
       'GET /api/sync/health': 'Sync service health check',
+      'POST /api/webhook/keycrm': 'KeyCRM order status webhook',
+      'GET /api/admin/product-mappings': 'List / search product mappings (requires admin)',
+      'POST /api/admin/product-mappings': 'Create product mapping (requires admin)',
+      'PATCH /api/admin/product-mappings/:id': 'Update product mapping (requires admin)',
+      'DELETE /api/admin/product-mappings/:id': 'Archive product mapping (requires admin)',
+      'POST /api/admin/product-mappings/import': 'Bulk create / update mappings from CSV (requires admin)',
+      'GET /api/admin/delivery-stations': 'List delivery stations (requires admin)',
+      'GET /api/admin/delivery-stations/resolve?q=': 'Test station name resolution (requires admin)',
+      'POST /api/admin/delivery-stations': 'Create delivery station (requires admin)',
+      'PATCH /api/admin/delivery-stations/:id': 'Update delivery station (requires admin)',
+      'DELETE /api/admin/delivery-stations/:id': 'Deactivate delivery station (requires admin)',
+      'GET /api/admin/abandoned-carts/stats?days=30': 'Abandoned cart statistics (requires admin)',
+      'GET /api/admin/promo-codes': 'List promo codes with redemption counts (requires admin)',
+      'POST /api/admin/promo-codes': 'Create promo code (requires admin)',
+      'PATCH /api/admin/promo-codes/:id': 'Update promo code (requires admin)',
+      'DELETE /api/admin/promo-codes/:id': 'Deactivate promo code (requires admin)',
       'GET /health': 'Basic health check'
     },
     documentation: {
@@ -134,12 +172,26 @@ app.listen(PORT, () => {
   logger.info(`Ecommerce API URL: ${process.env.ECOMMERCE_API_URL || 'NOT_CONFIGURED'}`);
   logger.info(`Available endpoints:`);
   logger.info(`- POST /api/bot/telegram-order`);
+  logger.info(`- POST /api/bot/orders`);
+  logger.info(`- GET /api/bot/order-tracking/:trackingId`);
+  logger.info(`- GET /api/bot/delivery-options`);
+  logger.info(`- GET /api/bot/customers/:contactId`);
+  logger.info(`- POST /api/bot/cart/:contactId/reorder/:botOrderId`);
+  logger.info(`- POST|DELETE /api/bot/cart/:contactId/promo`);
   logger.info(`- GET /api/bot/telegram-health`);
+  logger.info(`- GET /api/products`);
   logger.info(`- POST /api/bot/test-product-conversion`);
   logger.info(`- POST /api/sync/update-deal-status (requires auth)`);
   logger.info(`- POST /api/sync/create-deal (requires auth)`);
   logger.info(`- GET /api/sync/status/:orderId (requires auth)`);
+  logger.info(`- GET /api/sync/outbox (requires auth)`);
+  logger.info(`- POST /api/sync/outbox/:trackingId/replay (requires auth)`);
   logger.info(`- GET /api/sync/health`);
+  logger.info(`- POST /api/webhook/keycrm`);
+  logger.info(`- /api/admin/product-mappings (requires admin)`);
+  logger.info(`- /api/admin/delivery-stations (requires admin)`);
+  logger.info(`- /api/admin/abandoned-carts/stats (requires admin)`);
+  logger.info(`- /api/admin/promo-codes (requires admin)`);
   logger.info(`- GET /health`);
 
   // Log configuration warnings
@@ -149,14 +201,56 @@ app.listen(PORT, () => {
   if (!process.env.ECOMMERCE_API_URL) {
     logger.warn('⚠️  Ecommerce API URL not configured!');
   }
+  if (!process.env.KEYCRM_WEBHOOK_SECRET) {
+    logger.warn('⚠️  KEYCRM_WEBHOOK_SECRET not configured, KeyCRM webhook requests will be refused!');
+  }
   if (!process.env.CRM_API_KEY && !process.env.ECOMMERCE_API_TOKEN) {
     logger.warn('⚠️  No authentication tokens configured for sync endpoints!');
   }
+
+  verifyKeycrmCustomFields();
+  startScheduledJobs();
 });
 
+// Check the KeyCRM custom field mapping against KeyCRM.
+// KEYCRM_FIELD_VALIDATION: strict (default, exit on mismatch) | warn | off
+const verifyKeycrmCustomFields = async () => {
+  const mode = process.env.KEYCRM_FIELD_VALIDATION || 'strict';
+  if (mode === 'off') return;
+
+  const fail = (message, meta) => {
+    logger.error(`❌ ${message}`, meta);
+    if (mode === 'strict') {
+      logger.error('Stopping: fix the KeyCRM field mapping or set KEYCRM_FIELD_VALIDATION=warn');
+      process.exit(1);
+    }
+  };
+
+  try {
+    getFieldMapping();
+  } catch (error) {
+    return fail('Invalid KeyCRM field mapping', { error: error.message });
+  }
+
+  let result;
+  try {
+    result = await keyCrmOrderService.verifyCustomFields();
+  } catch (error) {
+    logger.warn('⚠️  Could not verify KeyCRM custom fields', { error: error.message });
+    return;
+  }
+
+  if (!result.verified) {
+    return fail('KeyCRM custom fields do not match the field mapping', { problems: result.problems });
+  }
+
+  logger.info('KeyCRM custom field mapping verified');
+};
+
 // Graceful shutdown
 const shutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
+  stopScheduledJobs();
   process.exit(0);
 };
 
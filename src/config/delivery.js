@@ -0,0 +1,102 @@
+// Delivery types, schedule defaults and holidays
+//
+// Bots send the delivery type as a key or as the label shown in their
+// language; normalizeDeliveryType() reduces both to one of DELIVERY_TYPES.
+//
+// Each delivery station carries its own schedule in `delivery_stations.schedule`
+// (JSON); missing keys fall back to the defaults for the delivery type below:
+//
+//   {
+//     "days": [2, 5],                               // ISO weekdays, 1 = Monday
+//     "time": "11:40",                              // slot shown to the customer
+//     "cutoff": { "daysBefore": 1, "time": "18:00" } // last order moment, local time
+//   }
+//
+// Extra closed days can be added via env, comma separated:
+//
+//   DELIVERY_HOLIDAYS=2026-12-31,2027-01-02
+//   DELIVERY_TIMEZONE=Europe/Zurich
+
+export const DELIVERY_TYPES = ['pickup', 'railway_station', 'address'];
+
+// Bot labels (uk / ru / fr) per delivery type, compared case-insensitively
+const DELIVERY_TYPE_LABELS = {
+  address: ['Адресна', 'Адресная', 'À domicile'],
+  railway_station: ['ЖД вокзали', 'ЖД вокзалы', 'Gares'],
+  pickup: ['Самовивіз', 'Самовывоз', 'Retrait à Nyon'],
+};
+
+const TYPE_BY_LABEL = new Map(
+  Object.entries(DELIVERY_TYPE_LABELS).flatMap(([type, labels]) =>
+    [type, ...labels].map((label) => [label.toLowerCase(), type])
+  )
+);
+
+/**
+ * Reduce a bot delivery type (key or localized label) to one of DELIVERY_TYPES.
+ * @param {string} type
+ * @returns {string|null} null when the type is missing or unknown
+ */
+export function normalizeDeliveryType(type) {
+  if (!type || typeof type !== 'string') return null;
+  return TYPE_BY_LABEL.get(type.trim().toLowerCase()) || null;
+}
+
+export const DEFAULT_SCHEDULES = {
+  pickup: { days: [1, 2, 3, 4, 5, 6], time: '8:00-12:00', cutoff: { daysBefore: 1, time: '20:00' } },
+  railway_station: { days: [1, 2, 3, 4, 5, 6], time: '8:00-12:00', cutoff: { daysBefore: 1, time: '18:00' } },
+  address: { days: [1, 2, 3, 4, 5], time: '8:00-12:00', cutoff: { daysBefore: 1, time: '18:00' } },
+};
+
+// Fixed-date Swiss public holidays (MM-DD)
+const FIXED_HOLIDAYS = ['01-01', '08-01', '12-25'];
+
+// Easter-based holidays, in days from Easter Sunday:
+// Good Friday, Easter Monday, Ascension, Whit Monday
+const EASTER_OFFSETS = [-2, 1, 39, 50];
+
+export function getDeliveryTimezone() {
+  return process.env.DELIVERY_TIMEZONE || 'Europe/Zurich';
+}
+
+/**
+ * Closed days for a year as a Set of 'YYYY-MM-DD' strings.
+ * @param {number} year
+ * @returns {Set<string>}
+ */
+export function getHolidays(year) {
+  const holidays = new Set(FIXED_HOLIDAYS.map((day) => `${year}-${day}`));
+
+  const easter = easterSunday(year);
+  for (const offset of EASTER_OFFSETS) {
+    const date = new Date(easter);
+    date.setUTCDate(date.getUTCDate() + offset);
+    holidays.add(date.toISOString().slice(0, 10));
+  }
+
+  for (const day of (process.env.DELIVERY_HOLIDAYS || '').split(',')) {
+    if (day.trim().startsWith(`${year}-`)) holidays.add(day.trim());
+  }
+
+  return holidays;
+}
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
@@ -0,0 +1,81 @@
+// Delivery pricing — fee, free-delivery threshold and minimum order per zone
+//
+// A zone's rules, amounts in CHF on the goods after any promo discount:
+//
+//   {
+//     "fee": 8,          // charged for the delivery
+//     "freeFrom": 120,   // no fee from this amount on (null = never free)
+//     "minOrder": 40     // orders below this are refused (0 = no minimum)
+//   }
+//
+// Rules are looked up from the most specific zone down, missing keys falling
+// through: the station's own `delivery_stations.pricing` (JSON), then the
+// canton for the delivery type, then the delivery type defaults. Those are
+// free with no minimum; the real type and canton rules come from env, e.g.
+//
+//   DELIVERY_PRICING='{"railway_station":{"fee":5,"freeFrom":80,"minOrder":30},
+//                      "address":{"fee":10,"freeFrom":150,"minOrder":50},
+//                      "cantons":{"GE":{"address":{"fee":15}}}}'
+import { DELIVERY_TYPES } from './delivery.js';
+
+export const PRICING_FIELDS = ['fee', 'freeFrom', 'minOrder'];
+
+// No fee and no minimum until the business configures its zones
+const FREE_ZONE = { fee: 0, freeFrom: null, minOrder: 0 };
+
+export const DEFAULT_PRICING = Object.fromEntries(DELIVERY_TYPES.map((type) => [type, { ...FREE_ZONE }]));
+
+let envPricing = null;
+
+/**
+ * Type and canton rules from DELIVERY_PRICING over the defaults:
+ * { pickup, railway_station, address, cantons: { VD: { address: {...} } } }.
+ * Throws when the variable is not a JSON object.
+ */
+export function getPricingConfig() {
+  if (envPricing === null) {
+    const raw = process.env.DELIVERY_PRICING;
+    let overrides = {};
+
+    if (raw) {
+      try {
+        overrides = JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`Invalid DELIVERY_PRICING JSON: ${error.message}`);
+      }
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('DELIVERY_PRICING must be a JSON object { deliveryType: rules, cantons: {...} }');
+      }
+    }
+
+    envPricing = {
+      ...Object.fromEntries(DELIVERY_TYPES.map((type) => [type, { ...DEFAULT_PRICING[type], ...overrides[type] }])),
+      cantons: overrides.cantons || {},
+    };
+  }
+  return envPricing;
+}
+
+/**
+ * Pricing rules of a zone: the type defaults overlaid with the canton's rules
+ * for that type and the station's own.
+ * @param {string} type - one of DELIVERY_TYPES
+ * @param {Object} [zone] - { canton, stationPricing }
+ * @returns {{ fee: number, freeFrom: number|null, minOrder: number }}
+ */
+export function getZonePricing(type, { canton = null, stationPricing = null } = {}) {
+  const config = getPricingConfig();
+  const rules = { ...(config[type] || config.pickup) };
+
+  for (const layer of [canton && config.cantons[canton]?.[type], stationPricing]) {
+    for (const field of PRICING_FIELDS) {
+      if (layer && layer[field] !== undefined) rules[field] = layer[field];
+    }
+  }
+
+  return {
+    fee: Number(rules.fee) || 0,
+    freeFrom: rules.freeFrom != null ? Number(rules.freeFrom) : null,
+    minOrder: Number(rules.minOrder) || 0,
+  };
+}
@@ -0,0 +1,176 @@
+// KeyCRM custom field mapping — canonical order attributes → KeyCRM custom fields
+//
+// Custom field UUIDs and select values are configured per KeyCRM account, so
+// orders are built from this table instead of literal UUIDs. `values` maps our
+// canonical value to the KeyCRM select option; a value that already is a KeyCRM
+// option passes through unchanged. Per-attribute overrides via env as JSON:
+//
+//   KEYCRM_FIELD_MAPPING='{"order":{"language":{"uuid":"OR_2001"}}}'
+//
+// The table is checked against KeyCRM's custom field list at startup
+// (KeyCrmOrderService.verifyCustomFields), so a renamed or deleted field stops
+// the service instead of silently dropping data.
+import logger from '../utils/logger.js';
+
+// KeyCRM `model` of the custom fields for each mapping section
+export const KEYCRM_FIELD_MODELS = {
+  order: 'order',
+  buyer: 'client',
+};
+
+const LANGUAGE_VALUES = {
+  uk: 'UA',
+  ru: 'ru',
+  fr: 'FR',
+  en: 'ENG',
+};
+
+const DELIVERY_TYPE_VALUES = {
+  address: 'Адресна',
+  railway_station: 'Кур\'єр',
+  pickup: 'Самовивіз',
+};
+
+const DEFAULT_FIELD_MAPPING = {
+  order: {
+    language: { uuid: 'OR_1078', label: 'Мова спілкування', values: LANGUAGE_VALUES, fallback: 'UA' },
+    deliveryType: { uuid: 'OR_1049', label: 'Тип доставки', values: DELIVERY_TYPE_VALUES },
+    deliveryAddress: { uuid: 'OR_1077', label: 'Адреса доставки' },
+  },
+  buyer: {
+    language: { uuid: 'CT_1011', label: 'Мова спілкування', values: LANGUAGE_VALUES, fallback: 'UA' },
+    deliveryType: { uuid: 'CT_1048', label: 'Тип доставки', values: DELIVERY_TYPE_VALUES },
+  },
+};
+
+function loadFieldMapping() {
+  const mapping = structuredClone(DEFAULT_FIELD_MAPPING);
+  const raw = process.env.KEYCRM_FIELD_MAPPING;
+
+  if (raw) {
+    let overrides;
+    try {
+      overrides = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid KEYCRM_FIELD_MAPPING JSON: ${error.message}`);
+    }
+
+    for (const [model, attributes] of Object.entries(overrides)) {
+      if (!KEYCRM_FIELD_MODELS[model]) {
+        throw new Error(`KEYCRM_FIELD_MAPPING: unknown section "${model}" (expected ${Object.keys(KEYCRM_FIELD_MODELS).join(', ')})`);
+      }
+      for (const [attribute, field] of Object.entries(attributes)) {
+        mapping[model][attribute] = { ...mapping[model][attribute], ...field };
+      }
+    }
+  }
+
+  for (const [model, attributes] of Object.entries(mapping)) {
+    for (const [attribute, field] of Object.entries(attributes)) {
+      if (typeof field.uuid !== 'string' || !field.uuid) {
+        throw new Error(`KeyCRM field mapping ${model}.${attribute} has no uuid`);
+      }
+      if (field.values && Object.values(field.values).some((value) => typeof value !== 'string')) {
+        throw new Error(`KeyCRM field mapping ${model}.${attribute} values must be strings`);
+      }
+    }
+  }
+
+  return mapping;
+}
+
+// Read lazily so dotenv has loaded before the first lookup
+let fieldMapping = null;
+
+/**
+ * The effective mapping (defaults + KEYCRM_FIELD_MAPPING).
+ * Throws when the override is malformed.
+ */
+export function getFieldMapping() {
+  fieldMapping ??= loadFieldMapping();
+  return fieldMapping;
+}
+
+/**
+ * Build a KeyCRM `custom_fields` array from canonical attributes.
+ * Attributes that are undefined or not in the mapping are skipped.
+ * @param {'order'|'buyer'} model
+ * @param {Object} attributes - e.g. { language: 'fr', deliveryType: 'pickup' }
+ * @returns {Array<{uuid: string, value: string}>}
+ */
+export function buildCustomFields(model, attributes) {
+  const fields = getFieldMapping()[model];
+
+  return Object.entries(attributes)
+    .filter(([attribute, value]) => fields[attribute] && value !== undefined)
+    .map(([attribute, value]) => ({
+      uuid: fields[attribute].uuid,
+      value: toKeycrmValue(model, attribute, value),
+    }));
+}
+
+/**
+ * Canonical value for a KeyCRM select option (or a canonical value), or null.
+ * e.g. toCanonicalValue('order', 'deliveryType', 'Адресна') → 'address'
+ */
+export function toCanonicalValue(model, attribute, value) {
+  const values = getFieldMapping()[model][attribute]?.values || {};
+  if (value in values) return value;
+
+  const entry = Object.entries(values).find(([, keycrmValue]) => keycrmValue === value);
+  return entry ? entry[0] : null;
+}
+
+function toKeycrmValue(model, attribute, value) {
+  const field = getFieldMapping()[model][attribute];
+  if (!field.values) return value ?? '';
+
+  if (value in field.values) return field.values[value];
+  if (Object.values(field.values).includes(value)) return value;
+
+  if (value !== null && value !== '') {
+    logger.warn('No KeyCRM value mapped for custom field', { model, attribute, value });
+  }
+  return field.fallback ?? '';
+}
+
+/**
+ * Compare the mapping with KeyCRM's custom field list (GET /custom-fields).
+ * @param {Array} keycrmFields - [{ uuid, name, model, options? }]
+ * @returns {string[]} problems, empty when everything matches
+ */
+export function findMappingProblems(keycrmFields) {
+  const problems = [];
+  const byUuid = new Map(keycrmFields.map((field) => [field.uuid, field]));
+
+  for (const [model, attributes] of Object.entries(getFieldMapping())) {
+    for (const [attribute, field] of Object.entries(attributes)) {
+      const keycrmField = byUuid.get(field.uuid);
+      const where = `${model}.${attribute} (${field.uuid}${field.label ? ` "${field.label}"` : ''})`;
+
+      if (!keycrmField) {
+        problems.push(`${where}: custom field not found in KeyCRM`);
+        continue;
+      }
+
+      if (keycrmField.model && keycrmField.model !== KEYCRM_FIELD_MODELS[model]) {
+        problems.push(`${where}: belongs to "${keycrmField.model}", expected "${KEYCRM_FIELD_MODELS[model]}"`);
+      }
+
+      // Select fields list their options; check every mapped value exists
+      const options = Array.isArray(keycrmField.options)
+        ? keycrmField.options.map((option) => (typeof option === 'string' ? option : option.value ?? option.name))
+        : null;
+
+      if (options && field.values) {
+        const missing = [...Object.values(field.values), field.fallback]
+          .filter((value) => value && !options.includes(value));
+        if (missing.length > 0) {
+          problems.push(`${where}: options missing in KeyCRM: ${[...new Set(missing)].join(', ')}`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,69 @@
+// KeyCRM order status → internal order status mapping
+//
+// KeyCRM statuses are configured per account, so the table is keyed by
+// status ID with a fallback on the status group (every KeyCRM status belongs
+// to one of six fixed groups). Both tables can be overridden via env as JSON:
+//
+//   KEYCRM_STATUS_MAP='{"12":"CONFIRMED","15":"DELIVERED"}'
+//   KEYCRM_STATUS_GROUP_MAP='{"3":"CONFIRMED"}'
+import logger from '../utils/logger.js';
+
+// Internal statuses shared with the ecommerce API (see webhookRoutes.js)
+export const ORDER_STATUS = {
+  PENDING: 'PENDING',
+  REQUIRES_AGREEMENT: 'REQUIRES_AGREEMENT',
+  CONFIRMED: 'CONFIRMED',
+  DELIVERED: 'DELIVERED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Statuses after which the customer no longer has an active order
+export const FINAL_ORDER_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+
+// KeyCRM status groups: new, approval, production, delivery, completed, canceled
+const DEFAULT_STATUS_GROUP_MAP = {
+  1: ORDER_STATUS.PENDING,
+  2: ORDER_STATUS.REQUIRES_AGREEMENT,
+  3: ORDER_STATUS.CONFIRMED,
+  4: ORDER_STATUS.CONFIRMED,
+  5: ORDER_STATUS.DELIVERED,
+  6: ORDER_STATUS.CANCELLED,
+};
+
+function parseMap(envName, fallback) {
+  const raw = process.env[envName];
+  if (!raw) return { ...fallback };
+
+  try {
+    const parsed = JSON.parse(raw);
+    const validStatuses = Object.values(ORDER_STATUS);
+    const invalid = Object.entries(parsed).filter(([, status]) => !validStatuses.includes(status));
+
+    if (invalid.length > 0) {
+      throw new Error(`unknown statuses ${invalid.map(([id, status]) => `${id}→${status}`).join(', ')}`);
+    }
+
+    return { ...fallback, ...parsed };
+  } catch (error) {
+    logger.error(`Invalid ${envName}, using defaults`, { error: error.message });
+    return { ...fallback };
+  }
+}
+
+// Read lazily so dotenv has loaded before the first lookup
+let statusMap = null;
+let groupMap = null;
+
+/**
+ * Map a KeyCRM status to an internal order status.
+ * @param {Object} params
+ * @param {number} params.statusId - KeyCRM status ID
+ * @param {number} [params.statusGroupId] - KeyCRM status group ID
+ * @returns {string|null} Internal status, or null when the status is unmapped
+ */
+export function mapKeycrmStatus({ statusId, statusGroupId }) {
+  statusMap ??= parseMap('KEYCRM_STATUS_MAP', {});
+  groupMap ??= parseMap('KEYCRM_STATUS_GROUP_MAP', DEFAULT_STATUS_GROUP_MAP);
+
+  return statusMap[statusId] || groupMap[statusGroupId] || null;
+}
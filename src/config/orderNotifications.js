@@ -0,0 +1,36 @@
+// Localized texts sent to bot customers when their order is created or its
+// status changes. `{number}` is replaced with the KeyCRM order number.
+import { ORDER_STATUS } from './keycrmStatuses.js';
+
+export const DEFAULT_NOTIFICATION_LANGUAGE = 'uk';
+
+export const ORDER_NOTIFICATION_MESSAGES = {
+  uk: {
+    CREATED: 'Дякуємо! Ваше замовлення №{number} прийнято. Ми зв\'яжемося з вами для підтвердження.',
+    [ORDER_STATUS.REQUIRES_AGREEMENT]: 'Замовлення №{number} потребує уточнення. Менеджер незабаром зв\'яжеться з вами.',
+    [ORDER_STATUS.CONFIRMED]: 'Замовлення №{number} підтверджено. Дякуємо!',
+    [ORDER_STATUS.DELIVERED]: 'Замовлення №{number} виконано. Смачного та до нових зустрічей!',
+    [ORDER_STATUS.CANCELLED]: 'Замовлення №{number} скасовано. Якщо це помилка, напишіть нам.',
+  },
+  ru: {
+    CREATED: 'Спасибо! Ваш заказ №{number} принят. Мы свяжемся с вами для подтверждения.',
+    [ORDER_STATUS.REQUIRES_AGREEMENT]: 'Заказ №{number} требует уточнения. Менеджер скоро свяжется с вами.',
+    [ORDER_STATUS.CONFIRMED]: 'Заказ №{number} подтверждён. Спасибо!',
+    [ORDER_STATUS.DELIVERED]: 'Заказ №{number} выполнен. Приятного аппетита и до новых встреч!',
+    [ORDER_STATUS.CANCELLED]: 'Заказ №{number} отменён. Если это ошибка, напишите нам.',
+  },
+  fr: {
+    CREATED: 'Merci ! Votre commande n°{number} a bien été reçue. Nous vous contacterons pour la confirmer.',
+    [ORDER_STATUS.REQUIRES_AGREEMENT]: 'La commande n°{number} nécessite une précision. Un responsable vous contactera bientôt.',
+    [ORDER_STATUS.CONFIRMED]: 'La commande n°{number} est confirmée. Merci !',
+    [ORDER_STATUS.DELIVERED]: 'La commande n°{number} a été livrée. Bon appétit et à bientôt !',
+    [ORDER_STATUS.CANCELLED]: 'La commande n°{number} a été annulée. S\'il s\'agit d\'une erreur, écrivez-nous.',
+  },
+  en: {
+    CREATED: 'Thank you! Your order #{number} has been received. We will contact you to confirm it.',
+    [ORDER_STATUS.REQUIRES_AGREEMENT]: 'Order #{number} needs clarification. A manager will contact you shortly.',
+    [ORDER_STATUS.CONFIRMED]: 'Order #{number} is confirmed. Thank you!',
+    [ORDER_STATUS.DELIVERED]: 'Order #{number} has been delivered. Enjoy your meal and see you soon!',
+    [ORDER_STATUS.CANCELLED]: 'Order #{number} has been cancelled. If this is a mistake, please message us.',
+  },
+};
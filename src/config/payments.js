@@ -0,0 +1,91 @@
+// Payment methods and their KeyCRM payment record
+//
+// Bots send the payment method as a key or as the label shown in their
+// language, the website as its own wording; normalizePaymentMethod() reduces
+// them to one of PAYMENT_METHODS.
+//
+// Every KeyCRM order gets a payment with the method's KeyCRM payment method
+// and payment status. Both IDs are configured per account, so the defaults
+// below can be overridden via env as JSON (missing keys keep the default):
+//
+//   KEYCRM_PAYMENT_METHODS='{"TWINT":{"methodId":7},"CARD":{"methodId":8,"statusId":2}}'
+//   ORDER_CURRENCY=CHF
+import logger from '../utils/logger.js';
+
+export const PAYMENT_METHODS = ['CASH', 'TWINT', 'CARD', 'BANK_TRANSFER'];
+
+// Used when an order doesn't say how it is paid, or says it in a way we don't know
+export const DEFAULT_PAYMENT_METHOD = 'CASH';
+
+// Labels per payment method (uk / ru / fr / en), compared case-insensitively
+const PAYMENT_METHOD_LABELS = {
+  CASH: ['Готівка', 'Наличные', 'Espèces', 'Cash', 'Paiement à la livraison'],
+  TWINT: ['Twint'],
+  CARD: ['Картка', 'Карта', 'Carte', 'Carte bancaire', 'Card', 'Credit card'],
+  BANK_TRANSFER: ['Банківський переказ', 'Банковский перевод', 'Virement', 'Virement bancaire', 'Bank transfer'],
+};
+
+const METHOD_BY_LABEL = new Map(
+  Object.entries(PAYMENT_METHOD_LABELS).flatMap(([method, labels]) =>
+    [method, ...labels].map((label) => [label.toLowerCase(), method])
+  )
+);
+
+// KeyCRM payment method / payment status ID per payment method
+// (payment status 1 = not paid: orders are paid on delivery or confirmed by a manager)
+const DEFAULT_KEYCRM_PAYMENTS = {
+  CASH: { methodId: 1, statusId: 1 },
+  TWINT: { methodId: 2, statusId: 1 },
+  CARD: { methodId: 3, statusId: 1 },
+  BANK_TRANSFER: { methodId: 4, statusId: 1 },
+};
+
+/**
+ * Reduce a payment method (key, localized label or website wording) to one
+ * of PAYMENT_METHODS.
+ * @param {string} method
+ * @returns {string|null} null when the method is missing or unknown
+ */
+export function normalizePaymentMethod(method) {
+  if (!method || typeof method !== 'string') return null;
+  return METHOD_BY_LABEL.get(method.trim().toLowerCase()) || null;
+}
+
+export function getOrderCurrency() {
+  return process.env.ORDER_CURRENCY || 'CHF';
+}
+
+// Read lazily so dotenv has loaded before the first lookup
+let keycrmPayments = null;
+
+/**
+ * KeyCRM IDs for a payment method.
+ * @param {string} method - one of PAYMENT_METHODS
+ * @returns {{ methodId: number, statusId: number }}
+ */
+export function getKeycrmPayment(method) {
+  keycrmPayments ??= parseKeycrmPayments();
+  return keycrmPayments[method] || keycrmPayments[DEFAULT_PAYMENT_METHOD];
+}
+
+function parseKeycrmPayments() {
+  const raw = process.env.KEYCRM_PAYMENT_METHODS;
+  if (!raw) return { ...DEFAULT_KEYCRM_PAYMENTS };
+
+  try {
+    const parsed = JSON.parse(raw);
+    const unknown = Object.keys(parsed).filter((method) => !PAYMENT_METHODS.includes(method));
+
+    if (unknown.length > 0) {
+      throw new Error(`unknown payment methods ${unknown.join(', ')}`);
+    }
+
+    return Object.fromEntries(PAYMENT_METHODS.map((method) => [
+      method,
+      { ...DEFAULT_KEYCRM_PAYMENTS[method], ...parsed[method] },
+    ]));
+  } catch (error) {
+    logger.error('Invalid KEYCRM_PAYMENT_METHODS, using defaults', { error: error.message });
+    return { ...DEFAULT_KEYCRM_PAYMENTS };
+  }
+}
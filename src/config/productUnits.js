@@ -0,0 +1,154 @@
+// Product units — how a product's cart quantity is counted, shown and sent to KeyCRM
+//
+// Every `product_mappings` row carries its unit:
+//
+//   unitType      'piece' (shown as "x 3") or 'weight' (shown in kg)
+//   unitWeightKg  kg in one cart unit: 0.5 when the bot sells by half-kilo,
+//                 the piece weight for pieces (null when unknown)
+//   quantityStep  cart quantity must be a multiple of this
+//   minQuantity / maxQuantity  allowed cart quantity (max null = no limit)
+//   keycrmUnit    'unit' when KeyCRM counts cart units, 'kg' when it counts
+//                 kilograms (its price is then per kg)
+//
+// e.g. cheese sold by 500 g, priced per kg in KeyCRM:
+//   { unitType: 'weight', unitWeightKg: 0.5, keycrmUnit: 'kg' }
+//   cart quantity 3 → "1.5 kg", KeyCRM quantity 1.5
+import { AppError } from '../middleware/errorHandler.js';
+
+export const UNIT_TYPES = ['piece', 'weight'];
+
+export const KEYCRM_UNITS = ['unit', 'kg'];
+
+// Columns of product_mappings describing the unit (admin API / CSV import)
+export const UNIT_FIELDS = ['unitType', 'unitWeightKg', 'quantityStep', 'minQuantity', 'maxQuantity', 'keycrmUnit'];
+
+// KeyCRM product unit labels (`unit_type`) counted in kilograms
+const KG_UNIT_LABELS = ['кг', 'kg'];
+
+/**
+ * Unit of a product mapping with defaults applied; numeric columns as numbers.
+ * Without a mapping the product counts as a 1 kg weight unit, like the
+ * mapping column defaults.
+ */
+export function getProductUnit(mapping) {
+  const unitType = UNIT_TYPES.includes(mapping?.unitType) ? mapping.unitType : 'weight';
+  const unitWeightKg = mapping?.unitWeightKg != null
+    ? Number(mapping.unitWeightKg)
+    : (unitType === 'weight' ? 1 : null);
+
+  return {
+    unitType,
+    unitWeightKg,
+    quantityStep: mapping?.quantityStep || 1,
+    minQuantity: mapping?.minQuantity || 1,
+    maxQuantity: mapping?.maxQuantity ?? null,
+    keycrmUnit: KEYCRM_UNITS.includes(mapping?.keycrmUnit) ? mapping.keycrmUnit : 'unit',
+  };
+}
+
+/**
+ * Why a mapping's unit columns don't fit together, or null when they do.
+ * @param {Object} mapping - product mapping (or the fields being saved)
+ */
+export function findUnitProblem(mapping) {
+  const unit = getProductUnit(mapping);
+
+  if (unit.keycrmUnit === 'kg' && !unit.unitWeightKg) {
+    return 'keycrmUnit kg needs unitWeightKg';
+  }
+  if (unit.maxQuantity !== null && unit.maxQuantity < unit.minQuantity) {
+    return 'maxQuantity must not be below minQuantity';
+  }
+  return null;
+}
+
+/**
+ * Check a cart quantity against the unit's step and limits.
+ * Throws AppError 400 INVALID_QUANTITY with `allowed` { step, min, max }.
+ */
+export function assertValidQuantity(unit, quantity, productName = 'product') {
+  const allowed = { step: unit.quantityStep, min: unit.minQuantity, max: unit.maxQuantity };
+  let problem = null;
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    problem = 'must be a positive integer';
+  } else if (quantity < unit.minQuantity) {
+    problem = `must be at least ${unit.minQuantity}`;
+  } else if (unit.maxQuantity !== null && quantity > unit.maxQuantity) {
+    problem = `must be at most ${unit.maxQuantity}`;
+  } else if (quantity % unit.quantityStep !== 0) {
+    problem = `must be a multiple of ${unit.quantityStep}`;
+  }
+
+  if (problem) {
+    throw Object.assign(
+      new AppError(`Quantity ${quantity} for ${productName} ${problem}`, 400, 'INVALID_QUANTITY'),
+      { allowed }
+    );
+  }
+}
+
+/**
+ * Nearest quantity the unit allows: rounded to whole steps, then brought
+ * within its limits. Returns null when no multiple of the step fits them.
+ */
+export function fitQuantity(unit, quantity) {
+  const step = unit.quantityStep;
+  let fitted = Math.max(Math.round(quantity / step), 1) * step;
+
+  if (fitted < unit.minQuantity) fitted = Math.ceil(unit.minQuantity / step) * step;
+  if (unit.maxQuantity !== null && fitted > unit.maxQuantity) fitted = Math.floor(unit.maxQuantity / step) * step;
+
+  const fits = fitted >= unit.minQuantity && (unit.maxQuantity === null || fitted <= unit.maxQuantity);
+  return fits ? fitted : null;
+}
+
+// Quantity to put on the KeyCRM order line
+export function toKeycrmQuantity(unit, quantity) {
+  return unit.keycrmUnit === 'kg' && unit.unitWeightKg
+    ? roundWeight(quantity * unit.unitWeightKg)
+    : quantity;
+}
+
+// Whole cart units in a KeyCRM quantity (e.g. stock)
+export function fromKeycrmQuantity(unit, keycrmQuantity) {
+  const quantity = unit.keycrmUnit === 'kg' && unit.unitWeightKg
+    ? keycrmQuantity / unit.unitWeightKg
+    : keycrmQuantity;
+  // Tolerate float noise such as 1.4999999 kg / 0.5
+  return Math.floor(quantity + 1e-9);
+}
+
+// Price of one cart unit from the KeyCRM price
+export function toCartUnitPrice(unit, keycrmPrice) {
+  const price = unit.keycrmUnit === 'kg' && unit.unitWeightKg
+    ? keycrmPrice * unit.unitWeightKg
+    : keycrmPrice;
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Cart line quantity as shown to the customer: "x 3" for pieces, "1.5 kg" for weight.
+ * @param {string} kgLabel - localized "kg"
+ */
+export function formatQuantity(unit, quantity, kgLabel = 'kg') {
+  return unit.unitType === 'piece'
+    ? `x ${quantity}`
+    : `${roundWeight(quantity * unit.unitWeightKg)} ${kgLabel}`;
+}
+
+/**
+ * Unit for a mapping created from a KeyCRM product: kilogram products become
+ * 1 kg weight units, everything else pieces.
+ */
+export function unitFromKeycrmProduct(product) {
+  const label = String(product.unit_type || '').trim().toLowerCase();
+
+  return KG_UNIT_LABELS.includes(label)
+    ? { unitType: 'weight', unitWeightKg: 1, keycrmUnit: 'kg' }
+    : { unitType: 'piece', unitWeightKg: null, keycrmUnit: 'unit' };
+}
+
+function roundWeight(kg) {
+  return Math.round(kg * 1000) / 1000;
+}
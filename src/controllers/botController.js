@@ -1,6 +1,8 @@
 // src/controllers/botController.js - FINAL CLEAN VERSION
 import { EnhancedCrmService } from '../services/enhancedCrmService.js';
 import { DatabaseService } from '../services/databaseService.js';
+import { getChannelAdapter } from '../adapters/index.js';
+import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
 export class BotController {
@@ -10,19 +12,23 @@ export class BotController {
   }
 
   /**
-   * Main method - use EnhancedCrmService for everything
-   * Creates order in BOTH ecommerce DB and SendPulse CRM
+   * Main method - adapt the bot payload to a canonical order and submit it
+   * synchronously via EnhancedCrmService (KeyCRM + bot_orders)
    */
   async createOrder(orderData) {
     try {
-      logger.info('Creating telegram order via EnhancedCrmService', {
+      logger.info('Creating bot order via EnhancedCrmService', {
         contact_id: orderData.contact_id,
         productCount: orderData.products?.length,
         source: orderData.source
       });
 
-      // ✅ SIMPLE: Just use the enhanced service that does everything
-      const result = await this.crmService.createTelegramOrderComplete(orderData);
+      const adapter = getChannelAdapter(orderData.source || 'telegram');
+      if (!adapter) {
+        throw new AppError(`Unsupported order source: ${orderData.source}`, 400, 'INVALID_SOURCE');
+      }
+
+      const result = await this.crmService.createOrderComplete(adapter(orderData));
 
       logger.info('Enhanced order creation successful', {
         botOrderId: result.botOrderId,
@@ -96,7 +102,9 @@ export class BotController {
           customerPhone: crmOrder.customerPhone,
           // Link IDs
           ecommerceOrderId: crmOrder.ecommerceOrderId,
-          crmOrderId: crmOrder.sendpulseDealId,
+          crmOrderId: crmOrder.keycrmOrderId ?? crmOrder.sendpulseDealId,
+          keycrmOrderId: crmOrder.keycrmOrderId,
+          orderNumber: crmOrder.keycrmOrderNumber,
           // Ecommerce status if available
           ecommerceStatus: ecommerceStatus?.status,
           paymentStatus: ecommerceStatus?.paymentStatus,
@@ -126,11 +134,10 @@ export class BotController {
       }
 
       // Update status in CRM database
-      await this.dbService.updateBotOrder(
-        botOrderId,
-        updateData.status,
-        updateData.notes
-      );
+      await this.dbService.updateBotOrder(botOrderId, {
+        status: updateData.status,
+        notes: updateData.notes
+      });
 
       // If we need to update the SendPulse deal, delegate to service
       if (updateData.crmUpdate && botOrder.sendpulseDealId) {
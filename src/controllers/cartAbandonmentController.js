@@ -0,0 +1,22 @@
+// Abandoned cart controller — admin statistics on idle bot carts
+//
+// Errors propagate to the global error handler (routes wrap these in asyncHandler).
+import { cartAbandonmentService } from '../services/cartAbandonmentService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// GET /api/admin/abandoned-carts/stats?days=30
+export async function getAbandonmentStats(req, res) {
+  const days = req.query.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new AppError(`days must be an integer between 1 and ${MAX_DAYS}`, 400, 'INVALID_DAYS');
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const stats = await cartAbandonmentService.getStats({ since });
+
+  return res.json({ success: true, days, stats });
+}
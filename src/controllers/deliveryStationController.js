@@ -0,0 +1,68 @@
+// Delivery station controller — admin CRUD for the station registry
+//
+// Errors propagate to the global error handler (routes wrap these in
+// asyncHandler): AppError carries its own status, Prisma P2002 (duplicate
+// code or ecommerceStationId) becomes 409 UNIQUE_CONSTRAINT.
+import { deliveryStationService } from '../services/deliveryStationService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// GET /api/admin/delivery-stations?includeInactive=true
+export async function listStations(req, res) {
+  const stations = await deliveryStationService.list({
+    includeInactive: req.query.includeInactive === 'true',
+  });
+
+  return res.json({ success: true, total: stations.length, stations });
+}
+
+// GET /api/admin/delivery-stations/resolve?q=Vevey%2011:40
+//
+// Shows how the resolver reads a station name — useful when adding aliases.
+export async function resolveStation(req, res) {
+  const query = req.query.q;
+
+  if (!query || typeof query !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'q query parameter is required',
+      code: 'MISSING_QUERY'
+    });
+  }
+
+  const resolution = await deliveryStationService.resolve(query);
+  return res.json({ success: true, ...resolution });
+}
+
+// GET /api/admin/delivery-stations/:id
+export async function getStation(req, res) {
+  const station = await deliveryStationService.getById(parseStationId(req));
+  return res.json({ success: true, station });
+}
+
+// POST /api/admin/delivery-stations
+export async function createStation(req, res) {
+  const station = await deliveryStationService.create(req.body);
+  return res.status(201).json({ success: true, station });
+}
+
+// PATCH /api/admin/delivery-stations/:id
+export async function updateStation(req, res) {
+  const station = await deliveryStationService.update(parseStationId(req), req.body);
+  return res.json({ success: true, station });
+}
+
+// DELETE /api/admin/delivery-stations/:id — soft delete (isActive false)
+export async function deactivateStation(req, res) {
+  const station = await deliveryStationService.deactivate(parseStationId(req));
+  return res.json({ success: true, station });
+}
+
+function parseStationId(req) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id) || id <= 0) {
+    throw new AppError('Station id must be a positive integer', 400, 'INVALID_STATION_ID');
+  }
+
+  return id;
+}
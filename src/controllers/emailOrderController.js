@@ -1,29 +1,25 @@
-import { keyCrmOrderService } from '../services/keyCrmOrderService.js';
+import { EnhancedCrmService } from '../services/enhancedCrmService.js';
 import { DatabaseService } from '../services/databaseService.js';
+import { adaptEmailOrder } from '../adapters/index.js';
 import logger from '../utils/logger.js';
 
 const dbService = new DatabaseService();
+const crmService = new EnhancedCrmService();
 
 export const emailOrderController = {
   async createFromEmail(req, res) {
     try {
-      const emailOrderData = req.body;
-      const { messageId, products, customer, orderNumber } = emailOrderData;
-
-      if (!products?.length) {
-        return res.status(400).json({ error: 'No products in order' });
-      }
-      if (!customer?.phone) {
-        return res.status(400).json({ error: 'No customer phone' });
-      }
+      // Canonical order; the email's messageId becomes its botOrderId
+      const order = adaptEmailOrder(req.body);
+      const orderNumber = order.externalId;
 
       // Check if this email was already processed (deduplication)
-      if (messageId) {
+      if (req.body.messageId) {
         const existing = await dbService.crmDb.botOrder.findUnique({
-          where: { botOrderId: messageId }
+          where: { botOrderId: order.botOrderId }
         });
         if (existing) {
-          logger.info('Email order already processed, skipping', { messageId, orderNumber });
+          logger.info('Email order already processed, skipping', { messageId: order.botOrderId, orderNumber });
           return res.status(200).json({
             success: true,
             skipped: true,
@@ -34,52 +30,28 @@ export const emailOrderController = {
 
       logger.info('Received Hostinger email order from n8n', {
         orderNumber,
-        productCount: products.length,
-        phone: customer.phone,
-      });
-
-      // Create order in KeyCRM
-      const result = await keyCrmOrderService.createOrderFromEmail(emailOrderData);
-
-      // Save to BotOrder for deduplication and tracking
-      await dbService.crmDb.botOrder.create({
-        data: {
-          botOrderId: messageId || `email_${orderNumber}_${Date.now()}`,
-          source: 'hostinger_email',
-          chatId: 'email',
-          customerPhone: customer.phone,
-          customerName: customer.name || '',
-          customerEmail: customer.email || null,
-          totalAmount: emailOrderData.total || 0,
-          paymentMethod: emailOrderData.paymentMethod || '',
-          deliveryInfo: emailOrderData.deliveryMethod || '',
-          products: JSON.stringify(products),
-          status: 'CREATED',
-          metadata: JSON.stringify({
-            hostingerOrderNumber: orderNumber,
-            keycrmOrderId: result.keycrmOrderId,
-            keycrmOrderNumber: result.orderNumber,
-            date: emailOrderData.date,
-          }),
-        }
+        productCount: order.items.length,
+        phone: order.customer.phone,
       });
 
-      logger.info('Email order saved to BotOrder table', {
-        messageId,
-        keycrmOrderId: result.keycrmOrderId,
-      });
+      // Create order in KeyCRM and store it in bot_orders like every other channel
+      const result = await crmService.createOrderComplete(order);
 
       return res.status(201).json({
         success: true,
-        keycrmOrderId: result.keycrmOrderId,
+        keycrmOrderId: result.crmOrderId,
         orderNumber: result.orderNumber,
       });
 
     } catch (error) {
+      if (error.code === 'INVALID_ORDER') {
+        return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+      }
+
       logger.error('Failed to create KeyCRM order from Hostinger email', {
         error: error.message,
       });
       return res.status(500).json({ error: error.message });
     }
   }
-};
\ No newline at end of file
+};
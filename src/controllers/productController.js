@@ -1,10 +1,40 @@
 // Product controller — exposes KeyCRM product data via the integration service API
 import { DatabaseService } from '../services/databaseService.js';
-import { keyCrmApiService } from '../services/keyCrmApiService.js';
+import { productSnapshotService } from '../services/productSnapshotService.js';
+import { productCatalogService, CATALOG_LANGUAGES } from '../services/productCatalogService.js';
 import logger from '../utils/logger.js';
 
 const dbService = new DatabaseService();
 
+// GET /api/products?lang=fr&page=1&limit=50&category=3
+//
+// Returns the active catalog (mapped products that exist in KeyCRM) with the
+// chatbot name in the requested language (uk | ru | fr | en, default: ru),
+// plus the list of categories. Served from the catalog cache.
+export async function getCatalog(req, res) {
+  const lang = req.query.lang || 'ru';
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const categoryId = req.query.category ? parseInt(req.query.category, 10) : null;
+
+  if (!CATALOG_LANGUAGES.includes(lang)) {
+    return res.status(400).json({ error: `lang must be one of: ${CATALOG_LANGUAGES.join(', ')}` });
+  }
+
+  if (req.query.category && isNaN(categoryId)) {
+    return res.status(400).json({ error: 'category must be a numeric category ID' });
+  }
+
+  try {
+    const catalog = await productCatalogService.getCatalog({ lang, page, limit, categoryId });
+
+    return res.json({ success: true, lang, ...catalog });
+  } catch (error) {
+    logger.error('Failed to build product catalog', { error: error.message, lang });
+    return res.status(502).json({ success: false, error: 'Product catalog is temporarily unavailable' });
+  }
+}
+
 // GET /api/products/:ecommerceId?lang=ru
 //
 // Returns product info for the given ecommerce product ID.
@@ -35,8 +65,16 @@ export async function getProductByEcommerceId(req, res) {
     return res.status(404).json({ error: `Product ${numericId} is not yet synced with KeyCRM` });
   }
 
-  // Fetch live product data from KeyCRM (includes custom_fields / chatbotNames)
-  const keycrmProduct = await keyCrmApiService.getProductById(mapping.keycrmId);
+  // Product data from the snapshot table, refreshed from KeyCRM when stale;
+  // for a variant mapping the offer's SKU and price
+  let keycrmProduct;
+  try {
+    keycrmProduct = await productSnapshotService.getForMapping(mapping);
+  } catch (error) {
+    if (error.code !== 'PRODUCT_NOT_MAPPED') throw error;
+    logger.warn('Product variant not resolvable', { ecommerceId: numericId, error: error.message });
+    return res.status(422).json({ error: error.message });
+  }
 
   // Pick the display name for the requested language, fall back to UA
   const name =
@@ -52,5 +90,6 @@ export async function getProductByEcommerceId(req, res) {
     price: keycrmProduct.price,
     sku: keycrmProduct.sku,
     keycrm_id: mapping.keycrmId,
+    keycrm_offer_id: keycrmProduct.offer_id,
   });
 }
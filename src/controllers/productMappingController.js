@@ -0,0 +1,82 @@
+// Product mapping controller — admin CRUD for ecommerce ↔ KeyCRM ↔ SendPulse mappings
+//
+// Errors propagate to the global error handler (routes wrap these in
+// asyncHandler): AppError carries its own status, Prisma P2002 (duplicate
+// ecommerceId) becomes 409 UNIQUE_CONSTRAINT.
+import { productMappingService } from '../services/productMappingService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// GET /api/admin/product-mappings?syncStatus=ACTIVE&search=SYR&hasEcommerceId=false&page=1&limit=50
+export async function listMappings(req, res) {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const result = await productMappingService.list({
+    syncStatus: req.query.syncStatus || null,
+    search: req.query.search?.trim() || null,
+    hasEcommerceId: parseBooleanFilter(req.query.hasEcommerceId),
+    hasKeycrmId: parseBooleanFilter(req.query.hasKeycrmId),
+    page,
+    limit,
+  });
+
+  return res.json({ success: true, ...result });
+}
+
+// GET /api/admin/product-mappings/:id
+export async function getMapping(req, res) {
+  const mapping = await productMappingService.getById(parseMappingId(req));
+  return res.json({ success: true, mapping });
+}
+
+// POST /api/admin/product-mappings
+export async function createMapping(req, res) {
+  const mapping = await productMappingService.create(req.body);
+  return res.status(201).json({ success: true, mapping });
+}
+
+// PATCH /api/admin/product-mappings/:id
+export async function updateMapping(req, res) {
+  const mapping = await productMappingService.update(parseMappingId(req), req.body);
+  return res.json({ success: true, mapping });
+}
+
+// DELETE /api/admin/product-mappings/:id — soft delete (syncStatus ARCHIVED)
+export async function archiveMapping(req, res) {
+  const mapping = await productMappingService.archive(parseMappingId(req));
+  return res.json({ success: true, mapping });
+}
+
+// POST /api/admin/product-mappings/import
+//
+// Body is raw CSV (Content-Type: text/csv) or JSON { csv: "..." }.
+export async function importMappings(req, res) {
+  const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+  if (!csv || typeof csv !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'CSV body required (text/csv or JSON { csv })',
+      code: 'CSV_MISSING'
+    });
+  }
+
+  const result = await productMappingService.importCsv(csv);
+  return res.json({ success: true, ...result });
+}
+
+function parseBooleanFilter(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+function parseMappingId(req) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id) || id <= 0) {
+    throw new AppError('Mapping id must be a positive integer', 400, 'INVALID_MAPPING_ID');
+  }
+
+  return id;
+}
@@ -0,0 +1,50 @@
+// Promo code controller — admin CRUD for promo codes
+//
+// Errors propagate to the global error handler (routes wrap these in
+// asyncHandler): AppError carries its own status, Prisma P2002 (duplicate
+// code) becomes 409 UNIQUE_CONSTRAINT.
+import { promoService } from '../services/promoService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// GET /api/admin/promo-codes?includeInactive=true
+export async function listPromoCodes(req, res) {
+  const promoCodes = await promoService.list({
+    includeInactive: req.query.includeInactive === 'true',
+  });
+
+  return res.json({ success: true, total: promoCodes.length, promoCodes });
+}
+
+// GET /api/admin/promo-codes/:id
+export async function getPromoCode(req, res) {
+  const promoCode = await promoService.getById(parsePromoCodeId(req));
+  return res.json({ success: true, promoCode });
+}
+
+// POST /api/admin/promo-codes
+export async function createPromoCode(req, res) {
+  const promoCode = await promoService.create(req.body);
+  return res.status(201).json({ success: true, promoCode });
+}
+
+// PATCH /api/admin/promo-codes/:id
+export async function updatePromoCode(req, res) {
+  const promoCode = await promoService.update(parsePromoCodeId(req), req.body);
+  return res.json({ success: true, promoCode });
+}
+
+// DELETE /api/admin/promo-codes/:id — soft delete (isActive false)
+export async function deactivatePromoCode(req, res) {
+  const promoCode = await promoService.deactivate(parsePromoCodeId(req));
+  return res.json({ success: true, promoCode });
+}
+
+function parsePromoCodeId(req) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id) || id <= 0) {
+    throw new AppError('Promo code id must be a positive integer', 400, 'INVALID_PROMO_CODE_ID');
+  }
+
+  return id;
+}
@@ -2,10 +2,9 @@
 import logger from '../utils/logger.js';
 import { SendPulseCRMService } from '../services/sendPulseCrmService.js';
 import axios from 'axios';
-import { keyCrmApiService } from '../services/keyCrmApiService.js';
-import { DatabaseService } from '../services/databaseService.js';
-
-const dbService = new DatabaseService();
+import { orderOutboxService, formatOutboxEntry } from '../services/orderOutboxService.js';
+import { productSyncService } from '../services/productSyncService.js';
+import { adaptEcommerceOrder } from '../adapters/index.js';
 
 class SyncController {
   constructor() {
@@ -15,64 +14,88 @@ class SyncController {
   }
 
 
-  // Sync products from KeyCRM to product_mappings table.
-  // Fetches all products from KeyCRM and adds any missing ones to the DB.
-  // Existing products (matched by keycrmId) are skipped.
+  /**
+   * Reconcile product_mappings with KeyCRM and refresh product snapshots
+   * POST /api/sync/products?dryRun=true
+   *
+   * Adds new products, updates renamed / re-SKU'd ones, archives products
+   * that vanished from KeyCRM and reports SKU collisions. Dry run only
+   * reports what would change.
+   */
   async syncProducts(req, res) {
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
     try {
-      logger.info('Starting manual KeyCRM products sync');
+      const report = await productSyncService.reconcile({ dryRun });
 
-      // Fetch all products from KeyCRM (handles pagination automatically)
-      const keycrmProducts = await keyCrmApiService.getProducts({ fetchAll: true });
+      return res.json({ success: true, ...report });
 
-      let added = 0;
-      let skipped = 0;
+    } catch (error) {
+      logger.error('Failed to sync KeyCRM products', { error: error.message, dryRun });
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
 
-      for (const product of keycrmProducts) {
-        // Skip if already mapped
-        const existing = await dbService.crmDb.productMapping.findFirst({
-          where: { keycrmId: product.id }
-        });
+  /**
+   * List order outbox entries (dead-lettered by default)
+   * GET /api/sync/outbox?status=DEAD&page=1&limit=50
+   */
+  async listOutbox(req, res) {
+    try {
+      const status = req.query.status === 'ALL' ? null : (req.query.status || 'DEAD');
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
-        if (existing) {
-          skipped++;
-          continue;
-        }
+      const result = await orderOutboxService.list({ status, page, limit });
 
-        // Add new product — ecommerceId and sendpulseId are legacy required fields,
-        // use 0 as placeholder since we no longer rely on them
-        await dbService.crmDb.productMapping.create({
-          data: {
-            ecommerceId: null,  // not used for KeyCRM-only products
-            sendpulseId: null,  // legacy field
-            name: product.name,
-            keycrmId: product.id,
-            keycrmSku: product.sku || null,
-            syncStatus: 'ACTIVE',
-            lastSyncAt: new Date(),
-          }
-        });
+      return res.json({
+        success: true,
+        status: status || 'ALL',
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        entries: result.entries.map(formatOutboxEntry)
+      });
 
-        added++;
-        logger.info('New product added to mappings', {
-          keycrmId: product.id,
-          name: product.name,
-          sku: product.sku,
+    } catch (error) {
+      logger.error('Failed to list outbox entries', { error: error.message });
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Replay a dead-lettered outbox entry
+   * POST /api/sync/outbox/:trackingId/replay
+   */
+  async replayOutboxEntry(req, res) {
+    const { trackingId } = req.params;
+
+    try {
+      const entry = await orderOutboxService.replay(trackingId);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Outbox entry ${trackingId} not found`,
+          code: 'TRACKING_ID_NOT_FOUND'
         });
       }
 
-      logger.info('KeyCRM products sync completed', { added, skipped, total: keycrmProducts.length });
+      logger.info('Outbox entry queued for replay', { trackingId, user: req.user?.type });
 
       return res.json({
         success: true,
-        added,
-        skipped,
-        total: keycrmProducts.length,
+        message: 'Order queued for replay',
+        entry: formatOutboxEntry(entry)
       });
 
     } catch (error) {
-      logger.error('Failed to sync KeyCRM products', { error: error.message });
-      return res.status(500).json({ success: false, error: error.message });
+      logger.error('Failed to replay outbox entry', { error: error.message, trackingId });
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
     }
   }
 
@@ -197,8 +220,8 @@ class SyncController {
         });
       }
 
-      // Transform ecommerce order data to CRM format
-      const crmOrderData = this.transformOrderDataForCrm(orderData, orderId);
+      // Canonical order, then the SendPulse deal format
+      const crmOrderData = this.toSendPulseOrder(adaptEcommerceOrder(orderData, orderId));
 
       // Create deal in SendPulse
       const deal = await this.crmService.createOrderInCRM(crmOrderData);
@@ -248,10 +271,14 @@ class SyncController {
         );
       }
 
-      res.status(500).json({
+      // Payloads the ecommerce adapter rejects won't succeed on retry
+      const invalidOrder = error.code === 'INVALID_ORDER';
+
+      res.status(invalidOrder ? 400 : 500).json({
         success: false,
         error: 'Failed to create deal',
         message: error.message,
+        ...(invalidOrder && { code: error.code, details: error.details }),
         orderId: req.body?.orderId
       });
     }
@@ -321,35 +348,35 @@ class SyncController {
   }
 
   /**
-   * Helper method to transform ecommerce order data for CRM
+   * Helper method to map a canonical order to SendPulse createOrderInCRM data
    */
-  transformOrderDataForCrm(orderData, orderId) {
-    const customer = orderData.user || orderData.guestInfo || {};
+  toSendPulseOrder(order) {
+    const { customer, delivery } = order;
 
     return {
       source: 'ECOMMERCE',
-      chatId: `order_${orderId}`,
+      chatId: order.chatId,
       customer: {
         firstName: customer.firstName || '',
         lastName: customer.lastName || '',
         email: customer.email || '',
         phone: customer.phone || ''
       },
-      products: orderData.items?.map(item => ({
-        id: item.productId || item.product?.id,
-        name: item.product?.name || `Product ${item.productId}`,
+      products: order.items.map(item => ({
+        id: item.productId,
+        name: item.name,
         quantity: item.quantity,
-        unitPrice: parseFloat(item.price),
-        totalPrice: parseFloat(item.price) * item.quantity
-      })) || [],
-      totalAmount: parseFloat(orderData.totalAmount),
-      notes: orderData.notesClient || '',
+        unitPrice: item.unitPrice,
+        totalPrice: item.unitPrice * item.quantity
+      })),
+      totalAmount: order.totals.total,
+      notes: order.notes,
       delivery: {
-        type: orderData.deliveryType,
-        date: orderData.deliveryDate,
-        address: orderData.addressDelivery,
-        station: orderData.stationDelivery,
-        pickup: orderData.pickupDelivery
+        type: order.attributes.deliveryType,
+        date: delivery.deliveryDate,
+        address: order.attributes.addressDelivery,
+        station: order.attributes.stationDelivery,
+        pickup: order.attributes.pickupDelivery
       }
     };
   }
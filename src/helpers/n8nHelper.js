@@ -6,6 +6,7 @@
  */
 
 import { PrismaClient } from '@prisma/client';
+import { deliveryStationService } from '../services/deliveryStationService.js';
 
 const prisma = new PrismaClient();
 
@@ -202,7 +203,7 @@ export async function formatOrderForSheet(order) {
   }
 
   // Extract canton from delivery info
-  const canton = order.canton || extractCanton(deliveryAddress) || '';
+  const canton = order.canton || await extractCanton(deliveryAddress) || '';
 
   return {
     // Date & Time (Column A)
@@ -253,33 +254,25 @@ export async function formatOrderForSheet(order) {
 }
 
 /**
- * Extract canton from address string
+ * Canton labels used in the Google Sheet (registry stores two-letter codes)
  */
-function extractCanton(address) {
+const SHEET_CANTON_LABELS = {
+  VD: 'VAUD'
+};
+
+/**
+ * Extract canton from address string using the delivery station registry
+ */
+async function extractCanton(address) {
   if (!address) return '';
-  
-  const addressLower = address.toLowerCase();
-  
-  const stationCantonMap = {
-    'lausanne': 'VAUD',
-    'morges': 'VAUD',
-    'vevey': 'VAUD',
-    'montreux': 'VAUD',
-    'rolle': 'VAUD',
-    'aigle': 'VAUD',
-    'nyon': 'VAUD',
-    'geneva': 'GE',
-    'genève': 'GE',
-    'geneve': 'GE'
-  };
-  
-  for (const [station, canton] of Object.entries(stationCantonMap)) {
-    if (addressLower.includes(station)) {
-      return canton;
-    }
+
+  try {
+    const canton = await deliveryStationService.findCanton(address);
+    return canton ? (SHEET_CANTON_LABELS[canton] || canton) : '';
+  } catch (error) {
+    console.error('[n8nHelper] Error resolving canton from delivery stations:', error.message);
+    return '';
   }
-  
-  return '';
 }
 
 /**
@@ -0,0 +1,32 @@
+// Abandoned cart tracking — records idle carts, reminds customers, empties expired carts
+import cron from 'node-cron';
+import { cartAbandonmentService } from '../services/cartAbandonmentService.js';
+import logger from '../utils/logger.js';
+
+// Every hour by default
+const DEFAULT_SCHEDULE = '0 * * * *';
+
+export function startCartAbandonmentJob() {
+  const schedule = process.env.CART_ABANDONMENT_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid CART_ABANDONMENT_CRON expression: ${schedule}`);
+  }
+
+  // Fail at startup rather than on the first reminder
+  cartAbandonmentService.reminderFlowIds;
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      await cartAbandonmentService.processIdleCarts();
+    } catch (error) {
+      logger.error('Abandoned cart processing failed', { error: error.message });
+    }
+  });
+
+  logger.info('Abandoned cart processing scheduled', {
+    schedule,
+    reminders: cartAbandonmentService.remindersEnabled
+  });
+  return task;
+}
@@ -0,0 +1,26 @@
+// Idempotency key cleanup — removes keys whose replay window has passed
+import cron from 'node-cron';
+import { idempotencyService } from '../services/idempotencyService.js';
+import logger from '../utils/logger.js';
+
+// Daily at 03:00 by default
+const DEFAULT_SCHEDULE = '0 3 * * *';
+
+export function startIdempotencyPurgeJob() {
+  const schedule = process.env.IDEMPOTENCY_PURGE_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid IDEMPOTENCY_PURGE_CRON expression: ${schedule}`);
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      await idempotencyService.purgeExpired();
+    } catch (error) {
+      logger.error('Idempotency key purge failed', { error: error.message });
+    }
+  });
+
+  logger.info('Idempotency key purge scheduled', { schedule });
+  return task;
+}
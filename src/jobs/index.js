@@ -0,0 +1,33 @@
+// Scheduled background jobs — started from app.js once the server is listening
+import { startOutboxJob } from './outboxJob.js';
+import { startIdempotencyPurgeJob } from './idempotencyPurgeJob.js';
+import { startProductSnapshotJob } from './productSnapshotJob.js';
+import { startCartAbandonmentJob } from './cartAbandonmentJob.js';
+import logger from '../utils/logger.js';
+
+const tasks = [];
+
+export function startScheduledJobs() {
+  if (process.env.OUTBOX_WORKER_ENABLED !== 'false') {
+    tasks.push(startOutboxJob());
+  } else {
+    logger.warn('⚠️  Outbox worker disabled — queued orders will not be submitted to KeyCRM');
+  }
+
+  tasks.push(startIdempotencyPurgeJob());
+
+  if (process.env.PRODUCT_SNAPSHOT_ENABLED !== 'false') {
+    tasks.push(startProductSnapshotJob());
+  }
+
+  if (process.env.CART_ABANDONMENT_ENABLED !== 'false') {
+    tasks.push(startCartAbandonmentJob());
+  }
+}
+
+export function stopScheduledJobs() {
+  for (const task of tasks) {
+    task.stop();
+  }
+  tasks.length = 0;
+}
@@ -0,0 +1,30 @@
+// Outbox worker — periodically submits queued orders to KeyCRM
+import cron from 'node-cron';
+import { orderOutboxService } from '../services/orderOutboxService.js';
+import logger from '../utils/logger.js';
+
+// Every 15 seconds by default (node-cron supports a leading seconds field)
+const DEFAULT_SCHEDULE = '*/15 * * * * *';
+
+export function startOutboxJob() {
+  const schedule = process.env.OUTBOX_POLL_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid OUTBOX_POLL_CRON expression: ${schedule}`);
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      await orderOutboxService.processDue();
+    } catch (error) {
+      logger.error('Outbox worker tick failed', { error: error.message });
+    }
+  });
+
+  logger.info('Outbox worker scheduled', { schedule });
+
+  // Pick up anything left over from before the restart right away
+  orderOutboxService.kick();
+
+  return task;
+}
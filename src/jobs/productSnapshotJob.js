@@ -0,0 +1,26 @@
+// Product snapshot refresh — keeps `product_snapshots` in line with KeyCRM
+import cron from 'node-cron';
+import { productSnapshotService } from '../services/productSnapshotService.js';
+import logger from '../utils/logger.js';
+
+// Every 10 minutes by default
+const DEFAULT_SCHEDULE = '*/10 * * * *';
+
+export function startProductSnapshotJob() {
+  const schedule = process.env.PRODUCT_SNAPSHOT_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid PRODUCT_SNAPSHOT_CRON expression: ${schedule}`);
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      await productSnapshotService.refreshAll();
+    } catch (error) {
+      logger.error('Product snapshot refresh failed', { error: error.message });
+    }
+  });
+
+  logger.info('Product snapshot refresh scheduled', { schedule });
+  return task;
+}
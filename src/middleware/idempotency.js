@@ -0,0 +1,106 @@
+// Idempotency Middleware - replay stored responses for repeated order requests
+import { idempotencyService, hashRequestBody } from '../services/idempotencyService.js';
+import logger from '../utils/logger.js';
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Honor the `Idempotency-Key` header on an order-creating route.
+ *
+ * When the header is missing, the first non-empty body field listed in
+ * `bodyKeys` is used instead (e.g. `botOrderId` sent by SendPulse flows).
+ * Only successful (2xx) responses are stored; failed requests release the key
+ * so the client can retry them.
+ *
+ * @param {Object} options
+ * @param {string} options.scope - Unique name of the route, e.g. 'bot:telegram-order'
+ * @param {string[]} [options.bodyKeys] - Body fields to fall back to when the header is absent
+ */
+export const idempotency = ({ scope, bodyKeys = ['botOrderId'] }) => {
+  return async (req, res, next) => {
+    const headerKey = req.get('Idempotency-Key');
+    const bodyKey = bodyKeys.map((field) => req.body?.[field]).find((value) => value);
+    const key = headerKey || (bodyKey ? String(bodyKey) : null);
+
+    // Idempotency is opt-in per request
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency key must be at most ${MAX_KEY_LENGTH} characters`,
+        code: 'IDEMPOTENCY_KEY_INVALID'
+      });
+    }
+
+    try {
+      const requestHash = hashRequestBody(req.body);
+      const { outcome, record } = await idempotencyService.begin(scope, key, requestHash);
+
+      if (outcome === 'replay') {
+        logger.info('Replaying stored response for idempotency key', {
+          scope,
+          key,
+          statusCode: record.statusCode
+        });
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(JSON.parse(record.responseBody));
+      }
+
+      if (outcome === 'in_progress') {
+        logger.warn('Concurrent request with the same idempotency key', { scope, key });
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this idempotency key is already being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      if (outcome === 'mismatch') {
+        logger.warn('Idempotency key reused with a different payload', { scope, key });
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency key was already used with a different request payload',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      // outcome === 'started' — capture the response body once the route answers
+      let responseBody;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      res.on('finish', () => {
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const settle = succeeded
+          ? idempotencyService.complete(record.id, res.statusCode, responseBody)
+          : idempotencyService.release(record.id);
+
+        settle.catch((error) => {
+          logger.error('Failed to settle idempotency key', {
+            error: error.message,
+            scope,
+            key
+          });
+        });
+      });
+
+      next();
+
+    } catch (error) {
+      // Never block order creation because the idempotency store is unavailable
+      logger.error('Idempotency check failed, processing request without it', {
+        error: error.message,
+        scope,
+        key
+      });
+      next();
+    }
+  };
+};
@@ -1,5 +1,7 @@
 // Validation Middleware - Bot Order Validation
 import Joi from 'joi';
+import { UNIT_TYPES, KEYCRM_UNITS } from '../config/productUnits.js';
+import { PAYMENT_METHODS, DEFAULT_PAYMENT_METHOD } from '../config/payments.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -99,7 +101,7 @@ export const validateBotOrderOptional = (req, res, next) => {
     }).optional().default({}),
 
     // Payment information - OPTIONAL
-    paymentMethod: Joi.string().valid('CASH', 'CARD', 'BANK_TRANSFER', 'TWINT').optional(),
+    paymentMethod: Joi.string().valid(...PAYMENT_METHODS).optional(),
 
     // Additional information - OPTIONAL
     notes: Joi.string().max(2000).optional(),
@@ -176,7 +178,7 @@ export const validateBotOrderOptional = (req, res, next) => {
 
   // Fill payment method default
   if (!processedData.paymentMethod) {
-    processedData.paymentMethod = 'CASH';
+    processedData.paymentMethod = DEFAULT_PAYMENT_METHOD;
   }
 
   // Add processed data to request
@@ -233,7 +235,7 @@ export const validateBotOrder = (req, res, next) => {
     }).required(),
 
     // Payment information
-    paymentMethod: Joi.string().valid('CASH', 'CARD', 'BANK_TRANSFER', 'TWINT').optional(),
+    paymentMethod: Joi.string().valid(...PAYMENT_METHODS).optional(),
 
     // Additional information
     notes: Joi.string().max(2000).optional(),
@@ -329,6 +331,185 @@ export const validateOrderUpdate = (req, res, next) => {
   next();
 };
 
+const productMappingFields = {
+  ecommerceId: Joi.number().integer().positive().allow(null),
+  sendpulseId: Joi.number().integer().positive().allow(null),
+  name: Joi.string().trim().min(1).max(500),
+  keycrmId: Joi.number().integer().positive().allow(null),
+  keycrmSku: Joi.string().trim().max(100).allow(null),
+  keycrmOfferId: Joi.number().integer().positive().allow(null),
+  googleSheetsColumn: Joi.string().trim().max(50).allow(null),
+  syncStatus: Joi.string().valid('ACTIVE', 'ARCHIVED'),
+  // Cart unit, see src/config/productUnits.js
+  unitType: Joi.string().valid(...UNIT_TYPES),
+  unitWeightKg: Joi.number().positive().precision(3).allow(null),
+  quantityStep: Joi.number().integer().positive(),
+  minQuantity: Joi.number().integer().positive(),
+  maxQuantity: Joi.number().integer().positive().allow(null),
+  keycrmUnit: Joi.string().valid(...KEYCRM_UNITS)
+};
+
+/**
+ * Validate product mapping create / patch (admin API)
+ * Create requires `name`; patch requires at least one field.
+ */
+export const validateProductMapping = ({ partial = false } = {}) => (req, res, next) => {
+  const schema = partial
+    ? Joi.object(productMappingFields).min(1)
+    : Joi.object({ ...productMappingFields, name: productMappingFields.name.required() });
+
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: validationErrors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+const stationName = Joi.string().trim().min(1).max(100);
+
+const deliveryStationFields = {
+  code: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).max(50),
+  names: Joi.object({
+    uk: stationName,
+    ru: stationName,
+    fr: stationName,
+    en: stationName
+  }),
+  aliases: Joi.array().items(stationName).max(50),
+  canton: Joi.string().trim().uppercase().length(2),
+  ecommerceStationId: Joi.number().integer().positive().allow(null),
+  // See src/config/delivery.js for how the schedule is used
+  schedule: Joi.object({
+    days: Joi.array().items(Joi.number().integer().min(1).max(7)).unique(),
+    time: Joi.string().trim().max(50),
+    note: Joi.string().trim().max(200),
+    cutoff: Joi.object({
+      daysBefore: Joi.number().integer().min(0).max(14),
+      time: Joi.string().pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+    })
+  }),
+  // Overrides the type / canton delivery pricing, see src/config/deliveryPricing.js
+  pricing: Joi.object({
+    fee: Joi.number().precision(2).min(0),
+    freeFrom: Joi.number().precision(2).min(0).allow(null),
+    minOrder: Joi.number().precision(2).min(0)
+  }),
+  // Street address of the pickup point, sent with pickup orders
+  address: Joi.object({
+    city: Joi.string().trim().max(100),
+    street: Joi.string().trim().max(200),
+    house: Joi.string().trim().max(20),
+    postalCode: Joi.string().trim().max(10)
+  }),
+  isPickup: Joi.boolean(),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer()
+};
+
+/**
+ * Validate delivery station create / patch (admin API)
+ * Create requires code, all four names and canton; patch requires at least one field.
+ */
+export const validateDeliveryStation = ({ partial = false } = {}) => (req, res, next) => {
+  const schema = partial
+    ? Joi.object(deliveryStationFields).min(1)
+    : Joi.object({
+      ...deliveryStationFields,
+      code: deliveryStationFields.code.required(),
+      names: deliveryStationFields.names.and('uk', 'ru', 'fr', 'en').required(),
+      canton: deliveryStationFields.canton.required()
+    });
+
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: validationErrors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+const promoCodeFields = {
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(3).max(50),
+  description: Joi.string().trim().max(500).allow('', null),
+  discountType: Joi.string().valid('PERCENTAGE', 'FIXED'),
+  // Percent (up to 100) or CHF
+  discountValue: Joi.number().positive().precision(2)
+    .when('discountType', { is: 'PERCENTAGE', then: Joi.number().max(100) }),
+  minOrderAmount: Joi.number().min(0).precision(2).allow(null),
+  validFrom: Joi.date().iso().allow(null),
+  validUntil: Joi.date().iso().allow(null),
+  usageLimitPerCustomer: Joi.number().integer().positive().allow(null),
+  isActive: Joi.boolean()
+};
+
+/**
+ * Validate promo code create / patch (admin API)
+ * Create requires code, discountType and discountValue; patch requires at least one field.
+ */
+export const validatePromoCode = ({ partial = false } = {}) => (req, res, next) => {
+  const schema = partial
+    ? Joi.object(promoCodeFields).min(1)
+    : Joi.object({
+      ...promoCodeFields,
+      code: promoCodeFields.code.required(),
+      discountType: promoCodeFields.discountType.required(),
+      discountValue: promoCodeFields.discountValue.required()
+    });
+
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: validationErrors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
 /**
  * Validate webhook signature (for incoming webhooks from SendPulse)
  */
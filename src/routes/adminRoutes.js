@@ -0,0 +1,94 @@
+// Admin routes — mounted behind authMiddleware at /api/admin
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateProductMapping, validateDeliveryStation, validatePromoCode } from '../middleware/validation.js';
+import {
+  listMappings,
+  getMapping,
+  createMapping,
+  updateMapping,
+  archiveMapping,
+  importMappings,
+} from '../controllers/productMappingController.js';
+import {
+  listStations,
+  resolveStation,
+  getStation,
+  createStation,
+  updateStation,
+  deactivateStation,
+} from '../controllers/deliveryStationController.js';
+import { getAbandonmentStats } from '../controllers/cartAbandonmentController.js';
+import {
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+} from '../controllers/promoCodeController.js';
+
+const router = express.Router();
+
+// JWT users need the admin role; API keys need sync_operations
+router.use(requireRole(['admin', 'sync_operations']));
+
+// GET /api/admin/product-mappings?syncStatus=ACTIVE&search=SYR&hasEcommerceId=false&page=1&limit=50
+router.get('/product-mappings', asyncHandler(listMappings));
+
+// POST /api/admin/product-mappings/import — CSV bulk create / update
+router.post(
+  '/product-mappings/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  asyncHandler(importMappings)
+);
+
+// GET /api/admin/product-mappings/:id
+router.get('/product-mappings/:id', asyncHandler(getMapping));
+
+// POST /api/admin/product-mappings
+router.post('/product-mappings', validateProductMapping(), asyncHandler(createMapping));
+
+// PATCH /api/admin/product-mappings/:id
+router.patch('/product-mappings/:id', validateProductMapping({ partial: true }), asyncHandler(updateMapping));
+
+// DELETE /api/admin/product-mappings/:id — soft delete (ARCHIVED)
+router.delete('/product-mappings/:id', asyncHandler(archiveMapping));
+
+// GET /api/admin/delivery-stations?includeInactive=true
+router.get('/delivery-stations', asyncHandler(listStations));
+
+// GET /api/admin/delivery-stations/resolve?q=Vevey 11:40 — test the resolver
+router.get('/delivery-stations/resolve', asyncHandler(resolveStation));
+
+// GET /api/admin/delivery-stations/:id
+router.get('/delivery-stations/:id', asyncHandler(getStation));
+
+// POST /api/admin/delivery-stations
+router.post('/delivery-stations', validateDeliveryStation(), asyncHandler(createStation));
+
+// PATCH /api/admin/delivery-stations/:id
+router.patch('/delivery-stations/:id', validateDeliveryStation({ partial: true }), asyncHandler(updateStation));
+
+// DELETE /api/admin/delivery-stations/:id — soft delete (inactive)
+router.delete('/delivery-stations/:id', asyncHandler(deactivateStation));
+
+// GET /api/admin/abandoned-carts/stats?days=30
+router.get('/abandoned-carts/stats', asyncHandler(getAbandonmentStats));
+
+// GET /api/admin/promo-codes?includeInactive=true
+router.get('/promo-codes', asyncHandler(listPromoCodes));
+
+// GET /api/admin/promo-codes/:id
+router.get('/promo-codes/:id', asyncHandler(getPromoCode));
+
+// POST /api/admin/promo-codes
+router.post('/promo-codes', validatePromoCode(), asyncHandler(createPromoCode));
+
+// PATCH /api/admin/promo-codes/:id
+router.patch('/promo-codes/:id', validatePromoCode({ partial: true }), asyncHandler(updatePromoCode));
+
+// DELETE /api/admin/promo-codes/:id — soft delete (inactive)
+router.delete('/promo-codes/:id', asyncHandler(deactivatePromoCode));
+
+export default router;
@@ -2,10 +2,16 @@
 import express from 'express';
 import { emailOrderController } from '../controllers/emailOrderController.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 // POST /api/orders/from-email
-router.post('/from-email', authMiddleware, emailOrderController.createFromEmail);
+router.post(
+  '/from-email',
+  authMiddleware,
+  idempotency({ scope: 'orders:from-email', bodyKeys: ['messageId'] }),
+  emailOrderController.createFromEmail
+);
 
 export default router;
\ No newline at end of file
@@ -1,9 +1,12 @@
 // Product routes — public, no auth required (called directly by bots)
 import { Router } from 'express';
-import { getProductByEcommerceId } from '../controllers/productController.js';
+import { getCatalog, getProductByEcommerceId } from '../controllers/productController.js';
 
 const router = Router();
 
+// GET /api/products?lang=fr&page=1&limit=50&category=3
+router.get('/products', getCatalog);
+
 // GET /api/products/:ecommerceId?lang=ru
 router.get('/products/:ecommerceId', getProductByEcommerceId);
 
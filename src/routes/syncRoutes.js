@@ -1,6 +1,7 @@
 // src/routes/syncRoutes.js
 import express from 'express';
 import SyncController from '../controllers/syncController.js';
+import { idempotency } from '../middleware/idempotency.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -20,12 +21,28 @@ router.use((req, res, next) => {
   next();
 });
 
-// POST /api/sync/products
-// Manually trigger KeyCRM → product_mappings sync
+// POST /api/sync/products?dryRun=true
+// Reconcile product_mappings with KeyCRM and refresh product snapshots
 router.post('/products', async (req, res) => {
   await syncController.syncProducts(req, res);
 });
 
+/**
+ * GET /api/sync/outbox
+ * List order outbox entries — dead-lettered by default, ?status=ALL for everything
+ */
+router.get('/outbox', async (req, res) => {
+  await syncController.listOutbox(req, res);
+});
+
+/**
+ * POST /api/sync/outbox/:trackingId/replay
+ * Re-queue a dead-lettered order for submission to KeyCRM
+ */
+router.post('/outbox/:trackingId/replay', async (req, res) => {
+  await syncController.replayOutboxEntry(req, res);
+});
+
 /**
  * POST /api/sync/update-deal-status
  * Update deal status in SendPulse when ecommerce order status changes
@@ -40,7 +57,7 @@ router.post('/update-deal-status', async (req, res) => {
  * Create new deal in SendPulse from ecommerce order
  * Body: { orderId, orderData }
  */
-router.post('/create-deal', async (req, res) => {
+router.post('/create-deal', idempotency({ scope: 'sync:create-deal', bodyKeys: [] }), async (req, res) => {
   await syncController.createDeal(req, res);
 });
 
@@ -95,7 +112,9 @@ router.get('/health', (req, res) => {
       'POST /update-deal-status': 'Update deal status in SendPulse',
       'POST /create-deal': 'Create new deal from order',
       'GET /status/:orderId': 'Get order sync status',
-      'POST /test-connection': 'Test SendPulse connection'
+      'POST /test-connection': 'Test SendPulse connection',
+      'GET /outbox': 'List dead-lettered orders',
+      'POST /outbox/:trackingId/replay': 'Replay dead-lettered order'
     },
     configuration: {
       ecommerceApiUrl: process.env.ECOMMERCE_API_URL || 'NOT_CONFIGURED',
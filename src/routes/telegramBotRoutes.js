@@ -2,6 +2,21 @@
 import express from 'express';
 import { BotController } from '../controllers/botController.js';
 import { validateApiKey } from '../middleware/validation.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { orderOutboxService, formatOutboxEntry } from '../services/orderOutboxService.js';
+import { cartPricingService } from '../services/cartPricingService.js';
+import { deliveryStationService, RESOLUTION_STATUS } from '../services/deliveryStationService.js';
+import { deliveryScheduleService } from '../services/deliveryScheduleService.js';
+import { customerService } from '../services/customerService.js';
+import { cartAbandonmentService } from '../services/cartAbandonmentService.js';
+import { stockService } from '../services/stockService.js';
+import { promoService } from '../services/promoService.js';
+import { deliveryPricingService } from '../services/deliveryPricingService.js';
+import { getDeliveryTimezone, normalizeDeliveryType, DELIVERY_TYPES } from '../config/delivery.js';
+import { formatQuantity } from '../config/productUnits.js';
+import { getChannelAdapter, adaptCartCheckout, SUPPORTED_CHANNELS } from '../adapters/index.js';
+import { adaptTelegramOrder } from '../adapters/telegramAdapter.js';
+import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 import axios from 'axios';
 
@@ -45,9 +60,183 @@ router.use((req, res, next) => {
 router.use(validateApiKey);
 
 /**
- * Create telegram order - fixed version with proper ID conversion
+ * 409 body returned when checkout finds stale cart prices. The cart has
+ * already been re-priced, so the bot can show the diff and check out again.
  */
-router.post('/telegram-order', async (req, res) => {
+const priceChangedResponse = (cart, priceChanges, previousTotal) => ({
+  success: false,
+  error: 'Prices changed since the items were added to the cart',
+  code: 'CART_PRICE_CHANGED',
+  priceChanges,
+  previousTotal,
+  cartTotal: cart.totalAmount
+});
+
+const DELIVERY_ERROR_CODES = ['DELIVERY_STATION_AMBIGUOUS', 'DELIVERY_DATE_UNAVAILABLE', 'NO_DELIVERY_DATES'];
+
+const publicStation = ({ id, code, names, canton, isPickup }) => ({ id, code, names, canton, isPickup });
+
+/**
+ * 422 body returned when the delivery can't be scheduled as requested: the
+ * station text matches several stations (`candidates`) or the chosen date is
+ * not orderable (`options`), so the bot can ask the customer again.
+ */
+const deliveryErrorResponse = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  ...(error.candidates && { candidates: error.candidates.map(publicStation) }),
+  ...(error.options && { options: error.options })
+});
+
+/**
+ * 400 body for an order the adapters could not turn into a valid canonical order
+ */
+const invalidOrderResponse = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  details: error.details
+});
+
+// Quantity outside the product's unit step / limits (config/productUnits.js)
+const invalidQuantityResponse = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  allowed: error.allowed
+});
+
+/**
+ * 409 body for quantities above the KeyCRM stock (STOCK_CHECK_MODE=reject);
+ * `shortages` lists [{ productId, name, requested, available }].
+ */
+const insufficientStockResponse = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  shortages: error.shortages
+});
+
+/**
+ * 4xx body for a promo code that can't be used (PROMO_NOT_FOUND,
+ * PROMO_EXPIRED, PROMO_MIN_ORDER with `minOrderAmount`, ...) or an empty cart
+ */
+const promoErrorResponse = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  ...(error.minOrderAmount !== undefined && { minOrderAmount: error.minOrderAmount })
+});
+
+/**
+ * Promo code applied to a cart being checked out, or null. A code that no
+ * longer qualifies stops the checkout (422 with its PROMO_* code) so the
+ * customer isn't charged full price unawares.
+ */
+const checkoutPromo = async (contactId, cart) => {
+  const promo = await promoService.getCartPromo(contactId, cart);
+  if (promo && !promo.valid) {
+    throw new AppError(promo.error, 422, promo.errorCode);
+  }
+  return promo;
+};
+
+/**
+ * 422 body for a cart below the minimum order of its delivery zone
+ */
+const belowMinimumResponse = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  minOrderAmount: error.minOrderAmount,
+  amountToMinimum: error.amountToMinimum
+});
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Value of order lines [{ price, quantity }]
+const linesTotal = (lines) => roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+/**
+ * Resolve the station against the registry and fix the delivery date / slot
+ */
+const prepareDelivery = async (deliveryInfo) => {
+  const resolved = await deliveryStationService.resolveDeliveryInfo(deliveryInfo);
+  return deliveryScheduleService.scheduleDelivery(resolved);
+};
+
+/**
+ * Delivery fee of an order being accepted (goods after discount), set as the
+ * order's shipping total for KeyCRM. Throws 422 ORDER_BELOW_MINIMUM for an
+ * order below the zone's minimum order.
+ */
+const priceDelivery = async (order, goodsTotal) => {
+  const quote = await deliveryPricingService.quoteCheckout(order.delivery, goodsTotal);
+  order.totals = { ...order.totals, shipping: quote.fee };
+  return quote;
+};
+
+/**
+ * Accept a canonical bot order: schedule its delivery, check its promo code
+ * and price the delivery on the cart lines or the live prices, check stock,
+ * then queue it together with its promo reservation. A checked-out cart is
+ * cleared once the order is stored.
+ * Returns { outboxEntry, promo, deliveryQuote }.
+ */
+const acceptBotOrder = async (order, { cart = null } = {}) => {
+  order.delivery = await prepareDelivery(order.delivery);
+
+  const lines = cart ? cart.items : await cartPricingService.priceItems(order.items);
+  const promo = await promoService.checkOrderPromo(order, lines);
+  const deliveryQuote = await priceDelivery(order, roundMoney(linesTotal(lines) - (promo?.discountAmount || 0)));
+  await stockService.assertAvailable(order.items, { contactId: order.contactId });
+
+  // The outbox worker submits it to KeyCRM with the reserved discount
+  const outboxEntry = await orderOutboxService.enqueueBotOrder(order, { promo });
+
+  if (cart) {
+    await botController.dbService.clearCart(order.contactId);
+    await cartAbandonmentService.markRecovered(order.contactId, { trackingId: outboxEntry.trackingId });
+  }
+
+  return { outboxEntry, promo, deliveryQuote };
+};
+
+/**
+ * Status and body for an order refused by the adapters or acceptBotOrder,
+ * or null for an unexpected error
+ */
+const orderRejection = (error) => {
+  if (DELIVERY_ERROR_CODES.includes(error.code)) {
+    return { status: 422, body: deliveryErrorResponse(error) };
+  }
+  if (error.code === 'INVALID_ORDER') {
+    return { status: 400, body: invalidOrderResponse(error) };
+  }
+  if (error.code === 'INSUFFICIENT_STOCK') {
+    return { status: 409, body: insufficientStockResponse(error) };
+  }
+  if (error.code?.startsWith('PROMO_')) {
+    return { status: error.status, body: promoErrorResponse(error) };
+  }
+  if (error.code === 'ORDER_BELOW_MINIMUM') {
+    return { status: 422, body: belowMinimumResponse(error) };
+  }
+
+  const statusCodes = { DUPLICATE_BOT_ORDER_ID: 409, PRODUCT_NOT_MAPPED: 422 };
+  if (statusCodes[error.code]) {
+    return { status: statusCodes[error.code], body: { success: false, error: error.message, code: error.code } };
+  }
+
+  return null;
+};
+
+/**
+ * Create telegram order - validated here, then queued in the outbox and
+ * submitted to KeyCRM in the background. Responds 202 with a tracking ID.
+ */
+router.post('/telegram-order', idempotency({ scope: 'bot:telegram-order' }), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -80,102 +269,38 @@ router.post('/telegram-order', async (req, res) => {
 
 
 
-    // FIXED: Convert product IDs to integers and validate
-    const processedProducts = products.map(product => {
-      // Convert ID to integer - handle both string and number inputs
-      let productId;
-      if (typeof product.id === 'string') {
-        productId = parseInt(product.id, 10);
-      } else if (typeof product.id === 'number') {
-        productId = product.id;
-      } else {
-        throw new Error(`Invalid product ID type: ${typeof product.id}. Expected string or number.`);
-      }
-
-      // Validate converted ID
-      if (isNaN(productId) || productId <= 0) {
-        throw new Error(`Invalid product ID: ${product.id}. Must be a positive integer.`);
-      }
-
-      // Convert quantity to integer
-      let quantity;
-      if (typeof product.quantity === 'string') {
-        quantity = parseInt(product.quantity, 10);
-      } else if (typeof product.quantity === 'number') {
-        quantity = product.quantity;
-      } else {
-        throw new Error(`Invalid quantity type: ${typeof product.quantity}. Expected string or number.`);
-      }
-
-      // Validate quantity
-      if (isNaN(quantity) || quantity <= 0) {
-        throw new Error(`Invalid quantity: ${product.quantity}. Must be a positive integer.`);
-      }
-
-      return {
-        id: productId,
-        quantity: quantity,
-        notes: product.notes || null
-      };
-    });
-
-    logger.info('Products processed and validated', {
-      originalProducts: products,
-      processedProducts: processedProducts
-    });
-
-    // Add defaults for missing fields
-    const processedOrder = {
-      source: 'telegram',
-      chatId: req.body.chatId || req.body.telegram_id || 'unknown',
-      botOrderId: req.body.botOrderId || `tg_${Date.now()}`,
-      contact_id: contact_id,
-      telegram_id: req.body.telegram_id || req.body.chatId,
-      language: req.body.language || 'uk',
-      customerInfo: {
-        firstName: req.body.customerInfo?.firstName || 'TelegramUser',
-        lastName: req.body.customerInfo?.lastName || req.body.customerInfo?.username || 'Unknown',
-        phone: req.body.customerInfo?.phone || null,
-        username: req.body.customerInfo?.username || null
-      },
-      products: processedProducts, // Use processed products with proper types
-      deliveryInfo: {
-        type: req.body.deliveryInfo?.type || 'railway_station',
-        city: req.body.deliveryInfo?.city || 'Nyon',
-        canton: req.body.deliveryInfo?.canton || 'VD',
-        station: req.body.deliveryInfo?.station || 'Nyon',
-        ...req.body.deliveryInfo
-      },
-      paymentMethod: req.body.paymentMethod || 'CASH',
-      notes: req.body.notes || `Telegram order from ${req.body.customerInfo?.username || req.body.telegram_id}`,
-      // Pass through all the orderAttributes from SendPulse bot variables
-      orderAttributes: {
-        ...req.body.orderAttributes,
-        language: req.body.language || 'uk'
-      }
-    };
+    // Canonical order: normalized product IDs/quantities and channel defaults
+    const processedOrder = adaptTelegramOrder(req.body);
 
     logger.info('Telegram order creation request', {
-      contact_id: processedOrder.contact_id,
-      telegram_id: processedOrder.telegram_id,
+      contact_id: processedOrder.contactId,
+      chatId: processedOrder.chatId,
       language: processedOrder.language,
-      productCount: processedOrder.products.length,
-      customerName: `${processedOrder.customerInfo.firstName} ${processedOrder.customerInfo.lastName}`,
-      productIds: processedOrder.products.map(p => p.id),
-      hasOrderAttributes: Object.keys(processedOrder.orderAttributes).length > 0
+      productCount: processedOrder.items.length,
+      customerName: processedOrder.customer.fullName,
+      productIds: processedOrder.items.map(item => item.productId),
+      hasOrderAttributes: Object.keys(processedOrder.attributes).length > 0
     });
 
-    const result = await botController.createOrder(processedOrder);
+    const { outboxEntry, promo, deliveryQuote } = await acceptBotOrder(processedOrder);
 
     const duration = Date.now() - startTime;
-    logger.info('Telegram order creation completed', {
-      botOrderId: result.botOrderId,
-      crmOrderId: result.crmOrderId,
+    logger.info('Telegram order queued', {
+      trackingId: outboxEntry.trackingId,
       duration: `${duration}ms`,
       success: true
     });
 
-    res.status(201).json(result);
+    res.status(202).json({
+      success: true,
+      status: 'QUEUED',
+      trackingId: outboxEntry.trackingId,
+      botOrderId: outboxEntry.trackingId,
+      ...(promo && { promoCode: promo.code, discountAmount: promo.discountAmount }),
+      deliveryFee: deliveryQuote.fee,
+      delivery: deliveryQuote,
+      message: 'Order accepted and queued for processing'
+    });
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -187,6 +312,11 @@ router.post('/telegram-order', async (req, res) => {
       duration: `${duration}ms`
     });
 
+    const rejection = orderRejection(error);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
     // Return user-friendly error message
     let errorMessage = 'Telegram order creation failed';
     let statusCode = 500;
@@ -214,7 +344,121 @@ router.post('/telegram-order', async (req, res) => {
   }
 });
 
-router.post('/telegram-order-enhanced', async (req, res) => {
+/**
+ * Create order from any messenger channel (telegram, whatsapp, instagram).
+ * The channel adapter normalizes the bot payload; when no products are sent
+ * the contact's cart is checked out. Queued like /telegram-order (202).
+ */
+router.post('/orders', idempotency({ scope: 'bot:orders' }), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { source, contact_id } = req.body;
+    const adapter = getChannelAdapter(source);
+
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        error: `Source must be one of: ${SUPPORTED_CHANNELS.join(', ')}`,
+        code: 'INVALID_SOURCE'
+      });
+    }
+
+    if (!contact_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'contact_id is required',
+        code: 'MISSING_CONTACT_ID'
+      });
+    }
+
+    // No products in the request — check out the contact's cart instead
+    let cart = null;
+    let order;
+    if (!Array.isArray(req.body.products) || req.body.products.length === 0) {
+      const repriced = await cartPricingService.repriceCart(String(contact_id));
+      cart = repriced.cart;
+
+      if (cart.isEmpty) {
+        return res.status(400).json({
+          success: false,
+          error: 'Products array is required when the cart is empty',
+          code: 'MISSING_PRODUCTS'
+        });
+      }
+
+      if (repriced.priceChanges.length > 0) {
+        return res.status(409).json(
+          priceChangedResponse(cart, repriced.priceChanges, repriced.previousTotal)
+        );
+      }
+
+      const cartPromo = await checkoutPromo(String(contact_id), cart);
+      order = adaptCartCheckout({ ...req.body, promoCode: cartPromo?.code || req.body.promoCode }, cart, adapter);
+    } else {
+      order = adapter(req.body);
+    }
+
+    logger.info('Bot order creation request', {
+      source: order.source,
+      contact_id: order.contactId,
+      language: order.language,
+      productCount: order.items.length,
+      fromCart: !!cart
+    });
+
+    const { outboxEntry, promo, deliveryQuote } = await acceptBotOrder(order, { cart });
+
+    logger.info('Bot order queued', {
+      source: order.source,
+      trackingId: outboxEntry.trackingId,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    res.status(202).json({
+      success: true,
+      status: 'QUEUED',
+      source: order.source,
+      trackingId: outboxEntry.trackingId,
+      botOrderId: outboxEntry.trackingId,
+      ...(cart && { cartTotal: cart.totalAmount, itemsOrdered: cart.totalItems }),
+      ...(promo && { promoCode: promo.code, discountAmount: promo.discountAmount }),
+      deliveryFee: deliveryQuote.fee,
+      delivery: deliveryQuote,
+      message: 'Order accepted and queued for processing'
+    });
+
+  } catch (error) {
+    logger.error('Bot order creation failed', {
+      error: error.message,
+      source: req.body.source,
+      contact_id: req.body.contact_id,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    const rejection = orderRejection(error);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    let statusCode = 500;
+    let code = 'BOT_ORDER_CREATION_FAILED';
+
+    if (error.message.includes('Invalid product ID') || error.message.includes('Invalid quantity')) {
+      statusCode = 400;
+      code = 'INVALID_PRODUCTS';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Bot order creation failed' : error.message,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      code
+    });
+  }
+});
+
+router.post('/telegram-order-enhanced', idempotency({ scope: 'bot:telegram-order-enhanced' }), async (req, res) => {
   try {
     const result = await botController.createOrderEnhanced(req.body);
     res.status(201).json(result);
@@ -341,15 +585,22 @@ router.post('/cart-add', async (req, res) => {
       });
     }
 
-    // Add to cart using database
-    const cartItem = await botController.dbService.addToCart(contact_id, telegram_id, {
+    // Price comes from KeyCRM and the line weight from the product unit
+    const { price: livePrice, availability } = await cartPricingService.addItem(contact_id, telegram_id, {
       productId: product_id,
       productName: product_name,
-      quantity: quantity,
-      price: price,
+      quantity: Number(quantity),
       weightKg: weight_kg
     });
 
+    if (price !== undefined && Number(price) !== livePrice) {
+      logger.warn('Bot-supplied cart price differs from KeyCRM price', {
+        product_id,
+        botPrice: price,
+        keycrmPrice: livePrice
+      });
+    }
+
     // Get updated cart
     const cart = await botController.dbService.getCart(contact_id);
 
@@ -362,6 +613,8 @@ router.post('/cart-add', async (req, res) => {
     res.json({
       success: true,
       message: 'Item added to cart',
+      price: livePrice,
+      availability,
       cart: cart
     });
 
@@ -371,6 +624,22 @@ router.post('/cart-add', async (req, res) => {
       contact_id: req.body.contact_id
     });
 
+    if (error.code === 'PRODUCT_NOT_MAPPED') {
+      return res.status(422).json({
+        success: false,
+        error: 'Product is not available for ordering',
+        code: error.code
+      });
+    }
+
+    if (error.code === 'INVALID_QUANTITY') {
+      return res.status(400).json(invalidQuantityResponse(error));
+    }
+
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(409).json(insufficientStockResponse(error));
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to add item to cart'
@@ -380,11 +649,17 @@ router.post('/cart-add', async (req, res) => {
 
 /**
  * Get cart contents from database with language support
+ * GET /api/bot/cart/:contact_id?language=fr&delivery_type=railway_station&station=Vevey
+ *
+ * With a delivery type or station the cart also shows the delivery fee, the
+ * amount left to free delivery and the zone's minimum order.
  */
 router.get('/cart/:contact_id', async (req, res) => {
   try {
     const { contact_id } = req.params;
     const language = req.query.language || req.query.lang || 'uk';
+    const deliveryType = normalizeDeliveryType(req.query.delivery_type);
+    const stationInput = req.query.station;
 
     logger.info('Getting cart contents', { contact_id, language });
 
@@ -392,51 +667,95 @@ router.get('/cart/:contact_id', async (req, res) => {
 
     // Translations for cart UI
     const translations = {
-      uk: { emptyCart: 'Кошик порожній', total: 'Всього', kg: 'кг' },
-      en: { emptyCart: 'Cart is empty', total: 'Total', kg: 'kg' },
-      fr: { emptyCart: 'Panier vide', total: 'Total', kg: 'kg' },
-      ru: { emptyCart: 'Корзина пуста', total: 'Всего', kg: 'кг' }
+      uk: {
+        emptyCart: 'Кошик порожній', total: 'Всього', kg: 'кг', discount: 'Знижка', toPay: 'До сплати',
+        delivery: 'Доставка', free: 'безкоштовно', toFreeDelivery: 'До безкоштовної доставки',
+        minOrder: 'Мінімальне замовлення', toMinimum: 'Бракує'
+      },
+      en: {
+        emptyCart: 'Cart is empty', total: 'Total', kg: 'kg', discount: 'Discount', toPay: 'To pay',
+        delivery: 'Delivery', free: 'free', toFreeDelivery: 'Left for free delivery',
+        minOrder: 'Minimum order', toMinimum: 'Missing'
+      },
+      fr: {
+        emptyCart: 'Panier vide', total: 'Total', kg: 'kg', discount: 'Remise', toPay: 'À payer',
+        delivery: 'Livraison', free: 'gratuite', toFreeDelivery: 'Encore pour la livraison gratuite',
+        minOrder: 'Commande minimum', toMinimum: 'Manque'
+      },
+      ru: {
+        emptyCart: 'Корзина пуста', total: 'Всего', kg: 'кг', discount: 'Скидка', toPay: 'К оплате',
+        delivery: 'Доставка', free: 'бесплатно', toFreeDelivery: 'До бесплатной доставки',
+        minOrder: 'Минимальный заказ', toMinimum: 'Не хватает'
+      }
     };
 
     const t = translations[language] || translations.uk;
 
+    // Promo code applied to the cart (valid false when it no longer qualifies)
+    const promo = cart.isEmpty ? null : await promoService.getCartPromo(contact_id, cart);
+    const discountAmount = promo?.discountAmount || 0;
+    const totalAfterDiscount = roundMoney(cart.totalAmount - discountAmount);
+
+    // Delivery price for the zone the bot asked about
+    let delivery = null;
+    if (!cart.isEmpty && (deliveryType || stationInput)) {
+      const deliveryInfo = await deliveryStationService.resolveDeliveryInfo({
+        ...(deliveryType && { type: deliveryType }),
+        ...(stationInput && { station: stationInput })
+      });
+      delivery = await deliveryPricingService.quote(deliveryInfo, totalAfterDiscount);
+    }
+    const totalToPay = roundMoney(totalAfterDiscount + (delivery?.fee || 0));
+
     // Format cart display
     let cartDisplay = '';
     if (cart.isEmpty) {
       cartDisplay = t.emptyCart;
     } else {
-      cartDisplay = cart.items.map(item => {
-        const productId = parseInt(item.productId);
-        const itemName = item.productName;
-        const itemTotal = parseFloat(item.total).toFixed(2);
-        
-        // Category 1: Products sold by piece (qty only, no units)
-        // Products: 4, 11, 12, 30
-        if ([4, 11, 12, 30].includes(productId)) {
-          return `${itemName} x ${item.quantity} = ${itemTotal} CHF`;
-        }
-        
-        // Category 2: Weight-based products (qty / 2 = kg)
-        // Products: 3, 6, 25
-        else if ([3, 6, 25].includes(productId)) {
-          const weightInKg = item.quantity / 2;
-          return `${itemName} ${weightInKg} ${t.kg} = ${itemTotal} CHF`;
-        }
+      const units = await cartPricingService.getUnits(cart.items.map(item => item.productId));
 
-        // Category 3: All other products (qty in kg)
-        // All remaining products
-        else {
-          return `${itemName} x ${item.quantity} ${t.kg} = ${itemTotal} CHF`;
-        }
+      cartDisplay = cart.items.map(item => {
+        const quantity = formatQuantity(units.get(item.productId), item.quantity, t.kg);
+        return `${item.productName} ${quantity} = ${parseFloat(item.total).toFixed(2)} CHF`;
       }).join('\n');
       
       cartDisplay += `\n\n${t.total}: ${cart.totalAmount.toFixed(2)} CHF`;
+
+      if (discountAmount > 0) {
+        cartDisplay += `\n${t.discount} (${promo.code}): -${discountAmount.toFixed(2)} CHF`;
+      }
+
+      if (delivery) {
+        cartDisplay += `\n${t.delivery}: ${delivery.fee > 0 ? `${delivery.fee.toFixed(2)} CHF` : t.free}`;
+        if (delivery.amountToFreeDelivery) {
+          cartDisplay += `\n${t.toFreeDelivery}: ${delivery.amountToFreeDelivery.toFixed(2)} CHF`;
+        }
+        if (!delivery.meetsMinimum) {
+          cartDisplay += `\n${t.minOrder}: ${delivery.minOrder.toFixed(2)} CHF (${t.toMinimum} ${delivery.amountToMinimum.toFixed(2)} CHF)`;
+        }
+      }
+
+      if (discountAmount > 0 || delivery?.fee > 0) {
+        cartDisplay += `\n${t.toPay}: ${totalToPay.toFixed(2)} CHF`;
+      }
     }
 
+    // Stock status of each line for the quantity in the cart
+    const availability = await stockService.getAvailability(cart.items);
+
     res.json({
       success: true,
       cart: {
         ...cart,
+        items: cart.items.map(item => ({
+          ...item,
+          availability: availability.get(Number(item.productId))
+        })),
+        promo,
+        discountAmount,
+        totalAfterDiscount,
+        delivery,
+        totalToPay,
         display: cartDisplay,
         language: language
       }
@@ -449,6 +768,10 @@ router.get('/cart/:contact_id', async (req, res) => {
       stack: error.stack
     });
 
+    if (error.code === 'DELIVERY_STATION_AMBIGUOUS') {
+      return res.status(422).json(deliveryErrorResponse(error));
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to get cart'
@@ -459,21 +782,12 @@ router.get('/cart/:contact_id', async (req, res) => {
 /**
  * Checkout cart - create order from cart items in database
  */
-router.post('/cart-checkout', async (req, res) => {
+router.post('/cart-checkout', idempotency({ scope: 'bot:cart-checkout' }), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const {
-      source = 'telegram',
-      chatId,
-      contact_id,
-      telegram_id,
-      customerInfo,
-      deliveryInfo,
-      paymentMethod = 'CASH',
-      notes,
-      orderAttributes = {}
-    } = req.body;
+    const { source = 'telegram', contact_id, telegram_id } = req.body;
+    const adapter = getChannelAdapter(source);
 
     logger.info('Cart checkout request', {
       contact_id,
@@ -488,8 +802,16 @@ router.post('/cart-checkout', async (req, res) => {
       });
     }
 
-    // Get cart from database
-    const cart = await botController.dbService.getCart(contact_id);
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        error: `Source must be one of: ${SUPPORTED_CHANNELS.join(', ')}`,
+        code: 'INVALID_SOURCE'
+      });
+    }
+
+    // Re-price the cart with live KeyCRM prices before ordering
+    const { cart, priceChanges, previousTotal } = await cartPricingService.repriceCart(contact_id);
 
     if (cart.isEmpty) {
       return res.status(400).json({
@@ -498,60 +820,41 @@ router.post('/cart-checkout', async (req, res) => {
       });
     }
 
-    // Convert cart items to products format for existing createOrder
-    const products = cart.items.map(item => ({
-      id: parseInt(item.productId),
-      quantity: parseInt(item.quantity)
-    }));
+    if (priceChanges.length > 0) {
+      return res.status(409).json(priceChangedResponse(cart, priceChanges, previousTotal));
+    }
 
-    // Create order data
-    const orderData = {
-      source,
-      chatId: chatId || telegram_id || 'unknown',
-      botOrderId: `cart_${Date.now()}`,
-      contact_id,
-      telegram_id: telegram_id || chatId,
-      language: orderAttributes?.language || req.body.language || 'uk',
-      customerInfo: customerInfo || {},
-      products,
-      deliveryInfo: deliveryInfo || {},
-      paymentMethod,
-      notes: notes || `Cart checkout - ${cart.totalItems} items`,
-      orderAttributes: {
-        ...orderAttributes,
-        language: orderAttributes?.language || req.body.language || 'uk',
-        cart_items: cart.totalItems,
-        cart_total: cart.totalAmount,
-        cart_weight: cart.totalWeight,
-        cart_products: cart.items.map(item => `${item.productName} x${item.quantity}`).join(', ')
-      }
-    };
+    // Canonical order from the bot payload with the cart as its items and promo code
+    const cartPromo = await checkoutPromo(contact_id, cart);
+    const orderData = adaptCartCheckout({ ...req.body, promoCode: cartPromo?.code || req.body.promoCode }, cart, adapter);
 
     logger.info('Creating order from cart', {
-      productCount: products.length,
+      productCount: orderData.items.length,
       cartTotal: cart.totalAmount,
       cartItems: cart.items.map(item => `${item.productName} x${item.quantity}`)
     });
 
-    // Create order using existing logic
-    const result = await botController.createOrder(orderData);
-
-    // Clear cart after successful order
-    await botController.dbService.clearCart(contact_id);
+    const { outboxEntry, promo, deliveryQuote } = await acceptBotOrder(orderData, { cart });
 
     const duration = Date.now() - startTime;
-    logger.info('Cart checkout completed', {
-      botOrderId: result.botOrderId,
-      crmOrderId: result.crmOrderId,
+    logger.info('Cart checkout queued', {
+      trackingId: outboxEntry.trackingId,
       cartTotal: cart.totalAmount,
+      deliveryFee: deliveryQuote.fee,
       duration: `${duration}ms`
     });
 
-    res.status(201).json({
-      ...result,
+    res.status(202).json({
+      success: true,
+      status: 'QUEUED',
+      trackingId: outboxEntry.trackingId,
+      botOrderId: outboxEntry.trackingId,
       cartTotal: cart.totalAmount,
       itemsOrdered: cart.totalItems,
-      message: `Order created successfully with ${cart.totalItems} items`
+      ...(promo && { promoCode: promo.code, discountAmount: promo.discountAmount }),
+      deliveryFee: deliveryQuote.fee,
+      delivery: deliveryQuote,
+      message: `Order accepted with ${cart.totalItems} items and queued for processing`
     });
 
   } catch (error) {
@@ -563,10 +866,16 @@ router.post('/cart-checkout', async (req, res) => {
       duration: `${duration}ms`
     });
 
+    const rejection = orderRejection(error);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Cart checkout failed',
-      details: error.message
+      details: error.message,
+      code: error.code
     });
   }
 });
@@ -589,8 +898,8 @@ router.put('/cart-item/:itemId', async (req, res) => {
       });
     }
 
-    // Update item in database
-    const updatedItem = await botController.dbService.updateCartItem(itemId, quantity);
+    // Update item in database, checked against the product unit
+    const updatedItem = await cartPricingService.updateItemQuantity(itemId, Number(quantity));
 
     res.json({
       success: true,
@@ -610,7 +919,16 @@ router.put('/cart-item/:itemId', async (req, res) => {
       itemId: req.params.itemId
     });
 
-    const statusCode = error.message === 'Cart item not found' ? 404 : 500;
+    if (error.code === 'INVALID_QUANTITY') {
+      return res.status(400).json(invalidQuantityResponse(error));
+    }
+
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(409).json(insufficientStockResponse(error));
+    }
+
+    const statusCodes = { CART_ITEM_NOT_FOUND: 404, PRODUCT_NOT_MAPPED: 422 };
+    const statusCode = statusCodes[error.code] || 500;
 
     res.status(statusCode).json({
       success: false,
@@ -630,6 +948,7 @@ router.delete('/cart/:contact_id', async (req, res) => {
 
     // Clear cart using existing database method
     const result = await botController.dbService.clearCart(contact_id);
+    await cartAbandonmentService.markCleared(contact_id);
 
     res.json({
       success: true,
@@ -650,6 +969,257 @@ router.delete('/cart/:contact_id', async (req, res) => {
   }
 });
 
+/**
+ * Repeat a previous order - copy its items into the cart at current KeyCRM prices
+ * POST /api/bot/cart/:contact_id/reorder/:botOrderId  { telegram_id? }
+ *
+ * Archived, out-of-stock and unmapped products are left out; `changes` lists
+ * them along with items whose price changed since the order.
+ */
+router.post('/cart/:contact_id/reorder/:botOrderId', idempotency({ scope: 'bot:cart-reorder', bodyKeys: [] }), async (req, res) => {
+  const { contact_id, botOrderId } = req.params;
+
+  try {
+    logger.info('Reorder into cart', { contact_id, botOrderId });
+
+    const { cart, added, changes } = await cartPricingService.reorderIntoCart(contact_id, botOrderId, {
+      telegramId: req.body?.telegram_id || null
+    });
+
+    res.json({
+      success: true,
+      message: added > 0 ? 'Order items added to cart' : 'No items from this order are available',
+      added,
+      changes,
+      cart
+    });
+
+  } catch (error) {
+    logger.error('Failed to reorder into cart', {
+      error: error.message,
+      contact_id,
+      botOrderId
+    });
+
+    if (error.code === 'ORDER_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        code: error.code
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder into cart'
+    });
+  }
+});
+
+/**
+ * Apply a promo code to the cart
+ * POST /api/bot/cart/:contact_id/promo  { code }
+ *
+ * Replaces any code already applied. The discount is shown in GET /cart and
+ * taken off the order at checkout.
+ */
+router.post('/cart/:contact_id/promo', async (req, res) => {
+  const { contact_id } = req.params;
+  const code = req.body?.code;
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'code is required',
+      code: 'MISSING_PROMO_CODE'
+    });
+  }
+
+  try {
+    logger.info('Applying promo code to cart', { contact_id, code });
+
+    const cart = await botController.dbService.getCart(contact_id);
+    const promo = await promoService.applyToCart(contact_id, code, cart);
+
+    res.json({
+      success: true,
+      message: 'Promo code applied',
+      promo,
+      cartTotal: cart.totalAmount,
+      discountAmount: promo.discountAmount,
+      totalAfterDiscount: roundMoney(cart.totalAmount - promo.discountAmount)
+    });
+
+  } catch (error) {
+    logger.error('Failed to apply promo code', {
+      error: error.message,
+      contact_id,
+      code
+    });
+
+    if (error.code?.startsWith('PROMO_') || error.code === 'CART_EMPTY') {
+      return res.status(error.status).json(promoErrorResponse(error));
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply promo code'
+    });
+  }
+});
+
+/**
+ * Remove the promo code from the cart
+ */
+router.delete('/cart/:contact_id/promo', async (req, res) => {
+  const { contact_id } = req.params;
+
+  try {
+    const removed = await promoService.removeFromCart(contact_id);
+
+    res.json({
+      success: true,
+      message: removed ? 'Promo code removed' : 'No promo code applied',
+      removed
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove promo code', {
+      error: error.message,
+      contact_id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove promo code'
+    });
+  }
+});
+
+/**
+ * Upcoming delivery dates and time slots for a station or delivery type
+ * GET /api/bot/delivery-options?station=Vevey&type=railway_station&count=3
+ *
+ * Without a station, pickup (and an omitted type) uses the pickup point.
+ * The chosen `date` goes back in deliveryInfo.deliveryDate when ordering.
+ */
+router.get('/delivery-options', async (req, res) => {
+  const { station: stationInput } = req.query;
+  const deliveryType = req.query.type ? normalizeDeliveryType(req.query.type) : null;
+  const count = Math.min(Math.max(parseInt(req.query.count, 10) || 3, 1), 14);
+
+  if (req.query.type && !deliveryType) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of: ${DELIVERY_TYPES.join(', ')}`,
+      code: 'INVALID_DELIVERY_TYPE'
+    });
+  }
+
+  try {
+    let station = null;
+
+    if (stationInput) {
+      const resolution = await deliveryStationService.resolve(stationInput);
+
+      if (resolution.status === RESOLUTION_STATUS.AMBIGUOUS) {
+        return res.status(422).json({
+          success: false,
+          error: `Delivery station "${stationInput}" is ambiguous`,
+          code: 'DELIVERY_STATION_AMBIGUOUS',
+          candidates: resolution.candidates.map(publicStation)
+        });
+      }
+
+      if (resolution.status === RESOLUTION_STATUS.NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          error: `Delivery station "${stationInput}" not found`,
+          code: 'STATION_NOT_FOUND'
+        });
+      }
+
+      station = resolution.station;
+    } else if (!deliveryType || deliveryType === 'pickup') {
+      station = await deliveryStationService.getPickupStation();
+    }
+
+    const options = deliveryScheduleService.getDeliveryOptions({ station, deliveryType, count });
+
+    res.json({
+      success: true,
+      deliveryType: deliveryScheduleService.getSchedule(station, deliveryType).type,
+      station: station ? publicStation(station) : null,
+      timezone: getDeliveryTimezone(),
+      options
+    });
+
+  } catch (error) {
+    logger.error('Failed to compute delivery options', {
+      error: error.message,
+      station: stationInput,
+      type: req.query.type
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute delivery options',
+      code: 'DELIVERY_OPTIONS_FAILED'
+    });
+  }
+});
+
+/**
+ * Customer profile for a messenger contact: name, phone, language, default
+ * delivery and the last orders with their statuses (?orders=5, max 20).
+ */
+router.get('/customers/:contactId', async (req, res) => {
+  try {
+    const orderLimit = Math.min(Math.max(parseInt(req.query.orders, 10) || 5, 1), 20);
+    const customer = await customerService.getProfile(req.params.contactId, { orderLimit });
+
+    res.json({ success: true, customer });
+  } catch (error) {
+    if (error.code === 'CUSTOMER_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message, code: error.code });
+    }
+
+    logger.error('Failed to get customer profile', {
+      error: error.message,
+      contactId: req.params.contactId
+    });
+    res.status(500).json({ success: false, error: 'Failed to get customer profile' });
+  }
+});
+
+/**
+ * Get submission status of a queued order (tracking ID from telegram-order / cart-checkout)
+ */
+router.get('/order-tracking/:trackingId', async (req, res) => {
+  try {
+    const entry = await orderOutboxService.getByTrackingId(req.params.trackingId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tracking ID not found',
+        code: 'TRACKING_ID_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: formatOutboxEntry(entry)
+    });
+  } catch (error) {
+    logger.error('Failed to get order tracking status', {
+      error: error.message,
+      trackingId: req.params.trackingId
+    });
+    res.status(500).json({ success: false, error: 'Failed to get order tracking status' });
+  }
+});
+
 router.get('/order-status/:botOrderId', async (req, res) => {
   try {
     const result = await botController.getOrderStatus(req.params.botOrderId);
@@ -1,7 +1,10 @@
 // src/routes/webhookRoutes.js
+import crypto from 'crypto';
 import express from 'express';
+import Joi from 'joi';
 import logger from '../utils/logger.js';
 import axios from 'axios';
+import { orderStatusService } from '../services/orderStatusService.js';
 
 const router = express.Router();
 
@@ -183,6 +186,111 @@ router.post('/sendpulse', async (req, res) => {
   }
 });
 
+// KeyCRM sends { event, context } where context is the changed order
+const keycrmWebhookSchema = Joi.object({
+  event: Joi.string().required(),
+  context: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    status_id: Joi.number().integer().positive().required(),
+    status_group_id: Joi.number().integer().positive().optional(),
+  }).unknown(true).required(),
+}).unknown(true);
+
+// Constant-time comparison, so response timing doesn't leak the secret
+const secretsMatch = (provided, expected) => {
+  if (typeof provided !== 'string') return false;
+
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+/**
+ * Check the shared secret. KeyCRM webhooks can't send custom headers, so the
+ * secret is part of the webhook URL configured in KeyCRM, as a path segment
+ * (/api/webhook/keycrm/<secret>) or `?secret=`; an `X-Webhook-Secret` header
+ * is accepted too. Without KEYCRM_WEBHOOK_SECRET the webhook is refused (503)
+ * — it changes order statuses and messages customers, so it is never open.
+ */
+const verifyKeycrmSecret = (req, res, next) => {
+  const expectedSecret = process.env.KEYCRM_WEBHOOK_SECRET;
+
+  if (!expectedSecret) {
+    logger.error('KEYCRM_WEBHOOK_SECRET not configured, refusing KeyCRM webhook');
+    return res.status(503).json({
+      success: false,
+      error: 'KeyCRM webhook is not configured',
+      code: 'WEBHOOK_NOT_CONFIGURED'
+    });
+  }
+
+  const providedSecret = req.get('X-Webhook-Secret') || req.params.secret || req.query.secret;
+
+  if (!secretsMatch(providedSecret, expectedSecret)) {
+    logger.warn('KeyCRM webhook with invalid secret', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook secret',
+      code: 'WEBHOOK_SECRET_INVALID'
+    });
+  }
+
+  next();
+};
+
+/**
+ * POST /api/webhook/keycrm/:secret (or /api/webhook/keycrm?secret=...)
+ * Receives KeyCRM order status changes and applies them to our side
+ */
+router.post(['/keycrm', '/keycrm/:secret'], verifyKeycrmSecret, async (req, res) => {
+  const { error, value } = keycrmWebhookSchema.validate(req.body, { convert: true });
+
+  if (error) {
+    logger.warn('Invalid KeyCRM webhook payload', { error: error.message });
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const { event, context } = value;
+
+  logger.info('Webhook received from KeyCRM', {
+    event,
+    keycrmOrderId: context.id,
+    statusId: context.status_id
+  });
+
+  try {
+    const result = await orderStatusService.applyKeycrmStatusChange({
+      keycrmOrderId: context.id,
+      statusId: context.status_id,
+      statusGroupId: context.status_group_id
+    });
+
+    // 202 for a change kept until its order is stored
+    return res.status(result.outcome === 'deferred' ? 202 : 200).json({
+      success: ['updated', 'unchanged', 'deferred'].includes(result.outcome),
+      keycrmOrderId: context.id,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('KeyCRM webhook processing failed', {
+      error: error.message,
+      keycrmOrderId: context.id
+    });
+
+    // Still return 200 so KeyCRM doesn't keep retrying
+    return res.status(200).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/webhook/test
  * Test endpoint to check webhook is accessible
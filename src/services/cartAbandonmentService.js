@@ -0,0 +1,329 @@
+// Cart Abandonment Service — expires idle bot carts and tracks who abandoned them
+//
+// A cart (the contact's `bot_cart_items`) with no change for
+// CART_ABANDON_AFTER_HOURS (default 24) is recorded in `cart_abandonments`
+// and, when CART_REMINDERS_ENABLED=true, the customer's bot contact gets:
+//   abandoned_cart        '1' while the cart is abandoned, '0' once resolved
+//   abandoned_cart_items  number of items
+//   abandoned_cart_total  cart total
+// and, if CART_REMINDER_FLOW_IDS maps the bot type to a flow, that flow is run
+// (e.g. CART_REMINDER_FLOW_IDS='{"telegram":"65f0c0..."}').
+//
+// Carts idle for CART_EXPIRE_AFTER_DAYS (default 7) expire: their items are
+// marked inactive (`is_active` false), kept for the record but no longer in
+// the cart. The abandonment is resolved as RECOVERED (checked out), CLEARED
+// (emptied by the customer) or EXPIRED.
+import { DatabaseService } from './databaseService.js';
+import { SendPulseCRMService } from './sendPulseCrmService.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+const sendPulseService = new SendPulseCRMService();
+
+export const ABANDONMENT_STATUS = {
+  ABANDONED: 'ABANDONED',
+  RECOVERED: 'RECOVERED',
+  CLEARED: 'CLEARED',
+  EXPIRED: 'EXPIRED',
+};
+
+export const REMINDER_STATUS = {
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED',
+};
+
+// Carts are filled by the Telegram bot unless the customer mapping says otherwise
+const DEFAULT_BOT_TYPE = 'telegram';
+
+export class CartAbandonmentService {
+  constructor() {
+    this.abandonAfterMs = (Number(process.env.CART_ABANDON_AFTER_HOURS) || 24) * 60 * 60 * 1000;
+    this.expireAfterMs = (Number(process.env.CART_EXPIRE_AFTER_DAYS) || 7) * 24 * 60 * 60 * 1000;
+    this._flowIds = null;
+  }
+
+  get remindersEnabled() {
+    return process.env.CART_REMINDERS_ENABLED === 'true';
+  }
+
+  /**
+   * Reminder flow per bot type from CART_REMINDER_FLOW_IDS.
+   * Throws when the variable is not a JSON object.
+   */
+  get reminderFlowIds() {
+    if (this._flowIds === null) {
+      const raw = process.env.CART_REMINDER_FLOW_IDS;
+      let flowIds = {};
+
+      if (raw) {
+        try {
+          flowIds = JSON.parse(raw);
+        } catch (error) {
+          throw new Error(`Invalid CART_REMINDER_FLOW_IDS JSON: ${error.message}`);
+        }
+        if (!flowIds || typeof flowIds !== 'object' || Array.isArray(flowIds)) {
+          throw new Error('CART_REMINDER_FLOW_IDS must be a JSON object { botType: flowId }');
+        }
+      }
+
+      this._flowIds = flowIds;
+    }
+    return this._flowIds;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Record newly abandoned carts and expire the ones idle for too long.
+  // Returns { abandoned, reminded, expired } counts for this run.
+  // ---------------------------------------------------------------------------
+  async processIdleCarts() {
+    const now = Date.now();
+    const idleCarts = await dbService.crmDb.botCartItem.groupBy({
+      by: ['contactId'],
+      where: { isActive: true },
+      _max: { updatedAt: true },
+      having: { updatedAt: { _max: { lt: new Date(now - this.abandonAfterMs) } } },
+    });
+
+    const result = { abandoned: 0, reminded: 0, expired: 0 };
+
+    for (const cart of idleCarts) {
+      const lastActivityAt = cart._max.updatedAt;
+
+      try {
+        if (lastActivityAt < new Date(now - this.expireAfterMs)) {
+          await this._expireCart(cart.contactId, lastActivityAt);
+          result.expired++;
+          continue;
+        }
+
+        const open = await this._findOpen(cart.contactId);
+        if (open) continue;
+
+        const abandonment = await this._recordAbandonment(cart.contactId, lastActivityAt);
+        result.abandoned++;
+
+        if (abandonment.reminderStatus === REMINDER_STATUS.SENT) {
+          result.reminded++;
+        }
+      } catch (error) {
+        logger.error('Failed to process idle cart', {
+          contactId: cart.contactId,
+          error: error.message,
+        });
+      }
+    }
+
+    if (idleCarts.length > 0) {
+      logger.info('Idle carts processed', { idleCarts: idleCarts.length, ...result });
+    }
+
+    return result;
+  }
+
+  // The contact checked out — credit the order to an open abandonment
+  async markRecovered(contactId, { trackingId = null } = {}) {
+    return this._resolve(contactId, ABANDONMENT_STATUS.RECOVERED, { trackingId });
+  }
+
+  // The customer emptied the cart themselves
+  async markCleared(contactId) {
+    return this._resolve(contactId, ABANDONMENT_STATUS.CLEARED);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Abandonment statistics for carts abandoned since `since`.
+  // Values are cart totals at the time of abandonment.
+  // ---------------------------------------------------------------------------
+  async getStats({ since }) {
+    const where = { createdAt: { gte: since } };
+    const [byStatus, reminded, recoveredAfterReminder, activeCarts] = await Promise.all([
+      dbService.crmDb.cartAbandonment.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true },
+        _sum: { totalAmount: true },
+      }),
+      dbService.crmDb.cartAbandonment.count({
+        where: { ...where, reminderStatus: REMINDER_STATUS.SENT },
+      }),
+      dbService.crmDb.cartAbandonment.count({
+        where: { ...where, reminderStatus: REMINDER_STATUS.SENT, status: ABANDONMENT_STATUS.RECOVERED },
+      }),
+      this._countActiveCarts(),
+    ]);
+
+    const statuses = Object.fromEntries(Object.values(ABANDONMENT_STATUS).map(status => {
+      const row = byStatus.find(entry => entry.status === status);
+      return [status, {
+        count: row?._count._all || 0,
+        value: Number(row?._sum.totalAmount || 0),
+      }];
+    }));
+
+    const abandoned = Object.values(statuses).reduce((sum, entry) => sum + entry.count, 0);
+    const recovered = statuses[ABANDONMENT_STATUS.RECOVERED].count;
+
+    return {
+      since,
+      abandonAfterHours: this.abandonAfterMs / (60 * 60 * 1000),
+      expireAfterDays: this.expireAfterMs / (24 * 60 * 60 * 1000),
+      abandoned,
+      open: statuses[ABANDONMENT_STATUS.ABANDONED].count,
+      recovered,
+      cleared: statuses[ABANDONMENT_STATUS.CLEARED].count,
+      expired: statuses[ABANDONMENT_STATUS.EXPIRED].count,
+      reminded,
+      recoveredAfterReminder,
+      recoveryRate: abandoned > 0 ? Math.round((recovered / abandoned) * 1000) / 10 : 0,
+      abandonedValue: Object.values(statuses).reduce((sum, entry) => sum + entry.value, 0),
+      recoveredValue: statuses[ABANDONMENT_STATUS.RECOVERED].value,
+      // Carts with items right now, for comparison
+      activeCarts,
+    };
+  }
+
+  async _recordAbandonment(contactId, lastActivityAt) {
+    const cart = await dbService.getCart(contactId);
+
+    let abandonment = await dbService.crmDb.cartAbandonment.create({
+      data: {
+        contactId,
+        status: ABANDONMENT_STATUS.ABANDONED,
+        telegramId: cart.items[0]?.telegramId || null,
+        itemCount: cart.totalItems,
+        totalAmount: cart.totalAmount,
+        items: JSON.stringify(cart.items.map(item => ({
+          productId: item.productId,
+          productName: item.productName,
+          quantity: item.quantity,
+          price: Number(item.price),
+        }))),
+        lastActivityAt,
+        reminderStatus: this.remindersEnabled ? null : REMINDER_STATUS.SKIPPED,
+      },
+    });
+
+    logger.info('Cart abandoned', {
+      abandonmentId: abandonment.id,
+      contactId,
+      itemCount: abandonment.itemCount,
+      totalAmount: cart.totalAmount,
+    });
+
+    if (this.remindersEnabled) {
+      abandonment = await this._remind(abandonment);
+    }
+
+    return abandonment;
+  }
+
+  // Set the abandoned_cart variables and run the reminder flow, if any
+  async _remind(abandonment) {
+    const botType = await this._getBotType(abandonment.contactId);
+    const flowId = this.reminderFlowIds[botType];
+
+    const variablesResult = await sendPulseService.setBotVariable(botType, abandonment.contactId, {
+      abandoned_cart: '1',
+      abandoned_cart_items: abandonment.itemCount,
+      abandoned_cart_total: Number(abandonment.totalAmount).toFixed(2),
+    });
+
+    let reminderStatus = variablesResult.success ? REMINDER_STATUS.SENT : REMINDER_STATUS.FAILED;
+    if (flowId && variablesResult.success) {
+      const flowResult = await sendPulseService.runBotFlow(botType, abandonment.contactId, flowId, {
+        abandoned_cart_items: abandonment.itemCount,
+        abandoned_cart_total: Number(abandonment.totalAmount).toFixed(2),
+      });
+      reminderStatus = flowResult.success ? REMINDER_STATUS.SENT : REMINDER_STATUS.FAILED;
+    }
+
+    logger.info('Abandoned cart reminder processed', {
+      abandonmentId: abandonment.id,
+      botType,
+      flowId: flowId || null,
+      reminderStatus,
+    });
+
+    return dbService.crmDb.cartAbandonment.update({
+      where: { id: abandonment.id },
+      data: {
+        reminderStatus,
+        remindedAt: reminderStatus === REMINDER_STATUS.SENT ? new Date() : null,
+      },
+    });
+  }
+
+  async _expireCart(contactId, lastActivityAt) {
+    // Only rows untouched since the check, so an item added meanwhile stays
+    const { count } = await dbService.crmDb.botCartItem.updateMany({
+      where: { contactId, isActive: true, updatedAt: { lte: lastActivityAt } },
+      data: { isActive: false },
+    });
+
+    const resolved = await this._resolve(contactId, ABANDONMENT_STATUS.EXPIRED);
+
+    logger.info('Idle cart expired', {
+      contactId,
+      expiredItems: count,
+      lastActivityAt,
+      hadAbandonment: resolved > 0,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Close the contact's open abandonment. Returns the number of rows resolved.
+  // Never throws — checkout and cart clearing must not fail because of it.
+  // ---------------------------------------------------------------------------
+  async _resolve(contactId, status, { trackingId = null } = {}) {
+    try {
+      const open = await this._findOpen(contactId);
+      if (!open) return 0;
+
+      await dbService.crmDb.cartAbandonment.update({
+        where: { id: open.id },
+        data: { status, trackingId, resolvedAt: new Date() },
+      });
+
+      logger.info('Cart abandonment resolved', { abandonmentId: open.id, contactId, status });
+
+      if (open.reminderStatus === REMINDER_STATUS.SENT) {
+        await sendPulseService.setBotVariable(await this._getBotType(contactId), contactId, {
+          abandoned_cart: '0',
+        });
+      }
+
+      return 1;
+    } catch (error) {
+      logger.error('Failed to resolve cart abandonment', {
+        contactId,
+        status,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  _findOpen(contactId) {
+    return dbService.crmDb.cartAbandonment.findFirst({
+      where: { contactId, status: ABANDONMENT_STATUS.ABANDONED },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async _getBotType(contactId) {
+    const mapping = await dbService.crmDb.customerMapping.findFirst({
+      where: { sendpulseId: contactId, source: { not: null } },
+      orderBy: { updatedAt: 'desc' },
+    });
+    return mapping?.source || DEFAULT_BOT_TYPE;
+  }
+
+  async _countActiveCarts() {
+    const carts = await dbService.crmDb.botCartItem.groupBy({ by: ['contactId'], where: { isActive: true } });
+    return carts.length;
+  }
+}
+
+// Shared singleton instance
+export const cartAbandonmentService = new CartAbandonmentService();
@@ -0,0 +1,380 @@
+// Cart Pricing Service — prices bot carts with KeyCRM prices
+//
+// KeyCRM is the source of truth for prices. Carts read them from the product
+// snapshot with the same max age KeyCrmOrderService._resolveItems uses, so
+// the cart total matches what the order will be charged.
+import { DatabaseService } from './databaseService.js';
+import { productSnapshotService } from './productSnapshotService.js';
+import { MAPPING_STATUS } from './productSyncService.js';
+import { stockService, STOCK_STATUS } from './stockService.js';
+import { getProductUnit, assertValidQuantity, fitQuantity, toCartUnitPrice } from '../config/productUnits.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+export class CartPricingService {
+  // ---------------------------------------------------------------------------
+  // Current KeyCRM price of one cart unit of an ecommerce product ID.
+  // Returns { price, name, keycrmId, unit, product } (unit: see
+  // config/productUnits.js, product: the KeyCRM product snapshot with the
+  // mapping's offer applied); throws AppError 422 PRODUCT_NOT_MAPPED when the
+  // product has no KeyCRM mapping or its variant can't be determined.
+  // ---------------------------------------------------------------------------
+  async getLivePrice(productId) {
+    const mapping = await dbService.crmDb.productMapping.findUnique({
+      where: { ecommerceId: Number(productId) }
+    });
+
+    if (!mapping?.keycrmId) {
+      throw new AppError(`No KeyCRM product mapping for product ${productId}`, 422, 'PRODUCT_NOT_MAPPED');
+    }
+
+    const keycrmProduct = await productSnapshotService.getForMapping(mapping);
+    const unit = getProductUnit(mapping);
+
+    return {
+      price: toCartUnitPrice(unit, Number(keycrmProduct.price)),
+      name: mapping.name,
+      keycrmId: mapping.keycrmId,
+      unit,
+      product: keycrmProduct
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Add a product to the contact's cart at its live price.
+  //
+  // The resulting line quantity (existing + added) must fit the product's unit
+  // step and limits (AppError 400 INVALID_QUANTITY) and, depending on
+  // STOCK_CHECK_MODE, the available stock (AppError 409 INSUFFICIENT_STOCK).
+  // The line weight follows from the unit; `weightKg` is only used for pieces
+  // without a known weight.
+  // Returns { item, price, unit, availability }.
+  // ---------------------------------------------------------------------------
+  async addItem(contactId, telegramId, { productId, productName = null, quantity, weightKg = 0 }) {
+    const live = await this.getLivePrice(productId);
+    const existing = await dbService.crmDb.botCartItem.findFirst({
+      where: { contactId, productId: Number(productId), isActive: true }
+    });
+
+    const lineQuantity = (existing?.quantity || 0) + quantity;
+    assertValidQuantity(live.unit, lineQuantity, productName || live.name);
+
+    const availability = this._checkLineStock(live, productId, lineQuantity, { contactId });
+
+    const item = await dbService.addToCart(contactId, telegramId, {
+      productId,
+      productName: productName || live.name,
+      quantity,
+      price: live.price,
+      weightKg,
+      unitWeightKg: live.unit.unitWeightKg
+    });
+
+    return { item, price: live.price, unit: live.unit, availability };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Set a cart line's quantity, checked against the product's unit and, like
+  // addItem, the available stock.
+  // Throws AppError 404 CART_ITEM_NOT_FOUND / 400 INVALID_QUANTITY /
+  // 409 INSUFFICIENT_STOCK / 422 PRODUCT_NOT_MAPPED.
+  // ---------------------------------------------------------------------------
+  async updateItemQuantity(itemId, quantity) {
+    const item = await dbService.crmDb.botCartItem.findUnique({ where: { id: Number(itemId) } });
+
+    if (!item || !item.isActive) {
+      throw new AppError('Cart item not found', 404, 'CART_ITEM_NOT_FOUND');
+    }
+
+    const live = await this.getLivePrice(item.productId);
+    assertValidQuantity(live.unit, quantity, item.productName);
+    this._checkLineStock(live, item.productId, quantity, { contactId: item.contactId });
+
+    return dbService.updateCartItem(item.id, quantity, { unitWeightKg: live.unit.unitWeightKg });
+  }
+
+  // Stock of a cart line quantity under STOCK_CHECK_MODE; returns the availability
+  _checkLineStock(live, productId, quantity, context) {
+    const availability = stockService.availabilityOf(live.product, live.unit, quantity);
+    if (!availability.sufficient) {
+      stockService.enforce([{
+        productId: Number(productId),
+        sku: live.product.sku || null,
+        name: live.name,
+        requested: quantity,
+        available: availability.available
+      }], context);
+    }
+    return availability;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Order lines [{ productId, quantity }] at live prices, as
+  // [{ productId, price, quantity }] with the price per cart unit.
+  // Throws AppError 422 PRODUCT_NOT_MAPPED.
+  // ---------------------------------------------------------------------------
+  async priceItems(items) {
+    const lines = [];
+    for (const item of items) {
+      const live = await this.getLivePrice(item.productId);
+      lines.push({ productId: Number(item.productId), price: live.price, quantity: item.quantity });
+    }
+    return lines;
+  }
+
+  // Units of ecommerce product IDs as a Map productId → unit
+  async getUnits(productIds) {
+    const mappings = await dbService.crmDb.productMapping.findMany({
+      where: { ecommerceId: { in: [...new Set(productIds.map(Number))] } }
+    });
+    const byId = new Map(mappings.map(mapping => [mapping.ecommerceId, mapping]));
+
+    return new Map(productIds.map(id => [Number(id), getProductUnit(byId.get(Number(id)))]));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Re-price every item in a contact's cart.
+  //
+  // Returns { cart, priceChanges, previousTotal } where priceChanges lists the
+  // items whose stored price was stale (already updated in the database).
+  // If KeyCRM is unreachable the cart is returned unchanged — the order will
+  // still be charged the current price when the outbox submits it.
+  // ---------------------------------------------------------------------------
+  async repriceCart(contactId) {
+    const cart = await dbService.getCart(contactId);
+    const priceChanges = [];
+
+    if (cart.isEmpty) {
+      return { cart, priceChanges, previousTotal: cart.totalAmount };
+    }
+
+    for (const item of cart.items) {
+      let live;
+      try {
+        live = await this.getLivePrice(item.productId);
+      } catch (error) {
+        if (error.code === 'PRODUCT_NOT_MAPPED') throw error;
+
+        logger.warn('Could not re-price cart, keeping stored prices', {
+          contactId,
+          productId: item.productId,
+          error: error.message
+        });
+        return { cart, priceChanges: [], previousTotal: cart.totalAmount };
+      }
+
+      // Stored and cart unit prices have two decimals
+      const oldPrice = Number(item.price);
+      if (oldPrice === live.price) continue;
+
+      priceChanges.push({
+        itemId: item.id,
+        productId: item.productId,
+        productName: item.productName,
+        quantity: item.quantity,
+        oldPrice,
+        newPrice: live.price,
+        oldTotal: Number(item.total),
+        newTotal: item.quantity * live.price
+      });
+    }
+
+    if (priceChanges.length === 0) {
+      return { cart, priceChanges, previousTotal: cart.totalAmount };
+    }
+
+    await dbService.crmDb.$transaction(priceChanges.map(change =>
+      dbService.crmDb.botCartItem.update({
+        where: { id: change.itemId },
+        data: { price: change.newPrice, total: change.newTotal }
+      })
+    ));
+
+    logger.info('Cart re-priced with live KeyCRM prices', {
+      contactId,
+      changedItems: priceChanges.length
+    });
+
+    return {
+      cart: await dbService.getCart(contactId),
+      priceChanges,
+      previousTotal: cart.totalAmount
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Copy a past order's items into the contact's cart at current prices.
+  //
+  // Items whose product is archived (mapping or KeyCRM), out of stock or no
+  // longer mapped are dropped. Quantities are fitted so the cart line (with
+  // what the cart already holds) meets the product's current unit (step, min,
+  // max) and, with STOCK_CHECK_MODE=reject, the stock. Returns
+  // { cart, added, changes } where changes lists [{ productId, productName,
+  // quantity, change, reason?, oldQuantity?, oldPrice?, newPrice? }] with
+  // change 'removed', 'quantity_adjusted', 'quantity_reduced' or
+  // 'price_changed'.
+  // Throws AppError 404 ORDER_NOT_FOUND when the order doesn't belong to the contact.
+  // ---------------------------------------------------------------------------
+  async reorderIntoCart(contactId, botOrderId, { telegramId = null } = {}) {
+    const order = await this._getContactOrder(contactId, botOrderId);
+    const changes = [];
+    let added = 0;
+
+    for (const item of parseOrderItems(order.products)) {
+      const mapping = await findItemMapping(item);
+      const productId = mapping?.ecommerceId ?? item.id;
+      const productName = mapping?.name || item.name || null;
+      const removed = (reason) => changes.push({ productId, productName, quantity: item.quantity, change: 'removed', reason });
+
+      if (!mapping?.keycrmId || !mapping.ecommerceId) {
+        removed('not_available');
+        continue;
+      }
+      if (mapping.syncStatus === MAPPING_STATUS.ARCHIVED) {
+        removed('archived');
+        continue;
+      }
+
+      let product;
+      try {
+        product = await productSnapshotService.getForMapping(mapping);
+      } catch (error) {
+        // The variant was removed in KeyCRM
+        if (error.code !== 'PRODUCT_NOT_MAPPED') throw error;
+        removed('not_available');
+        continue;
+      }
+      if (product.is_archived) {
+        removed('archived');
+        continue;
+      }
+
+      // Like addItem, check the line the cart ends up with: what it already
+      // holds plus the reordered quantity, fitted to the product's current unit
+      const unit = getProductUnit(mapping);
+      const existing = await dbService.crmDb.botCartItem.findFirst({
+        where: { contactId, productId: Number(productId), isActive: true }
+      });
+      const inCart = existing?.quantity || 0;
+      const fittedLine = fitQuantity(unit, inCart + item.quantity);
+      if (fittedLine === null) {
+        removed('invalid_quantity');
+        continue;
+      }
+      if (fittedLine <= inCart) {
+        removed('max_quantity');
+        continue;
+      }
+
+      const fittedQuantity = fittedLine - inCart;
+      if (fittedQuantity !== item.quantity) {
+        changes.push({
+          productId,
+          productName,
+          quantity: fittedQuantity,
+          change: 'quantity_adjusted',
+          oldQuantity: item.quantity
+        });
+      }
+
+      const availability = stockService.availabilityOf(product, unit, fittedLine);
+      if (availability.status === STOCK_STATUS.OUT_OF_STOCK) {
+        removed('out_of_stock');
+        continue;
+      }
+
+      // Take what is left when stock is enforced, in whole quantity steps
+      let quantity = fittedQuantity;
+      if (!availability.sufficient && stockService.mode === 'reject') {
+        const lineQuantity = availability.available - (availability.available % unit.quantityStep);
+        quantity = lineQuantity - inCart;
+        if (lineQuantity < unit.minQuantity || quantity <= 0) {
+          removed('out_of_stock');
+          continue;
+        }
+        changes.push({
+          productId,
+          productName,
+          quantity,
+          change: 'quantity_reduced',
+          oldQuantity: fittedQuantity
+        });
+      }
+
+      const newPrice = toCartUnitPrice(unit, Number(product.price));
+      if (item.price !== null && Number(item.price) !== newPrice) {
+        changes.push({
+          productId,
+          productName,
+          quantity,
+          change: 'price_changed',
+          oldPrice: Number(item.price),
+          newPrice
+        });
+      }
+
+      await dbService.addToCart(contactId, telegramId || order.chatId, {
+        productId,
+        productName,
+        quantity,
+        price: newPrice,
+        unitWeightKg: unit.unitWeightKg
+      });
+      added++;
+    }
+
+    logger.info('Past order copied into cart', {
+      contactId,
+      botOrderId,
+      added,
+      removed: changes.filter(change => change.change === 'removed').length
+    });
+
+    return { cart: await dbService.getCart(contactId), added, changes };
+  }
+
+  // The order, if it was placed by this contact or with the contact's phone
+  async _getContactOrder(contactId, botOrderId) {
+    const order = await dbService.crmDb.botOrder.findUnique({ where: { botOrderId } });
+    if (order?.sendpulseContactId === contactId) return order;
+
+    const ownedByPhone = order?.customerPhone && await dbService.crmDb.customerMapping.findFirst({
+      where: { sendpulseId: contactId, phone: order.customerPhone }
+    });
+    if (ownedByPhone) return order;
+
+    throw new AppError(`Order ${botOrderId} not found for contact ${contactId}`, 404, 'ORDER_NOT_FOUND');
+  }
+}
+
+// Stored lines are [{ id, sku, name, price, quantity }]; older rows may lack
+// everything but id and quantity
+function parseOrderItems(products) {
+  let items;
+  try {
+    items = JSON.parse(products);
+  } catch {
+    return [];
+  }
+
+  return (Array.isArray(items) ? items : [])
+    .map(item => ({
+      id: item.id ? Number(item.id) : null,
+      sku: item.sku || null,
+      name: item.name || null,
+      price: item.price ?? null,
+      quantity: parseInt(item.quantity, 10)
+    }))
+    .filter(item => (item.id || item.sku) && item.quantity > 0);
+}
+
+function findItemMapping(item) {
+  return item.id
+    ? dbService.crmDb.productMapping.findUnique({ where: { ecommerceId: item.id } })
+    : dbService.crmDb.productMapping.findFirst({ where: { keycrmSku: item.sku } });
+}
+
+// Shared singleton instance
+export const cartPricingService = new CartPricingService();
@@ -0,0 +1,270 @@
+// Customer Service — buyer deduplication, `customer_mappings` and bot profiles
+//
+// KeyCRM attaches an order to an existing buyer when the order's phone matches
+// the buyer's. Before an order is created the buyer is looked up in KeyCRM by
+// every spelling of the phone, then by email, so the order carries the phone
+// exactly as KeyCRM stores it. After the order, the messenger contact, E.164
+// phone and KeyCRM buyer ID are saved in `customer_mappings` (one row per phone).
+import { DatabaseService } from './databaseService.js';
+import { keyCrmApiService } from './keyCrmApiService.js';
+import { normalizePhone, phoneVariants } from '../utils/phone.js';
+import { getFieldMapping, toCanonicalValue } from '../config/keycrmFields.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+// Sources whose contactId is a SendPulse messenger contact
+const MESSENGER_SOURCES = ['telegram', 'whatsapp', 'instagram'];
+
+export class CustomerService {
+  // ---------------------------------------------------------------------------
+  // Phone of an order's customer: the order's own (E.164), else the phone last
+  // recorded for its messenger contact (Instagram bots often don't ask again).
+  // ---------------------------------------------------------------------------
+  async resolvePhone(order) {
+    const phone = normalizePhone(order.customer.phone);
+    if (phone || !order.contactId) {
+      return phone || order.customer.phone || null;
+    }
+
+    const mapping = await dbService.crmDb.customerMapping.findFirst({
+      where: { sendpulseId: order.contactId },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    if (mapping) {
+      logger.info('Order phone taken from customer mapping', {
+        botOrderId: order.botOrderId,
+        contactId: order.contactId,
+      });
+    }
+
+    return mapping?.phone || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Existing KeyCRM buyer for a phone / email, or null.
+  // Returns { id, fullName, phone } where phone is the spelling stored in
+  // KeyCRM (for an email match, the buyer's first phone). Lookup failures are
+  // logged and treated as "not found" — KeyCRM's own phone matching still
+  // applies when the order is created.
+  // ---------------------------------------------------------------------------
+  async findKeycrmBuyer({ phone, email }) {
+    try {
+      for (const variant of phoneVariants(phone)) {
+        const buyer = (await keyCrmApiService.findBuyers({ phone: variant }))[0];
+        if (buyer) {
+          return toBuyer(buyer, variant);
+        }
+      }
+
+      if (email) {
+        const buyer = (await keyCrmApiService.findBuyers({ email }))[0];
+        if (buyer) {
+          return toBuyer(buyer, null);
+        }
+      }
+    } catch (error) {
+      logger.warn('KeyCRM buyer lookup failed, relying on KeyCRM phone matching', {
+        error: error.message,
+      });
+    }
+
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Profile of a messenger contact for bots greeting a returning customer.
+  //
+  // Combines the customer mapping, the contact's orders in `bot_orders` (also
+  // those placed from another channel with the same phone) and, for whatever
+  // is still unknown, the KeyCRM buyer. Delivery defaults come from the most
+  // recent order that had one. `orders` holds the last `orderLimit` orders.
+  // Throws AppError 404 CUSTOMER_NOT_FOUND for a contact we know nothing about.
+  // ---------------------------------------------------------------------------
+  async getProfile(contactId, { orderLimit = 5 } = {}) {
+    const db = dbService.crmDb;
+    const mapping = await db.customerMapping.findFirst({
+      where: { sendpulseId: contactId },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    const where = {
+      OR: [
+        { sendpulseContactId: contactId },
+        ...(mapping ? [{ customerPhone: mapping.phone }] : []),
+      ],
+    };
+    // A few more than requested so the delivery default can come from an older order
+    const [orders, orderCount] = await Promise.all([
+      db.botOrder.findMany({ where, orderBy: { createdAt: 'desc' }, take: Math.max(orderLimit, 20) }),
+      db.botOrder.count({ where }),
+    ]);
+
+    if (!mapping && orderCount === 0) {
+      throw new AppError(`No customer known for contact ${contactId}`, 404, 'CUSTOMER_NOT_FOUND');
+    }
+
+    const latest = orders[0] || null;
+    const profile = {
+      contactId,
+      name: latest?.customerName || joinName(mapping) || null,
+      phone: mapping?.phone || latest?.customerPhone || null,
+      email: mapping?.email || latest?.customerEmail || null,
+      language: latest ? parseJson(latest.metadata).language || null : null,
+      keycrmBuyerId: mapping?.keycrmBuyerId ?? null,
+      defaultDelivery: findDefaultDelivery(orders),
+      orderCount,
+      orders: orders.slice(0, orderLimit).map(toOrderSummary),
+    };
+
+    if (profile.keycrmBuyerId && (!profile.name || !profile.phone || !profile.language)) {
+      await this._fillFromKeycrm(profile);
+    }
+
+    return profile;
+  }
+
+  async _fillFromKeycrm(profile) {
+    let buyer;
+    try {
+      buyer = await keyCrmApiService.getBuyer(profile.keycrmBuyerId);
+    } catch (error) {
+      logger.warn('KeyCRM buyer unavailable for customer profile', {
+        buyerId: profile.keycrmBuyerId,
+        error: error.message,
+      });
+      return;
+    }
+
+    if (!buyer) return;
+
+    const languageUuid = getFieldMapping().buyer.language?.uuid;
+    const languageField = (buyer.custom_fields || []).find((field) => field.uuid === languageUuid);
+
+    profile.name ||= buyer.full_name || null;
+    profile.phone ||= [buyer.phone].flat().filter(Boolean)[0] || null;
+    profile.email ||= [buyer.email].flat().filter(Boolean)[0] || null;
+    profile.language ||= languageField
+      ? toCanonicalValue('buyer', 'language', languageField.value)
+      : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Save messenger contact ↔ phone ↔ KeyCRM buyer for a submitted order.
+  // Never throws — the order already exists in KeyCRM.
+  // ---------------------------------------------------------------------------
+  async recordCustomer(order, { phone, keycrmBuyerId = null }) {
+    const e164 = normalizePhone(phone);
+    if (!e164) {
+      logger.debug('Customer mapping skipped, no valid phone', { botOrderId: order.botOrderId });
+      return null;
+    }
+
+    const { customer } = order;
+    const contact = MESSENGER_SOURCES.includes(order.source) && order.contactId
+      ? { sendpulseId: order.contactId, source: order.source }
+      : {};
+    const data = {
+      ...contact,
+      ...(customer.email && { email: customer.email }),
+      ...(keycrmBuyerId && { keycrmBuyerId }),
+      lastSyncAt: new Date(),
+    };
+
+    try {
+      const mapping = await dbService.crmDb.customerMapping.upsert({
+        where: { phone: e164 },
+        create: {
+          phone: e164,
+          firstName: customer.firstName || '',
+          lastName: customer.lastName || '',
+          ...data,
+        },
+        update: data,
+      });
+
+      logger.info('Customer mapping saved', {
+        mappingId: mapping.id,
+        contactId: mapping.sendpulseId,
+        keycrmBuyerId: mapping.keycrmBuyerId,
+      });
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to save customer mapping', {
+        error: error.message,
+        botOrderId: order.botOrderId,
+      });
+      return null;
+    }
+  }
+}
+
+function joinName(mapping) {
+  return mapping ? [mapping.firstName, mapping.lastName].filter(Boolean).join(' ') : '';
+}
+
+// bot_orders JSON columns; rows from before the canonical order may hold plain text
+function parseJson(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function findDefaultDelivery(orders) {
+  for (const order of orders) {
+    const delivery = parseJson(order.deliveryInfo);
+    if (delivery.type) {
+      return {
+        type: delivery.type,
+        station: delivery.station || null,
+        stationId: delivery.stationId ?? null,
+        city: delivery.city || null,
+        canton: delivery.canton || null,
+        address: delivery.address || null,
+      };
+    }
+  }
+  return null;
+}
+
+function toOrderSummary(order) {
+  const products = parseJson(order.products);
+
+  return {
+    botOrderId: order.botOrderId,
+    source: order.source,
+    orderNumber: order.keycrmOrderNumber,
+    keycrmOrderId: order.keycrmOrderId,
+    status: order.status,
+    totalAmount: order.totalAmount,
+    createdAt: order.createdAt,
+    items: (Array.isArray(products) ? products : []).map((item) => ({
+      id: item.id ?? null,
+      name: item.name || null,
+      quantity: item.quantity,
+      price: item.price ?? null,
+    })),
+  };
+}
+
+function toBuyer(buyer, matchedPhone) {
+  const phones = [buyer.phone].flat().filter(Boolean);
+  const digits = (value) => String(value).replace(/\D/g, '');
+  const stored = matchedPhone
+    ? phones.find((phone) => digits(phone) === digits(matchedPhone)) || matchedPhone
+    : phones[0];
+
+  return {
+    id: buyer.id,
+    fullName: buyer.full_name || null,
+    phone: stored || null,
+  };
+}
+
+// Shared singleton instance
+export const customerService = new CustomerService();
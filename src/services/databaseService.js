@@ -175,18 +175,23 @@ export class DatabaseService {
           sendpulseContactId: orderData.sendpulseContactId,
           customerPhone: orderData.customerPhone,
           customerName: orderData.customerName,
+          customerEmail: orderData.customerEmail,
           totalAmount: parseFloat(orderData.totalAmount),
           paymentMethod: orderData.paymentMethod,
           deliveryInfo: JSON.stringify(orderData.deliveryInfo),
           notes: orderData.notes,
           products: JSON.stringify(orderData.products),
-          status: 'created'
+          status: orderData.status || 'PENDING',
+          keycrmOrderId: orderData.keycrmOrderId ?? null,
+          keycrmOrderNumber: orderData.keycrmOrderNumber ?? null,
+          metadata: JSON.stringify(orderData.metadata || {})
         }
       });
 
       logger.info('Bot order saved', {
         botOrderId: orderData.botOrderId,
-        crmId: order.id
+        crmId: order.id,
+        keycrmOrderId: order.keycrmOrderId
       });
 
       return order;
@@ -206,7 +211,8 @@ export class DatabaseService {
       });
 
       if (!order) {
-        throw new Error(`Bot order ${botOrderId} not found`);
+        logger.info('Bot order not found', { botOrderId });
+        return null;
       }
 
       logger.info('Bot order retrieved', { botOrderId });
@@ -238,6 +244,37 @@ export class DatabaseService {
     }
   }
 
+  async getBotOrderByKeycrmId(keycrmOrderId) {
+    return this.crmDb.botOrder.findFirst({
+      where: { keycrmOrderId: Number(keycrmOrderId) }
+    });
+  }
+
+  // === ECOMMERCE ORDER OPERATIONS (via Ecommerce API) ===
+
+  /**
+   * Find ecommerce order linked to a CRM deal / KeyCRM order ID.
+   * Returns null when the ecommerce side has no such order.
+   */
+  async findEcommerceOrderByDeal(dealId) {
+    try {
+      const response = await this.ecommerceClient.get(`/api/orders/by-deal/${dealId}`);
+      return response.data?.order || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async updateEcommerceOrderStatus(orderId, status) {
+    const response = await this.ecommerceClient.patch(`/api/orders/${orderId}/status`, { status });
+
+    logger.info('Ecommerce order status updated', { orderId, status });
+    return response.data;
+  }
+
   // === PRODUCT MAPPING OPERATIONS ===
 
   async saveProductMapping(ecommerceId, sendpulseId, name) {
@@ -408,15 +445,21 @@ export class DatabaseService {
 
   // === CART OPERATIONS ===
 
+  // `unitWeightKg` (kg per cart unit, see config/productUnits.js) sets the line
+  // weight from the merged quantity; otherwise `weightKg` is stored as given
   async addToCart(contactId, telegramId, productData) {
     try {
-      const { productId, productName, quantity, price, weightKg } = productData;
+      const { productId, productName, quantity, price, weightKg, unitWeightKg } = productData;
+      const lineWeight = (lineQuantity) => unitWeightKg
+        ? lineQuantity * unitWeightKg
+        : parseFloat(weightKg) || 0;
 
       // Check if item already exists in cart
       const existingItem = await this.crmDb.botCartItem.findFirst({
         where: {
           contactId: contactId,
-          productId: parseInt(productId)
+          productId: parseInt(productId),
+          isActive: true
         }
       });
 
@@ -429,8 +472,9 @@ export class DatabaseService {
           where: { id: existingItem.id },
           data: {
             quantity: newQuantity,
+            price: parseFloat(price),
             total: newTotal,
-            weightKg: parseFloat(weightKg) || 0
+            weightKg: lineWeight(newQuantity)
           }
         });
 
@@ -446,7 +490,7 @@ export class DatabaseService {
             productName: productName,
             quantity: parseInt(quantity),
             price: parseFloat(price),
-            weightKg: parseFloat(weightKg) || 0,
+            weightKg: lineWeight(parseInt(quantity)),
             total: parseInt(quantity) * parseFloat(price)
           }
         });
@@ -467,7 +511,7 @@ export class DatabaseService {
   async getCart(contactId) {
     try {
       const cartItems = await this.crmDb.botCartItem.findMany({
-        where: { contactId: contactId },
+        where: { contactId: contactId, isActive: true },
         orderBy: { createdAt: 'asc' }
       });
 
@@ -496,6 +540,10 @@ export class DatabaseService {
   async clearCart(contactId) {
     try {
       const deletedCount = await this.crmDb.botCartItem.deleteMany({
+        where: { contactId: contactId, isActive: true }
+      });
+      // A promo code applied to the cart goes with it
+      await this.crmDb.cartPromo.deleteMany({
         where: { contactId: contactId }
       });
 
@@ -510,7 +558,7 @@ export class DatabaseService {
     }
   }
 
-  async updateCartItem(itemId, newQuantity) {
+  async updateCartItem(itemId, newQuantity, { unitWeightKg = null } = {}) {
     try {
       // Get the item first to calculate new total
       const item = await this.crmDb.botCartItem.findUnique({
@@ -529,7 +577,8 @@ export class DatabaseService {
         where: { id: parseInt(itemId) },
         data: {
           quantity: parseInt(newQuantity),
-          total: newTotal
+          total: newTotal,
+          ...(unitWeightKg && { weightKg: parseInt(newQuantity) * unitWeightKg })
         }
       });
 
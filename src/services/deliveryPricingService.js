@@ -0,0 +1,77 @@
+// Delivery Pricing Service — delivery fee and minimum order for an order's zone
+//
+// Rules come from src/config/deliveryPricing.js (type and canton) and the
+// station's own `pricing`. Amounts compared with the thresholds are the goods
+// after any promo discount; the fee itself is not discounted.
+import { deliveryStationService } from './deliveryStationService.js';
+import { getZonePricing } from '../config/deliveryPricing.js';
+import { normalizeDeliveryType } from '../config/delivery.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export class DeliveryPricingService {
+  // ---------------------------------------------------------------------------
+  // Delivery price for goods worth `subtotal` delivered as `delivery` (a
+  // canonical order's delivery, ideally completed by resolveDeliveryInfo):
+  //
+  //   { type, canton, stationId, fee, baseFee, freeFrom, freeDelivery,
+  //     amountToFreeDelivery, minOrder, meetsMinimum, amountToMinimum }
+  //
+  // `fee` is what the customer pays (0 once free), `baseFee` the zone's fee.
+  // ---------------------------------------------------------------------------
+  async quote(delivery = {}, subtotal) {
+    const requestedType = normalizeDeliveryType(delivery.type);
+    // Address delivery is priced by canton even when a station got attached
+    const station = delivery.stationId && requestedType !== 'address'
+      ? (await deliveryStationService.getActiveStations()).find((candidate) => candidate.id === delivery.stationId)
+      : null;
+
+    const type = requestedType || (station && !station.isPickup ? 'railway_station' : 'pickup');
+    const canton = station?.canton || delivery.canton || null;
+    const rules = getZonePricing(type, { canton, stationPricing: station?.pricing });
+
+    const freeDelivery = rules.fee === 0 || (rules.freeFrom !== null && subtotal >= rules.freeFrom);
+
+    return {
+      type,
+      canton,
+      stationId: station?.id ?? null,
+      fee: freeDelivery ? 0 : rules.fee,
+      baseFee: rules.fee,
+      freeFrom: rules.freeFrom,
+      freeDelivery,
+      amountToFreeDelivery: !freeDelivery && rules.freeFrom !== null ? roundMoney(rules.freeFrom - subtotal) : null,
+      minOrder: rules.minOrder,
+      meetsMinimum: subtotal >= rules.minOrder,
+      amountToMinimum: subtotal < rules.minOrder ? roundMoney(rules.minOrder - subtotal) : 0,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Quote an order being checked out and refuse it below the zone's minimum.
+  // Returns the quote; throws AppError 422 ORDER_BELOW_MINIMUM (with
+  // `minOrderAmount` and `amountToMinimum`).
+  // ---------------------------------------------------------------------------
+  async quoteCheckout(delivery, subtotal) {
+    const quote = await this.quote(delivery, subtotal);
+
+    if (!quote.meetsMinimum) {
+      throw Object.assign(
+        new AppError(
+          `Minimum order for ${quote.type} delivery is ${quote.minOrder.toFixed(2)} CHF`,
+          422,
+          'ORDER_BELOW_MINIMUM'
+        ),
+        { minOrderAmount: quote.minOrder, amountToMinimum: quote.amountToMinimum }
+      );
+    }
+
+    return quote;
+  }
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Shared singleton instance
+export const deliveryPricingService = new DeliveryPricingService();
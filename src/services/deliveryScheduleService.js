@@ -0,0 +1,146 @@
+// Delivery Schedule Service — next delivery dates and time slots
+//
+// Works on calendar dates in the delivery timezone (DELIVERY_TIMEZONE,
+// default Europe/Zurich): a date is offered when it is a delivery weekday of
+// the station (or delivery type), not a holiday, and the order is placed
+// before that date's cut-off. Dates are 'YYYY-MM-DD', local times 'HH:MM'.
+import { deliveryStationService } from './deliveryStationService.js';
+import {
+  DEFAULT_SCHEDULES,
+  getDeliveryTimezone,
+  getHolidays,
+  normalizeDeliveryType,
+} from '../config/delivery.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// How far ahead to look for delivery dates
+const SEARCH_HORIZON_DAYS = 60;
+
+export class DeliveryScheduleService {
+  // ---------------------------------------------------------------------------
+  // Upcoming delivery options for a station / delivery type.
+  //
+  // Returns [{ date, weekday, timeSlot, cutoff }] (at most `count`), where
+  // `cutoff` is the local 'YYYY-MM-DD HH:MM' until which that date can be ordered.
+  // ---------------------------------------------------------------------------
+  getDeliveryOptions({ station = null, deliveryType = null, orderTime = new Date(), count = 3 } = {}) {
+    const schedule = this.getSchedule(station, deliveryType);
+    const now = toLocalParts(orderTime, getDeliveryTimezone());
+    const options = [];
+
+    for (let offset = 0; offset <= SEARCH_HORIZON_DAYS && options.length < count; offset++) {
+      const date = addDays(now.date, offset);
+      if (!this._isDeliveryDay(date, schedule)) continue;
+
+      const cutoff = `${addDays(date, -schedule.cutoff.daysBefore)} ${padTime(schedule.cutoff.time)}`;
+      if (`${now.date} ${now.time}` > cutoff) continue;
+
+      options.push({ date, weekday: isoWeekday(date), timeSlot: schedule.time, cutoff });
+    }
+
+    return options;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Add `deliveryDate` and `deliveryTimeSlot` to an order's deliveryInfo
+  // (already completed by DeliveryStationService.resolveDeliveryInfo).
+  // A date chosen by the customer is kept if it is still orderable; otherwise
+  // the earliest date is used.
+  // Throws AppError 422 DELIVERY_DATE_UNAVAILABLE (with `options`) for a chosen
+  // date that is not orderable, 422 NO_DELIVERY_DATES when nothing is.
+  // ---------------------------------------------------------------------------
+  async scheduleDelivery(deliveryInfo = {}, orderTime = new Date()) {
+    const station = deliveryInfo.stationId
+      ? (await deliveryStationService.getActiveStations()).find((candidate) => candidate.id === deliveryInfo.stationId)
+      : null;
+    const requestedDate = deliveryInfo.deliveryDate || null;
+
+    const options = this.getDeliveryOptions({
+      station,
+      deliveryType: deliveryInfo.type,
+      orderTime,
+      count: requestedDate ? SEARCH_HORIZON_DAYS : 1,
+    });
+
+    if (options.length === 0) {
+      throw new AppError('No delivery dates available', 422, 'NO_DELIVERY_DATES');
+    }
+
+    let option = options[0];
+    if (requestedDate) {
+      option = options.find((candidate) => candidate.date === requestedDate);
+
+      if (!option) {
+        throw Object.assign(
+          new AppError(`Delivery is not available on ${requestedDate}`, 422, 'DELIVERY_DATE_UNAVAILABLE'),
+          { options: options.slice(0, 3) }
+        );
+      }
+    }
+
+    logger.debug('Delivery scheduled', {
+      station: station?.code,
+      deliveryType: deliveryInfo.type,
+      requestedDate,
+      deliveryDate: option.date,
+    });
+
+    return { ...deliveryInfo, deliveryDate: option.date, deliveryTimeSlot: option.timeSlot };
+  }
+
+  // Station schedule merged over the defaults for its delivery type
+  getSchedule(station, deliveryType) {
+    const type = station?.isPickup
+      ? 'pickup'
+      : normalizeDeliveryType(deliveryType) || (station ? 'railway_station' : 'pickup');
+    const defaults = DEFAULT_SCHEDULES[type];
+    const own = station?.schedule || {};
+
+    return {
+      type,
+      days: own.days?.length ? own.days : defaults.days,
+      time: own.time || own.note || defaults.time,
+      cutoff: { ...defaults.cutoff, ...own.cutoff },
+    };
+  }
+
+  _isDeliveryDay(date, schedule) {
+    return schedule.days.includes(isoWeekday(date)) &&
+      !getHolidays(Number(date.slice(0, 4))).has(date);
+  }
+}
+
+// Calendar date and time of an instant in the given timezone
+function toLocalParts(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(instant).map(({ type, value }) => [type, value])
+  );
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function isoWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+// '8:00' → '08:00' so local times compare as strings
+function padTime(time) {
+  return time.padStart(5, '0');
+}
+
+// Shared singleton instance
+export const deliveryScheduleService = new DeliveryScheduleService();
@@ -0,0 +1,326 @@
+// Delivery Station Service — registry of railway delivery stations and the
+// pickup point, stored in `delivery_stations`
+//
+// Bots send station names as free text in any language, often with the
+// delivery time attached ("Vevey 11:40", "Женева"). The resolver matches them
+// against every name and alias, first exactly, then by whole word, prefix and
+// finally edit distance. When more than one station fits equally well the
+// result is `ambiguous` with the candidates, never a silent pick.
+import { DatabaseService } from './databaseService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+export const STATION_LANGUAGES = ['uk', 'ru', 'fr', 'en'];
+
+export const RESOLUTION_STATUS = {
+  MATCHED: 'matched',
+  AMBIGUOUS: 'ambiguous',
+  NOT_FOUND: 'not_found',
+};
+
+export class DeliveryStationService {
+  constructor() {
+    this._cache = null;
+    this._cacheLoadedAt = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Resolve free-text station input against the active stations.
+  //
+  // Returns { status, input, station, matchType, candidates } where station is
+  // set only for `matched` and candidates lists every station that fit.
+  // ---------------------------------------------------------------------------
+  async resolve(input) {
+    const query = normalizeName(input);
+    const result = { status: RESOLUTION_STATUS.NOT_FOUND, input, station: null, matchType: null, candidates: [] };
+
+    if (!query) {
+      return result;
+    }
+
+    const stations = await this.getActiveStations();
+    const queryWords = query.split(' ');
+
+    const strategies = [
+      ['exact', (name) => name === query],
+      ['word', (name) => containsWords(queryWords, name.split(' '))],
+      ['prefix', (name) => query.length >= 2 && name.startsWith(query)],
+    ];
+
+    for (const [matchType, matches] of strategies) {
+      const found = stations.filter((station) => station.searchNames.some(matches));
+      if (found.length > 0) {
+        return finishResolution(result, found, matchType);
+      }
+    }
+
+    // Typos: closest stations by edit distance, ties are ambiguous
+    let bestDistance = Infinity;
+    let closest = [];
+    for (const station of stations) {
+      const distance = Math.min(...station.searchNames.flatMap((name) =>
+        [query, ...queryWords].map((candidate) => levenshtein(candidate, name))
+      ));
+      if (distance > maxTypos(query)) continue;
+
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        closest = [station];
+      } else if (distance === bestDistance) {
+        closest.push(station);
+      }
+    }
+
+    return closest.length > 0 ? finishResolution(result, closest, 'fuzzy') : result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Complete an order's deliveryInfo from the registry: canonical station name,
+  // canton, city, delivery type and station IDs. A missing station defaults to
+  // the pickup point; unknown stations are passed through unchanged.
+  // Throws AppError 422 DELIVERY_STATION_AMBIGUOUS (with `candidates`).
+  // ---------------------------------------------------------------------------
+  async resolveDeliveryInfo(deliveryInfo = {}) {
+    if (!deliveryInfo.station) {
+      const pickup = await this.getPickupStation();
+      if (!pickup) {
+        return { ...deliveryInfo };
+      }
+
+      return applyStation(deliveryInfo, pickup);
+    }
+
+    const resolution = await this.resolve(deliveryInfo.station);
+
+    if (resolution.status === RESOLUTION_STATUS.AMBIGUOUS) {
+      throw ambiguousStationError(resolution);
+    }
+
+    if (resolution.status === RESOLUTION_STATUS.NOT_FOUND) {
+      logger.warn('Delivery station not found in registry', { station: deliveryInfo.station });
+      return { type: 'railway_station', ...deliveryInfo };
+    }
+
+    return applyStation(deliveryInfo, resolution.station);
+  }
+
+  // Canton code of the first station named in an address, or null
+  async findCanton(address) {
+    if (!address) return null;
+
+    const words = normalizeName(address).split(' ');
+    const stations = await this.getActiveStations();
+    const station = stations.find((candidate) =>
+      candidate.searchNames.some((name) => containsWords(words, name.split(' ')))
+    );
+
+    return station?.canton || null;
+  }
+
+  async getPickupStation() {
+    const stations = await this.getActiveStations();
+    return stations.find((station) => station.isPickup) || null;
+  }
+
+  // Active stations in display order, cached for CACHE_TTL_MS
+  async getActiveStations() {
+    if (this._cache && Date.now() - this._cacheLoadedAt < CACHE_TTL_MS) {
+      return this._cache;
+    }
+
+    const rows = await dbService.crmDb.deliveryStation.findMany({
+      where: { isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+    });
+
+    this._cache = rows.map(toStation);
+    this._cacheLoadedAt = Date.now();
+    return this._cache;
+  }
+
+  clearCache() {
+    this._cache = null;
+    this._cacheLoadedAt = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Admin CRUD. Inputs use the public shape ({ code, names: { uk, ru, fr, en },
+  // aliases: [], canton, ecommerceStationId, schedule: {}, pricing: {},
+  // isPickup, isActive, sortOrder }); every write clears the resolver cache.
+  // ---------------------------------------------------------------------------
+  async list({ includeInactive = false } = {}) {
+    const rows = await dbService.crmDb.deliveryStation.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+    });
+
+    return rows.map(toStation).map(toPublic);
+  }
+
+  async getById(id) {
+    const row = await dbService.crmDb.deliveryStation.findUnique({ where: { id } });
+
+    if (!row) {
+      throw new AppError(`Delivery station ${id} not found`, 404, 'STATION_NOT_FOUND');
+    }
+
+    return toPublic(toStation(row));
+  }
+
+  async create(input) {
+    const row = await dbService.crmDb.deliveryStation.create({ data: toRowData(input) });
+    this.clearCache();
+
+    logger.info('Delivery station created', { stationId: row.id, code: row.code });
+    return toPublic(toStation(row));
+  }
+
+  async update(id, input) {
+    await this.getById(id);
+
+    const row = await dbService.crmDb.deliveryStation.update({ where: { id }, data: toRowData(input) });
+    this.clearCache();
+
+    logger.info('Delivery station updated', { stationId: id, fields: Object.keys(input) });
+    return toPublic(toStation(row));
+  }
+
+  // Soft delete — keeps the row so old orders still resolve in reports
+  async deactivate(id) {
+    return this.update(id, { isActive: false });
+  }
+}
+
+function finishResolution(result, stations, matchType) {
+  const candidates = stations.map(toPublic);
+
+  if (stations.length > 1) {
+    logger.info('Ambiguous delivery station input', {
+      input: result.input,
+      matchType,
+      candidates: stations.map((station) => station.code),
+    });
+    return { ...result, status: RESOLUTION_STATUS.AMBIGUOUS, matchType, candidates };
+  }
+
+  return { ...result, status: RESOLUTION_STATUS.MATCHED, station: candidates[0], matchType, candidates };
+}
+
+function applyStation(deliveryInfo, station) {
+  return {
+    ...deliveryInfo,
+    type: deliveryInfo.type || (station.isPickup ? 'pickup' : 'railway_station'),
+    city: deliveryInfo.city || station.names.fr,
+    station: station.names.fr,
+    canton: deliveryInfo.canton || station.canton,
+    stationId: station.id,
+    ecommerceStationId: station.ecommerceStationId,
+  };
+}
+
+// Lowercase, strip accents, delivery times and punctuation: "Genève 18:20-18:30" → "geneve"
+export function normalizeName(value) {
+  if (!value || typeof value !== 'string') return '';
+
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\d{1,2}[:.h]\d{2}/g, ' ')
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// AppError 422 DELIVERY_STATION_AMBIGUOUS for an ambiguous resolution, with its `candidates`
+export function ambiguousStationError(resolution) {
+  const names = resolution.candidates.map((station) => station.names.fr).join(', ');
+  return Object.assign(
+    new AppError(`Delivery station "${resolution.input}" is ambiguous: ${names}`, 422, 'DELIVERY_STATION_AMBIGUOUS'),
+    { candidates: resolution.candidates }
+  );
+}
+
+// Every word of `nameWords` appears in `words`, in order and adjacent
+function containsWords(words, nameWords) {
+  for (let start = 0; start + nameWords.length <= words.length; start++) {
+    if (nameWords.every((word, offset) => words[start + offset] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function maxTypos(query) {
+  if (query.length < 4) return 0;
+  return query.length <= 6 ? 1 : 2;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function toStation(row) {
+  const names = { uk: row.nameUk, ru: row.nameRu, fr: row.nameFr, en: row.nameEn };
+  const aliases = JSON.parse(row.aliases);
+
+  return {
+    id: row.id,
+    code: row.code,
+    names,
+    aliases,
+    canton: row.canton,
+    ecommerceStationId: row.ecommerceStationId,
+    schedule: JSON.parse(row.schedule),
+    pricing: JSON.parse(row.pricing),
+    address: JSON.parse(row.address),
+    isPickup: row.isPickup,
+    isActive: row.isActive,
+    sortOrder: row.sortOrder,
+    searchNames: [...new Set([row.code, ...Object.values(names), ...aliases].map(normalizeName).filter(Boolean))],
+  };
+}
+
+function toPublic({ searchNames, ...station }) {
+  return station;
+}
+
+function toRowData(input) {
+  const data = {};
+
+  for (const field of ['code', 'canton', 'ecommerceStationId', 'isPickup', 'isActive', 'sortOrder']) {
+    if (input[field] !== undefined) data[field] = input[field];
+  }
+  for (const lang of STATION_LANGUAGES) {
+    if (input.names?.[lang] !== undefined) {
+      data[`name${lang[0].toUpperCase()}${lang.slice(1)}`] = input.names[lang];
+    }
+  }
+  if (input.aliases !== undefined) data.aliases = JSON.stringify(input.aliases);
+  if (input.schedule !== undefined) data.schedule = JSON.stringify(input.schedule);
+  if (input.pricing !== undefined) data.pricing = JSON.stringify(input.pricing);
+  if (input.address !== undefined) data.address = JSON.stringify(input.address);
+
+  return data;
+}
+
+// Shared singleton instance
+export const deliveryStationService = new DeliveryStationService();
@@ -1,6 +1,12 @@
 import { SendPulseCRMService } from './sendPulseCrmService.js';
 import { DatabaseService } from './databaseService.js';
 import { keyCrmOrderService } from './keyCrmOrderService.js';
+import { notificationService } from './notificationService.js';
+import { deliveryStationService, RESOLUTION_STATUS, ambiguousStationError } from './deliveryStationService.js';
+import { deliveryScheduleService } from './deliveryScheduleService.js';
+import { orderStatusService } from './orderStatusService.js';
+import { ORDER_STATUS } from '../config/keycrmStatuses.js';
+import { normalizePaymentMethod, DEFAULT_PAYMENT_METHOD } from '../config/payments.js';
 import axios from 'axios';
 import logger from '../utils/logger.js';
 
@@ -13,26 +19,52 @@ export class EnhancedCrmService extends SendPulseCRMService {
   }
 
   /**
- * Create order in both ecommerce DB and SendPulse CRM
- * @param {Object} telegramOrderData - Order data from Telegram bot
- * @returns {Object} Combined result with both DB and CRM IDs
- */
-
-  async createTelegramOrderComplete(telegramOrderData) {
-    const botOrderId = `TG_${Date.now()}_${telegramOrderData.chatId || telegramOrderData.contact_id}`;
+   * Submit a canonical order (src/adapters/orderSchema.js) to KeyCRM and store
+   * it in bot_orders. Used by the outbox worker for bot orders and directly
+   * for Hostinger email orders.
+   * @param {Object} order - Canonical order from one of the adapters
+   * @returns {Object} botOrderId, KeyCRM IDs and total
+   */
+  async createOrderComplete(order) {
+    const { botOrderId } = order;
 
     try {
-      logger.info('Starting complete Telegram order creation', {
+      logger.info('Starting complete order creation', {
         botOrderId,
-        chatId: telegramOrderData.chatId || telegramOrderData.contact_id
+        source: order.source,
+        chatId: order.chatId
       });
 
+      // A retried outbox entry whose order was already created and stored
+      const stored = await this.dbService.getBotOrder(botOrderId);
+      if (stored?.keycrmOrderId) {
+        logger.warn('Order already submitted to KeyCRM, not submitting again', {
+          botOrderId,
+          keycrmOrderId: stored.keycrmOrderId
+        });
+
+        return {
+          botOrderId,
+          ecommerceOrderId: null,
+          crmOrderId: stored.keycrmOrderId,
+          orderNumber: stored.keycrmOrderNumber || `KRM-${stored.keycrmOrderId}`,
+          totalAmount: Number(stored.totalAmount),
+          status: 'created'
+        };
+      }
+
       // Create order in KeyCRM (primary system)
-      const keycrmResult = await keyCrmOrderService.createOrderFromBot(telegramOrderData);
+      const keycrmResult = await keyCrmOrderService.createOrder(order);
       const crmResult = { dealId: keycrmResult.keycrmOrderId, contactId: null };
 
-      // Store bot order mapping for tracking
-      await this.storeBotOrderMapping(telegramOrderData, botOrderId, null, crmResult);
+      // Store the order in bot_orders so order-status lookups work
+      const botOrder = await this.storeOrder(order, keycrmResult);
+
+      if (botOrder) {
+        await notificationService.notifyOrderCreated(botOrder);
+        // A status webhook may have beaten us to it
+        await orderStatusService.applyDeferredStatusChange(keycrmResult.keycrmOrderId);
+      }
 
       // Log sync
       await this.logOrderSync(null, crmResult.dealId, 'CREATE', 'Order created in KeyCRM');
@@ -42,15 +74,16 @@ export class EnhancedCrmService extends SendPulseCRMService {
         ecommerceOrderId: null,
         crmOrderId: crmResult.dealId,
         orderNumber: keycrmResult.orderNumber || `KRM-${crmResult.dealId}`,
+        totalAmount: keycrmResult.totalAmount,
         status: 'created'
       };
 
-      logger.info('Complete Telegram order creation successful', result);
+      logger.info('Complete order creation successful', result);
       return result;
 
     } catch (error) {
       logger.error('Order creation failed', { error: error.message, botOrderId });
-      throw new Error(`Complete order creation failed: ${error.message}`);
+      throw new Error(`Complete order creation failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -163,45 +196,65 @@ export class EnhancedCrmService extends SendPulseCRMService {
       // Add await because mapTelegramItemsToEcommerceFormat is now async
       const items = await this.mapTelegramItemsToEcommerceFormat(telegramOrderData);
 
-      // Check station mapping and determine delivery type
+      // Resolve the station against the registry and determine delivery type
       const requestedStation = telegramOrderData.deliveryInfo?.station || telegramOrderData.station;
-      const mappedStationId = this.mapStationNameToId(requestedStation);
-
-      // Check if station was not found in mapping (returns default Vevey ID: 11)
-      // If no station provided or not found in mapping, switch to pickup
-      const isStationFound = requestedStation && this.isStationInMapping(requestedStation);
+      const resolution = await deliveryStationService.resolve(requestedStation);
+      if (resolution.status === RESOLUTION_STATUS.AMBIGUOUS) {
+        throw ambiguousStationError(resolution);
+      }
+      const station = resolution.station;
 
       let deliveryType, deliveryStationId, deliveryAddress;
+      let pickup = null;
+      const isStationFound = !!station?.ecommerceStationId;
 
+      // No station, unknown station or the pickup point itself - switch to pickup
       if (!isStationFound) {
-        // Station not found - use pickup in Nyon
-        logger.info('Station not found in mapping, switching to pickup', {
+        logger.info('Station not resolved to a delivery station, switching to pickup', {
           requestedStation,
+          resolution: resolution.status,
+          candidates: resolution.candidates.map(candidate => candidate.code),
           botOrderId
         });
 
+        pickup = await deliveryStationService.getPickupStation();
+        if (!pickup) {
+          logger.warn('No pickup point in the station registry, sending pickup order without address', { botOrderId });
+        }
+
         deliveryType = 'PICKUP';
         deliveryStationId = null;
-        deliveryAddress = {
-          city: 'Nyon',
-          street: 'chemin de Pré-Fleuri',
-          house: '5',
-          canton: 'VD',
-          postalCode: '1260'
-        };
+        deliveryAddress = pickup
+          ? {
+            city: pickup.address.city || pickup.names.fr,
+            street: pickup.address.street,
+            house: pickup.address.house,
+            canton: pickup.canton,
+            postalCode: pickup.address.postalCode
+          }
+          : {};
       } else {
         // Station found - use railway delivery
         deliveryType = 'RAILWAY_STATION';
-        deliveryStationId = mappedStationId;
+        deliveryStationId = station.ecommerceStationId;
         deliveryAddress = {
           city: telegramOrderData.deliveryInfo?.city ||
-            telegramOrderData.city || 'Unknown',
-          station: requestedStation,
+            telegramOrderData.city || station.names.fr,
+          station: station.names.fr,
           canton: telegramOrderData.deliveryInfo?.canton ||
-            telegramOrderData.canton || 'Unknown'
+            telegramOrderData.canton || station.canton
         };
       }
 
+      // Date chosen when the order was queued, or the next one on the schedule
+      const nextDelivery = telegramOrderData.deliveryInfo?.deliveryDate
+        ? { date: telegramOrderData.deliveryInfo.deliveryDate, timeSlot: telegramOrderData.deliveryInfo.deliveryTimeSlot }
+        : deliveryScheduleService.getDeliveryOptions({
+          station: isStationFound ? station : null,
+          deliveryType: isStationFound ? 'railway_station' : 'pickup',
+          count: 1
+        })[0];
+
       // Calculate total amount from cart data or fallback to items
       const totalAmount = telegramOrderData.orderAttributes?.cart_total ||
         telegramOrderData.sum ||
@@ -233,13 +286,13 @@ export class EnhancedCrmService extends SendPulseCRMService {
         // Delivery information - dynamic based on station availability
         deliveryType: deliveryType,
         deliveryStationId: deliveryStationId,
-        deliveryDate: telegramOrderData.deliveryDate || this.getNextDeliveryDate(),
-        deliveryTimeSlot: telegramOrderData.deliveryTimeSlot || 'ранок (8:00-12:00)',
+        deliveryDate: nextDelivery?.date,
+        deliveryTimeSlot: nextDelivery?.timeSlot,
         deliveryAddress: deliveryAddress,
 
         // Use calculated total amount
         totalAmount: parseFloat(totalAmount),
-        paymentMethod: 'CASH',
+        paymentMethod: normalizePaymentMethod(telegramOrderData.paymentMethod) || DEFAULT_PAYMENT_METHOD,
         paymentStatus: 'PENDING',
         status: 'PENDING',
 
@@ -247,8 +300,8 @@ export class EnhancedCrmService extends SendPulseCRMService {
         notesClient: telegramOrderData.question ||
           telegramOrderData.notes ||
           telegramOrderData.orderAttributes?.cart_products || '',
-        notesAdmin: `Надійшло з ${telegramOrderData.source || 'Telegram'} bot. ${!isStationFound ?
-          `Станцію "${requestedStation}" не знайдено, переключено на самовивіз у Ньоні. ` : ''}` +
+        notesAdmin: `Надійшло з ${telegramOrderData.source || 'Telegram'} bot. ${!isStationFound && !station?.isPickup ?
+          `Станцію "${requestedStation}" не знайдено, переключено на самовивіз${pickup ? ` (${pickup.names.uk})` : ''}. ` : ''}` +
           `Кошик: ${telegramOrderData.orderAttributes?.cart_products || ''}`,
 
         // Order items
@@ -300,7 +353,7 @@ export class EnhancedCrmService extends SendPulseCRMService {
         itemsCount: order.items?.length || 0,
         customerName: `${orderPayload.guestInfo.firstName} ${orderPayload.guestInfo.lastName}`,
         finalDeliveryType: deliveryType,
-        deliveryLocation: deliveryType === 'PICKUP' ? 'Nyon' : orderPayload.deliveryAddress.station
+        deliveryLocation: deliveryType === 'PICKUP' ? pickup?.names.fr : orderPayload.deliveryAddress.station
       });
 
       return order;
@@ -672,56 +725,55 @@ export class EnhancedCrmService extends SendPulseCRMService {
   }
 
   /**
-   * Store bot order mapping in CRM database for tracking
+   * Store a canonical order in bot_orders, linked to its KeyCRM order. Every
+   * channel is stored the same way; source-specific data lives in `metadata`.
+   * Returns the saved BotOrder, or null if it could not be stored.
    */
-  async storeBotOrderMapping(telegramOrderData, botOrderId, ecommerceOrderId, crmResult) {
+  async storeOrder(order, keycrmResult) {
+    const { botOrderId, customer } = order;
+
     try {
-      const botOrderData = {
+      const botOrder = await this.dbService.saveBotOrder({
         botOrderId,
-        source: telegramOrderData.source || 'TELEGRAM_BOT',
-        chatId: telegramOrderData.contact_id || telegramOrderData.chatId,
-        customerPhone: telegramOrderData.phone || telegramOrderData.customer?.phone || '',
-        customerName: telegramOrderData.fullname || `${telegramOrderData.customer?.firstName || ''} ${telegramOrderData.customer?.lastName || ''}`.trim(),
-        customerEmail: telegramOrderData.email || telegramOrderData.customer?.email || '',
-        products: JSON.stringify(telegramOrderData.products || [telegramOrderData]),
-        deliveryInfo: JSON.stringify({
-          city: telegramOrderData.city,
-          station: telegramOrderData.station,
-          canton: telegramOrderData.canton
-        }),
-        paymentMethod: 'CASH',
-        totalAmount: parseFloat(telegramOrderData.sum || telegramOrderData.totalAmount || 0),
-        status: 'PENDING',
-        notes: telegramOrderData.question || telegramOrderData.notes || '',
-        // Link to both ecommerce and CRM
-        ecommerceOrderId: ecommerceOrderId,
-        sendpulseDealId: crmResult.dealId?.toString() || null,
-        sendpulseContactId: crmResult.contactId?.toString() || null,
-        metadata: JSON.stringify({
-          createdAt: new Date(),
-          telegramContactId: telegramOrderData.contact_id,
-          deliveryPreferences: {
-            city: telegramOrderData.city,
-            station: telegramOrderData.station,
-            canton: telegramOrderData.canton
-          }
-        })
-      };
-
-      //await this.dbService.createBotOrder(botOrderData);
+        source: order.source,
+        chatId: order.chatId,
+        sendpulseContactId: order.contactId,
+        customerPhone: customer.phone || '',
+        customerName: customer.fullName || '',
+        customerEmail: customer.email,
+        products: keycrmResult.lineItems,
+        deliveryInfo: order.delivery,
+        paymentMethod: order.payment.method || '',
+        totalAmount: keycrmResult.totalAmount || 0,
+        status: ORDER_STATUS.PENDING,
+        notes: order.notes,
+        keycrmOrderId: keycrmResult.keycrmOrderId,
+        keycrmOrderNumber: keycrmResult.orderNumber ? String(keycrmResult.orderNumber) : null,
+        metadata: {
+          language: order.language,
+          externalId: order.externalId,
+          totals: order.totals,
+          promo: keycrmResult.promo,
+          shippingCost: keycrmResult.shippingCost,
+          attributes: order.attributes
+        }
+      });
 
-      logger.info('Bot order mapping stored successfully', {
+      logger.info('Order stored in bot_orders', {
         botOrderId,
-        ecommerceOrderId,
-        crmDealId: crmResult.dealId
+        source: order.source,
+        keycrmOrderId: keycrmResult.keycrmOrderId
       });
 
+      return botOrder;
+
     } catch (error) {
-      logger.error('Failed to store bot order mapping', {
+      logger.error('Failed to store order in bot_orders', {
         error: error.message,
         botOrderId
       });
       // Don't throw - main order creation was successful
+      return null;
     }
   }
 
@@ -1297,127 +1349,6 @@ export class EnhancedCrmService extends SendPulseCRMService {
     }
   }
 
-  /**
-   * Check if station exists in mapping (helper function for createOrderInEcommerceDB)
-   */
-  isStationInMapping(stationName) {
-    if (!stationName) {
-      return false;
-    }
-
-    const stationMapping = {
-      // Based on your actual database stations
-      'Montreux': 3,
-      'Lausanne': 4,
-      'Morges': 6,
-      'Geneva': 7,
-      'Genève': 7,     // Alternative spelling
-      'Aigle': 10,
-      'Vevey': 11,
-      'Rolle': 12,
-
-      // Common variations and fallbacks
-      'Montreux 12:10': 3,
-      'Lausanne 13:00': 4,
-      'Morges 13:35': 6,
-      'Geneva 18:20-18:30': 7,
-      'Genève 18:20-18:30': 7,
-      'Aigle по телефону': 10,
-      'Vevey 11:40': 11,
-      'Rolle 10:15-10:30': 12
-    };
-
-    // First try exact match
-    if (stationMapping[stationName]) {
-      return true;
-    }
-
-    // Try case-insensitive partial match
-    const lowerStationName = stationName.toLowerCase();
-    for (const key of Object.keys(stationMapping)) {
-      if (key.toLowerCase().includes(lowerStationName) ||
-        lowerStationName.includes(key.toLowerCase())) {
-        return true;
-      }
-    }
-
-    // Station not found in mapping
-    return false;
-  }
-
-  /**
-   * Updated mapStationNameToId function (for reference - no need to change existing)
-   */
-  mapStationNameToId(stationName) {
-    const stationMapping = {
-      // Based on your actual database stations
-      'Montreux': 3,
-      'Lausanne': 4,
-      'Morges': 6,
-      'Geneva': 7,
-      'Genève': 7,     // Alternative spelling
-      'Aigle': 10,
-      'Vevey': 11,
-      'Rolle': 12,
-
-      // Common variations and fallbacks
-      'Montreux 12:10': 3,
-      'Lausanne 13:00': 4,
-      'Morges 13:35': 6,
-      'Geneva 18:20-18:30': 7,
-      'Genève 18:20-18:30': 7,
-      'Aigle по телефону': 10,
-      'Vevey 11:40': 11,
-      'Rolle 10:15-10:30': 12
-    };
-
-    if (!stationName) {
-      logger.warn('No station name provided, station not found in mapping');
-      return null; // Changed from default Vevey ID to null
-    }
-
-    // First try exact match
-    let stationId = stationMapping[stationName];
-
-    // If no exact match, try case-insensitive partial match
-    if (!stationId) {
-      const lowerStationName = stationName.toLowerCase();
-      for (const [key, id] of Object.entries(stationMapping)) {
-        if (key.toLowerCase().includes(lowerStationName) ||
-          lowerStationName.includes(key.toLowerCase())) {
-          stationId = id;
-          logger.info('Station mapped by partial match', {
-            input: stationName,
-            matched: key,
-            stationId
-          });
-          break;
-        }
-      }
-    }
-
-    if (!stationId) {
-      logger.warn('Station not found in mapping', { stationName });
-      return null; // Station not found - will trigger pickup mode
-    }
-
-    return stationId;
-  }
-
-  /**
-   * Get next available delivery date
-   */
-  getNextDeliveryDate() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(10, 0, 0, 0); // Set to 10:00 AM
-
-    const deliveryDate = tomorrow.toISOString();
-    logger.debug('Next delivery date calculated', { deliveryDate });
-
-    return deliveryDate;
-  }
-
   /**
      * FIXED: Create or find contact for telegram orders
      */
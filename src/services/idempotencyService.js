@@ -0,0 +1,129 @@
+// Idempotency Service — stores responses of order-creating requests so that
+// retried requests (same Idempotency-Key) get the original response back
+// instead of creating a duplicate order. Backed by the `idempotency_keys` table.
+import crypto from 'crypto';
+import { DatabaseService } from './databaseService.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+export const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+};
+
+export class IdempotencyService {
+  constructor() {
+    // How long a stored response is replayed for
+    this.ttlMs = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    // An IN_PROGRESS key older than this belongs to a request that never finished
+    this.inProgressTimeoutMs = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 2 * 60 * 1000;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Try to reserve a key for a new request.
+  //
+  // Returns one of:
+  //   { outcome: 'started', record }    — caller should process the request
+  //   { outcome: 'replay', record }     — a completed response exists for the same payload
+  //   { outcome: 'in_progress' }        — the same key is being processed right now
+  //   { outcome: 'mismatch' }           — the key was used with a different payload
+  // ---------------------------------------------------------------------------
+  async begin(scope, key, requestHash) {
+    const existing = await dbService.crmDb.idempotencyKey.findUnique({
+      where: { scope_key: { scope, key } },
+    });
+
+    if (existing && !this._isReusable(existing)) {
+      if (existing.requestHash !== requestHash) {
+        return { outcome: 'mismatch' };
+      }
+      if (existing.status === IDEMPOTENCY_STATUS.COMPLETED) {
+        return { outcome: 'replay', record: existing };
+      }
+      return { outcome: 'in_progress' };
+    }
+
+    if (existing) {
+      // Expired or abandoned — free the key for this request
+      await dbService.crmDb.idempotencyKey.deleteMany({
+        where: { id: existing.id, updatedAt: existing.updatedAt },
+      });
+    }
+
+    try {
+      const record = await dbService.crmDb.idempotencyKey.create({
+        data: {
+          scope,
+          key,
+          requestHash,
+          status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+          expiresAt: new Date(Date.now() + this.ttlMs),
+        },
+      });
+      return { outcome: 'started', record };
+    } catch (error) {
+      // Unique violation: a concurrent request reserved the key first
+      if (error.code === 'P2002') {
+        return { outcome: 'in_progress' };
+      }
+      throw error;
+    }
+  }
+
+  // Store the final response so later retries can replay it
+  async complete(recordId, statusCode, responseBody) {
+    await dbService.crmDb.idempotencyKey.update({
+      where: { id: recordId },
+      data: {
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        statusCode,
+        responseBody: JSON.stringify(responseBody ?? null),
+      },
+    });
+  }
+
+  // Drop the reservation (request failed) so the client can retry with the same key
+  async release(recordId) {
+    await dbService.crmDb.idempotencyKey.deleteMany({ where: { id: recordId } });
+  }
+
+  // Remove keys whose replay window has passed
+  async purgeExpired() {
+    const result = await dbService.crmDb.idempotencyKey.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+
+    if (result.count > 0) {
+      logger.info('Expired idempotency keys purged', { count: result.count });
+    }
+
+    return result.count;
+  }
+
+  _isReusable(record) {
+    if (record.expiresAt < new Date()) return true;
+    return record.status === IDEMPOTENCY_STATUS.IN_PROGRESS &&
+      Date.now() - record.updatedAt.getTime() > this.inProgressTimeoutMs;
+  }
+}
+
+// SHA-256 of the request body with object keys sorted, so key order doesn't matter
+export function hashRequestBody(body) {
+  return crypto.createHash('sha256').update(stableStringify(body ?? {})).digest('hex');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Shared singleton instance
+export const idempotencyService = new IdempotencyService();
@@ -4,6 +4,7 @@
 // Rate limit: 60 requests/minute
 
 import axios from 'axios';
+import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
 const BASE_URL = 'https://openapi.keycrm.app/v1';
@@ -190,6 +191,205 @@ export class KeyCrmApiService {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Get all product categories.
+  //
+  // KeyCRM endpoint: GET /products/categories
+  // Each category has { id, name, parent_id }.
+  // ---------------------------------------------------------------------------
+  async getProductCategories() {
+    try {
+      const categories = [];
+      let page = 1;
+      let lastPage = 1;
+
+      do {
+        const response = await this.client.get('/products/categories', {
+          params: { page, limit: 50 },
+        });
+        categories.push(...(response.data?.data || []));
+        lastPage = response.data?.meta?.last_page || page;
+        page++;
+      } while (page <= lastPage);
+
+      return categories;
+    } catch (error) {
+      throw new Error(
+        `KeyCRM getProductCategories failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Get all offers (product variants).
+  //
+  // KeyCRM endpoint: GET /offers
+  // Each offer has { id, product_id, sku, price, properties: [{ name, value }], ... };
+  // a product without variants (has_offers: false) has exactly one offer.
+  // ---------------------------------------------------------------------------
+  async getOffers() {
+    try {
+      return await this._fetchAllPages('/offers');
+    } catch (error) {
+      throw new Error(
+        `KeyCRM getOffers failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Get the offers of one product.
+  //
+  // KeyCRM endpoint: GET /offers?filter[product_id]={id}
+  // ---------------------------------------------------------------------------
+  async getProductOffers(productId) {
+    try {
+      return await this._fetchAllPages('/offers', { 'filter[product_id]': productId });
+    } catch (error) {
+      throw new Error(
+        `KeyCRM getProductOffers(${productId}) failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Get stock of every offer, summed over warehouses.
+  //
+  // KeyCRM endpoint: GET /offers/stocks
+  // Each entry has { id (offer ID), sku, quantity, reserve }.
+  // ---------------------------------------------------------------------------
+  async getOfferStocks() {
+    try {
+      return await this._fetchAllPages('/offers/stocks');
+    } catch (error) {
+      throw new Error(
+        `KeyCRM getOfferStocks failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // Every page of a paginated list endpoint, one request at a time
+  async _fetchAllPages(path, params = {}) {
+    const items = [];
+    let page = 1;
+    let lastPage = 1;
+
+    do {
+      const response = await this.client.get(path, {
+        params: { ...params, page, limit: 50 },
+      });
+      items.push(...(response.data?.data || []));
+      lastPage = response.data?.meta?.last_page || page;
+      page++;
+    } while (page <= lastPage);
+
+    return items;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Get all order statuses configured in the KeyCRM account.
+  //
+  // KeyCRM endpoint: GET /order/status
+  // Each status has { id, name, alias, group_id, is_active, ... }.
+  // ---------------------------------------------------------------------------
+  async getOrderStatuses() {
+    try {
+      const response = await this.client.get('/order/status', {
+        params: { limit: 50 },
+      });
+
+      return response.data?.data || [];
+    } catch (error) {
+      throw new Error(
+        `KeyCRM getOrderStatuses failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Get custom field definitions of the KeyCRM account.
+  //
+  // KeyCRM endpoint: GET /custom-fields
+  // Each field has { uuid, name, model, type, ... } — model is e.g. order, client.
+  // ---------------------------------------------------------------------------
+  async getCustomFields() {
+    try {
+      const response = await this.client.get('/custom-fields');
+      const body = response.data;
+
+      return Array.isArray(body) ? body : body?.data || [];
+    } catch (error) {
+      throw new Error(
+        `KeyCRM getCustomFields failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search buyers (clients) by phone or email — exactly one filter per call.
+  //
+  // KeyCRM endpoint: GET /buyer?filter[buyer_phone]=...  /  filter[buyer_email]=...
+  // Each buyer has { id, full_name, phone, email, ... }; phone and email are
+  // strings or arrays depending on the account's settings.
+  // ---------------------------------------------------------------------------
+  async findBuyers({ phone, email } = {}) {
+    const params = { limit: 10 };
+    if (phone) params['filter[buyer_phone]'] = phone;
+    if (email) params['filter[buyer_email]'] = email;
+
+    try {
+      const response = await this.client.get('/buyer', { params });
+      return response.data?.data || [];
+    } catch (error) {
+      throw new Error(
+        `KeyCRM findBuyers failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Find the order created with a `source_uuid` (our botOrderId), or null.
+  //
+  // KeyCRM endpoint: GET /order?filter[source_uuid]=...&include=buyer
+  // Lets a retried submission pick up an order KeyCRM created although the
+  // response never reached us (timeout, 5xx after commit).
+  // ---------------------------------------------------------------------------
+  async findOrderBySourceUuid(sourceUuid) {
+    try {
+      const response = await this.client.get('/order', {
+        params: { 'filter[source_uuid]': sourceUuid, include: 'buyer', limit: 1 },
+      });
+      return response.data?.data?.[0] || null;
+    } catch (error) {
+      throw new Error(
+        `KeyCRM findOrderBySourceUuid failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Get a single buyer with its custom fields.
+  //
+  // KeyCRM endpoint: GET /buyer/{id}?include=custom_fields
+  // Returns null when the buyer doesn't exist.
+  // ---------------------------------------------------------------------------
+  async getBuyer(buyerId) {
+    try {
+      const response = await this.client.get(`/buyer/${buyerId}`, {
+        params: { include: 'custom_fields' },
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw new Error(
+        `KeyCRM getBuyer failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
   // Extract chatbot name custom fields and attach as `chatbotNames: { ua, ru, fr }`
   _attachChatbotNames(product) {
     const fields = product.custom_fields || [];
@@ -217,6 +417,7 @@ export class KeyCrmApiService {
   // Expected orderData shape:
   // {
   //   source_id: number,           // KeyCRM order source ID (required)
+  //   source_uuid: string,         // our order ID, unique per source (dedupe key)
   //   manager_id: number,          // assigned manager (optional)
   //   buyer_comment: string,       // notes / delivery info
   //   buyer: {
@@ -227,6 +428,7 @@ export class KeyCrmApiService {
   //   shipping: {                  // optional shipping details
   //     delivery_service_id: number,
   //     tracking_code: string,
+  //     shipping_date: string,     // 'YYYY-MM-DD'
   //     address: {
   //       full_name: string,
   //       country_code: string,    // e.g. "UA"
@@ -236,12 +438,17 @@ export class KeyCrmApiService {
   //       zip_code: string,
   //     },
   //   },
+  //   shipping_price: number,      // optional delivery cost, added to the order total
   //   products: [                  // ordered items (required)
   //     {
+  //       sku: string,             // offer SKU — links the line to the catalog
+  //                                // product or, with has_offers, to the variant
   //       product_id: number,      // KeyCRM product ID (use when has_offers: false)
+  //       name: string,            // shown when the SKU matches nothing
   //       price: number,
   //       quantity: number,
-  //       discount: number,        // optional, absolute value
+  //       discount_percent: number,// optional, % off the line
+  //       discount_amount: number, // optional, absolute value off each unit
   //       currency_code: string,   // optional, e.g. "UAH"
   //     },
   //   ],
@@ -287,7 +494,12 @@ export class KeyCrmApiService {
         response: error.response?.data,
         buyer: orderData.buyer?.phone,
       });
-      throw new Error(`KeyCRM createOrder failed: ${error.response?.data?.message || error.message}`);
+      // Keep KeyCRM's HTTP status so callers can tell rejected orders from outages
+      throw new AppError(
+        `KeyCRM createOrder failed: ${error.response?.data?.message || error.message}`,
+        error.response?.status || 502,
+        'KEYCRM_CREATE_ORDER_FAILED'
+      );
     }
   }
 
@@ -1,401 +1,438 @@
-// KeyCRM Order Service — builds and submits orders to KeyCRM from Telegram bot data
+// KeyCRM Order Service — maps canonical orders to KeyCRM and submits them
 import { DatabaseService } from './databaseService.js';
 import { keyCrmApiService } from './keyCrmApiService.js';
+import { productSnapshotService } from './productSnapshotService.js';
+import { customerService } from './customerService.js';
+import { stockService } from './stockService.js';
+import { promoService, DISCOUNT_TYPES, normalizeCode } from './promoService.js';
+import { deliveryPricingService } from './deliveryPricingService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildCustomFields, findMappingProblems } from '../config/keycrmFields.js';
+import { getProductUnit, toKeycrmQuantity, toCartUnitPrice } from '../config/productUnits.js';
+import {
+  normalizePaymentMethod,
+  getKeycrmPayment,
+  getOrderCurrency,
+  DEFAULT_PAYMENT_METHOD,
+} from '../config/payments.js';
 import logger from '../utils/logger.js';
 
 const dbService = new DatabaseService();
 
-// Ensure phone always starts with + for consistent buyer deduplication in KeyCRM
-const normalizePhone = (phone) => {
-  if (!phone) return null;
-  const digits = phone.replace(/\s+/g, '');
-  return digits.startsWith('+') ? digits : `+${digits}`;
-};
+// Sources whose delivery fee follows our zone pricing (src/config/deliveryPricing.js)
+const BOT_SOURCES = ['telegram', 'whatsapp', 'instagram'];
 
 export class KeyCrmOrderService {
   // ---------------------------------------------------------------------------
-  // Create a KeyCRM order from Telegram bot order data.
+  // Check the custom field mapping (src/config/keycrmFields.js) against the
+  // custom fields defined in KeyCRM. Called once at startup.
   //
-  // telegramOrderData shape (relevant fields):
-  // {
-  //   products: [{ id: number, quantity: number }],  // id = ecommerce product ID
-  //   customerInfo: { firstName, lastName, phone },
-  //   deliveryInfo: { city, station, canton },
-  //   notes: string,
-  // }
-  //
-  // Returns { keycrmOrderId: number, orderNumber: string }
+  // Returns { verified: true } or { verified: false, problems: [...] };
+  // throws when the mapping itself is malformed or KeyCRM can't be reached.
   // ---------------------------------------------------------------------------
-  async createOrderFromBot(telegramOrderData) {
-    const { products, customerInfo, deliveryInfo, notes } = telegramOrderData;
-
-    // Map channel name → KeyCRM source ID
-    // whatsapp=1, telegram=2, instagram=3 (configure via env to override)
-    const SOURCE_IDS = {
-      whatsapp: Number(process.env.KEYCRM_SOURCE_WHATSAPP_ID) || 1,
-      telegram: Number(process.env.KEYCRM_SOURCE_TELEGRAM_ID) || 2,
-      instagram: Number(process.env.KEYCRM_SOURCE_INSTAGRAM_ID) || 3,
-    };
-
-    const sourceId =
-      SOURCE_IDS[telegramOrderData.source?.toLowerCase()] ||
-      Number(process.env.KEYCRM_SOURCE_TELEGRAM_ID) || 2;
-
-    logger.info('Building KeyCRM order from bot data', {
-      productCount: products?.length,
-      buyerPhone: customerInfo?.phone,
-      source: telegramOrderData.source,
-      sourceId,
-    });
-
-    // Step 1: Resolve each product — fetch mapping + live price from KeyCRM
-    const orderProducts = await this._resolveProducts(products);
-
-    // Map bot language codes to KeyCRM select list values
-    const languageMap = {
-      'uk': 'UA',
-      'ru': 'ru',
-      'fr': 'FR',
-      'en': 'ENG',
-    };
-    const language = telegramOrderData.orderAttributes?.language || 'uk';
-    const keycrmLanguage = languageMap[language] || 'UA';
-
-    const deliveryTypeMap = {
-      // English keys (from new Telegraf bot)
-      'address': 'Адресна',
-      'railway_station': 'Кур\'єр',
-      'pickup': 'Самовивіз',
-
-      // Ukrainian
-      'Адресна': 'Адресна',
-      'адресна': 'Адресна',
-      'ЖД вокзали': 'Кур\'єр',
-      'Самовивіз': 'Самовивіз',
-      'самовивіз': 'Самовивіз',
-
-      // Russian
-      'Адресная': 'Адресна',
-      'адресная': 'Адресна',
-      'ЖД вокзалы': 'Кур\'єр',
-      'Самовывоз': 'Самовивіз',
-      'самовывоз': 'Самовивіз',
-
-      // French
-      'À domicile': 'Адресна',
-      'à domicile': 'Адресна',
-      'Gares': 'Кур\'єр',
-      'gares': 'Кур\'єр',
-      'Retrait à Nyon': 'Самовивіз',
-      'retrait à nyon': 'Самовивіз',
-    };
-    const deliveryType = deliveryTypeMap[deliveryInfo?.type] || '';
-    // Step 2: Build the KeyCRM order payload
-    const payload = {
-      source_id: sourceId,
-
-      buyer_comment: [
-        deliveryInfo?.city,
-        deliveryInfo?.station,
-        deliveryInfo?.canton,
-      ]
-        .filter(Boolean)
-        .join(', ')
-        .concat(notes ? `. ${notes}` : ''),
-
-      buyer: {
-        phone: normalizePhone(customerInfo?.phone),
-      },
-
-      products: orderProducts,
-
-      custom_fields: [
-        { uuid: 'OR_1078', value: keycrmLanguage },
-        { uuid: 'OR_1049', value: deliveryType },
-        { uuid: 'OR_1077', value: deliveryType === 'Адресна' ? (deliveryInfo?.address || '') : '' },
-      ],
-    };
-
-    logger.info('KeyCRM order language debug', {
-      orderAttributes: telegramOrderData.orderAttributes,
-      language: telegramOrderData.orderAttributes?.language,
-      customFields: payload.custom_fields,
-    });
+  async verifyCustomFields() {
+    const keycrmFields = await keyCrmApiService.getCustomFields();
+    const problems = findMappingProblems(keycrmFields);
 
-    // Step 3: Submit to KeyCRM
-    const result = await keyCrmApiService.createOrder(payload);
-
-    // Step 4: Fill in buyer data if contact was just created (no name yet)
-    const buyerName = result.buyer?.full_name;
-    const buyerHasNoName = !buyerName || buyerName === '(empty)';
-
-    if (result.buyer?.id && buyerHasNoName) {
-      const fullName = telegramOrderData.orderAttributes?.fullname
-        || [customerInfo?.firstName, customerInfo?.lastName].filter(Boolean).join(' ').trim();
-
-      // Build custom fields for the buyer
-      const buyerCustomFields = [
-        { uuid: 'CT_1011', value: keycrmLanguage }, // Мова спілкування
-        { uuid: 'CT_1048', value: deliveryType },   // Тип доставки
-      ];
-
-
-
-      const updateData = { custom_fields: buyerCustomFields };
-      if (fullName) updateData.full_name = fullName;
-
-      // Add delivery address only for address delivery type
-      if (deliveryInfo?.address && deliveryType === 'Адресна') {
-        //buyerCustomFields.push({ uuid: 'CT_1069', value: deliveryInfo.address });
-
-        updateData.shipping = [
-          {
-            address: deliveryInfo.address,
-            city: deliveryInfo.city,
-            region: deliveryInfo.canton,
-            recipient_full_name: fullName,
-            recipient_phone: normalizePhone(customerInfo?.phone),
-          }
-        ];
-      }
-
-      await keyCrmApiService.updateBuyer(result.buyer.id, updateData);
-
-      logger.info('KeyCRM buyer updated with name and custom fields', {
-        buyerId: result.buyer.id,
-        fullName,
-        deliveryType,
-        language: keycrmLanguage,
-      });
-    }
-
-    logger.info('KeyCRM order created from bot data', {
-      keycrmOrderId: result.id,
-      orderNumber: result.order_number,
-      buyerIsNew: !result.buyer?.full_name,
-    });
-
-    return {
-      keycrmOrderId: result.id,
-      orderNumber: result.order_number,
-    };
+    return problems.length === 0 ? { verified: true } : { verified: false, problems };
   }
 
   // ---------------------------------------------------------------------------
-  // Create a KeyCRM order from a parsed Hostinger email notification.
+  // Create a KeyCRM order from a canonical order (src/adapters/orderSchema.js).
+  // This is the only place orders are mapped to KeyCRM, whatever the channel.
+  // Submitting the same botOrderId again picks up the order already in KeyCRM.
   //
-  // emailOrderData shape (from n8n parser):
-  // {
-  //   orderNumber: string,
-  //   date: string,
-  //   products: [{ name, sku, variant, qty, unitPrice }],
-  //   customer: { name, phone, email, address },
-  //   deliveryMethod: string,       // raw French text
-  //   keyCrmDeliveryType: string,   // already mapped: 'Адресна' | "Кур'єр" | 'Самовивіз'
-  //   paymentMethod: string,
-  //   subtotal: number,
-  //   shipping: number,
-  //   total: number,
-  // }
+  // Returns { keycrmOrderId: number, orderNumber: string, totalAmount: number,
+  //           lineItems: [{ id, sku, name, price, quantity, discount? }],
+  //           promo: { code, discountAmount } | null, shippingCost: number }
+  // totalAmount is after the promo discount and includes the shipping cost.
   // ---------------------------------------------------------------------------
-  async createOrderFromEmail(emailOrderData) {
-    const { products, customer, keyCrmDeliveryType, deliveryMethod, paymentMethod, orderNumber } = emailOrderData;
+  async createOrder(order) {
+    const sourceId = getSourceId(order.source);
 
-    // Hostinger website = source ID 4 (add KEYCRM_SOURCE_WEBSITE_ID to your env)
-    const sourceId = Number(process.env.KEYCRM_SOURCE_WEBSITE_ID) || 4;
-
-    logger.info('Building KeyCRM order from Hostinger email', {
-      orderNumber,
-      productCount: products?.length,
-      buyerPhone: customer?.phone,
+    logger.info('Building KeyCRM order', {
+      botOrderId: order.botOrderId,
+      source: order.source,
       sourceId,
+      itemCount: order.items.length,
+      buyerPhone: order.customer.phone,
     });
 
-    // Step 1: Resolve products by SKU directly (no ecommerceId lookup needed)
-    const orderProducts = await this._resolveProductsBySku(products);
+    // Step 1: Resolve each item — product mapping + current KeyCRM price
+    const { products: orderProducts, lineItems, shortages } = await this._resolveItems(order.items);
+
+    // Bot orders are checked when accepted (StockService.assertAvailable in the
+    // bot order routes); stock may have moved since, or the order came from
+    // another channel, so here shortages are only flagged for the manager
+    if (shortages.length > 0) {
+      logger.warn('KeyCRM order exceeds available stock', { botOrderId: order.botOrderId, shortages });
+    }
 
-    // Email orders from Hostinger are always French
-    const keycrmLanguage = 'FR';
+    // Step 2: Find the existing buyer so KeyCRM attaches the order to it
+    // instead of creating a duplicate (see CustomerService)
+    const phone = await customerService.resolvePhone(order);
+    const existingBuyer = await customerService.findKeycrmBuyer({ phone, email: order.customer.email });
 
-    // Step 2: Build the order payload
-    const payload = {
-      source_id: sourceId,
+    if (existingBuyer) {
+      logger.info('Existing KeyCRM buyer found for order', {
+        botOrderId: order.botOrderId,
+        buyerId: existingBuyer.id,
+      });
+    }
 
-      // Buyer comment: delivery method + payment method + Hostinger order number
-      buyer_comment: [
-        deliveryMethod,
-        paymentMethod,
-        `Commande Hostinger #${orderNumber}`,
-      ].filter(Boolean).join(' | '),
+    // Step 3: Promo code discount on the lines
+    const promo = await this._applyPromo(order, orderProducts, lineItems, phone);
 
-      buyer: {
-        // Send only phone to avoid creating duplicate buyers
-        phone: normalizePhone(customer?.phone),
-      },
+    const subtotal = orderProducts.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const discountAmount = promo?.promoCode ? promo.discountAmount : 0;
+    const shippingCost = await this._getShippingCost(order, Math.round((subtotal - discountAmount) * 100) / 100);
+    const totalAmount = Math.round((subtotal - discountAmount + shippingCost) * 100) / 100;
 
-      products: orderProducts,
+    // Step 4: Submit to KeyCRM — unless an earlier attempt already created the
+    // order and only its response was lost (orders carry botOrderId as source_uuid)
+    let result = await keyCrmApiService.findOrderBySourceUuid(order.botOrderId);
 
-      custom_fields: [
-        { uuid: 'OR_1078', value: keycrmLanguage },
-        { uuid: 'OR_1049', value: keyCrmDeliveryType },
-        // Include address only for address delivery type
-        { uuid: 'OR_1077', value: keyCrmDeliveryType === 'Адресна' ? (customer?.address || '') : '' },
-      ],
-    };
+    if (result) {
+      logger.warn('KeyCRM order already exists for this order, not creating it again', {
+        botOrderId: order.botOrderId,
+        keycrmOrderId: result.id,
+      });
+    } else {
+      result = await keyCrmApiService.createOrder(
+        buildOrderPayload(order, sourceId, orderProducts, existingBuyer?.phone || phone, {
+          shortages,
+          promo,
+          shippingCost,
+          totalAmount,
+        })
+      );
+    }
 
-    // Step 3: Submit to KeyCRM
-    const result = await keyCrmApiService.createOrder(payload);
+    if (promo?.promoCode) {
+      await promoService.recordRedemption(promo.promoCode, order, {
+        phone,
+        discountAmount: promo.discountAmount,
+        keycrmOrderId: result.id,
+      });
+    }
 
-    // Step 4: Update buyer name + custom fields if buyer is new
-    const buyerHasNoName = !result.buyer?.full_name || result.buyer?.full_name === '(empty)';
+    // Step 5: Fill in buyer data if the contact was just created (no name yet)
+    const buyerName = result.buyer?.full_name;
+    const buyerHasNoName = !buyerName || buyerName === '(empty)';
 
     if (result.buyer?.id && buyerHasNoName) {
-      const updateData = {
-        full_name: customer?.name || '',
-        custom_fields: [
-          { uuid: 'CT_1011', value: keycrmLanguage },
-          { uuid: 'CT_1048', value: keyCrmDeliveryType },
-        ],
-      };
-
-      // Add delivery address to buyer profile for address delivery
-      if (customer?.address && keyCrmDeliveryType === 'Адресна') {
-        //updateData.custom_fields.push({ uuid: 'CT_1069', value: customer.address });
-        updateData.shipping = [
-          {
-            address: customer.address,
-            recipient_full_name: customer?.name || '',
-            recipient_phone: normalizePhone(customer?.phone),
-          }
-        ];
-      }
+      await keyCrmApiService.updateBuyer(result.buyer.id, buildBuyerUpdate(order, phone));
 
-      await keyCrmApiService.updateBuyer(result.buyer.id, updateData);
-
-      logger.info('KeyCRM buyer updated from email order', {
+      logger.info('KeyCRM buyer updated with name and custom fields', {
         buyerId: result.buyer.id,
-        fullName: customer?.name,
-        keyCrmDeliveryType,
+        fullName: order.customer.fullName,
+        deliveryType: order.delivery.type,
+        language: order.language,
       });
     }
 
-    // Always update email from website orders — customer may be existing
-    // or may want to use a different email next time
-    if (result.buyer?.id && customer?.email) {
+    // Always update the email when the order has one — the customer may be
+    // existing or may want to use a different email next time
+    if (result.buyer?.id && order.customer.email) {
       await keyCrmApiService.updateBuyer(result.buyer.id, {
-        email: [customer.email]
+        email: [order.customer.email]
       });
 
-      logger.info('KeyCRM buyer email updated from website order', {
+      logger.info('KeyCRM buyer email updated', {
         buyerId: result.buyer.id,
-        email: customer.email,
+        email: order.customer.email,
       });
     }
 
-    logger.info('KeyCRM order created from Hostinger email', {
+    await customerService.recordCustomer(order, {
+      phone,
+      keycrmBuyerId: result.buyer?.id || existingBuyer?.id,
+    });
+
+    logger.info('KeyCRM order created', {
+      botOrderId: order.botOrderId,
+      source: order.source,
+      externalId: order.externalId,
       keycrmOrderId: result.id,
       orderNumber: result.order_number,
-      hostingerOrderNumber: orderNumber,
+      buyerIsNew: buyerHasNoName,
     });
 
     return {
       keycrmOrderId: result.id,
       orderNumber: result.order_number,
+      totalAmount,
+      lineItems,
+      promo: promo?.promoCode ? { code: promo.promoCode.code, discountAmount } : null,
+      shippingCost,
     };
   }
 
   // ---------------------------------------------------------------------------
-  // Resolve products from email by SKU — fetch price from KeyCRM directly.
-  // Email already contains unitPrice but we use KeyCRM price as source of truth.
+  // Delivery fee for the order: the one priced when the bot order was accepted
+  // or sent by the website (`totals.shipping`), else — for bot orders queued
+  // before delivery pricing — the zone's fee for the goods after discount.
   // ---------------------------------------------------------------------------
-  async _resolveProductsBySku(products) {
-    if (!products || products.length === 0) {
-      throw new Error('Order must contain at least one product');
+  async _getShippingCost(order, goodsTotal) {
+    if (order.totals.shipping !== undefined) {
+      return order.totals.shipping;
+    }
+    if (!BOT_SOURCES.includes(order.source)) {
+      return 0;
     }
 
-    const resolved = [];
+    const quote = await deliveryPricingService.quote(order.delivery, goodsTotal);
+    return quote.fee;
+  }
 
-    for (const item of products) {
-      // Look up product mapping by SKU
-      const mapping = await dbService.crmDb.productMapping.findFirst({
-        where: { keycrmSku: item.sku },
+  // ---------------------------------------------------------------------------
+  // Set the order's promo discount on the KeyCRM lines (`discount_percent`,
+  // or per-unit `discount_amount` for a fixed discount) and on lineItems
+  // (`discount`, per line). A fixed discount can end up a few cents off its
+  // value through the per-unit rounding; discountAmount is what KeyCRM will
+  // take off. A code reserved when the order was accepted is applied as
+  // promised; any other code is checked now, and one that doesn't qualify is
+  // not applied — the order goes on at full price with a note for the manager.
+  // Returns null without a code, else { promoCode, discountAmount } or
+  // { rejected: reason }.
+  // ---------------------------------------------------------------------------
+  async _applyPromo(order, orderProducts, lineItems, phone) {
+    if (!order.promoCode) return null;
+
+    const subtotal = lineItems.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    let promoCode = await promoService.findReserved(order.botOrderId);
+    try {
+      promoCode ||= await promoService.validate(order.promoCode, { subtotal, phone, contactId: order.contactId });
+    } catch (error) {
+      if (!error.code?.startsWith('PROMO_')) throw error;
+
+      logger.warn('Promo code not applied to KeyCRM order', {
+        botOrderId: order.botOrderId,
+        promoCode: order.promoCode,
+        reason: error.message,
       });
+      return { code: normalizeCode(order.promoCode), rejected: error.message };
+    }
 
-      if (!mapping) {
-        throw new Error(`No product mapping found for SKU: ${item.sku}`);
+    const discount = promoService.computeDiscount(promoCode, orderProducts);
+    let discountAmount = 0;
+
+    orderProducts.forEach((line, index) => {
+      if (promoCode.discountType === DISCOUNT_TYPES.PERCENTAGE) {
+        line.discount_percent = Number(promoCode.discountValue);
+      } else {
+        // KeyCRM takes the amount off each unit
+        line.discount_amount = Math.round((discount.lines[index] / line.quantity) * 100) / 100;
       }
 
-      // Fetch live price from KeyCRM (DB is source of truth)
-      const keycrmProduct = await keyCrmApiService.getProductById(mapping.keycrmId);
+      const lineDiscount = promoCode.discountType === DISCOUNT_TYPES.PERCENTAGE
+        ? discount.lines[index]
+        : Math.round(line.discount_amount * line.quantity * 100) / 100;
+      lineItems[index].discount = lineDiscount;
+      discountAmount += lineDiscount;
+    });
 
-      resolved.push({
-        sku: item.sku,
-        name: mapping.name || item.name,
-        price: keycrmProduct.price,
-        quantity: Number(item.qty) || 1,
-        currency_code: 'CHF',
-      });
+    discountAmount = Math.round(discountAmount * 100) / 100;
 
-      logger.debug('Product resolved by SKU for email order', {
-        sku: item.sku,
-        keycrmId: mapping.keycrmId,
-        price: keycrmProduct.price,
-      });
-    }
+    logger.info('Promo code applied to KeyCRM order', {
+      botOrderId: order.botOrderId,
+      promoCode: promoCode.code,
+      discountAmount,
+    });
 
-    return resolved;
+    return { promoCode, discountAmount };
   }
 
   // ---------------------------------------------------------------------------
-  // For each bot product item, look up the ProductMapping in our DB to get the
-  // keycrmId, then fetch the current price from KeyCRM.
-  // Returns the products array ready to embed in the KeyCRM order payload.
+  // For each order item, look up the ProductMapping by ecommerce product ID
+  // (bots, ecommerce) or KeyCRM SKU (website), then take the current price
+  // from the product snapshot. Mappings of a variant (`keycrmOfferId`) order
+  // that offer: its SKU links the line to the variant in KeyCRM, and its
+  // price is charged. Quantities are converted to the product's KeyCRM unit
+  // (src/config/productUnits.js).
+  // Returns { products, lineItems, shortages }: the products array ready to
+  // embed in the KeyCRM order payload, the same lines in cart units
+  // [{ id, sku, name, price, quantity }] (ecommerce product ID kept) for
+  // storing the order locally, and the lines above available stock
+  // [{ name, requested, available }] in cart units.
   // ---------------------------------------------------------------------------
-  async _resolveProducts(products) {
-    if (!products || products.length === 0) {
+  async _resolveItems(items) {
+    if (!items || items.length === 0) {
       throw new Error('Order must contain at least one product');
     }
 
     const resolved = [];
+    const lineItems = [];
+    const shortages = [];
 
-    for (const item of products) {
-      // Find our DB mapping for this ecommerce product ID
-      const mapping = await dbService.crmDb.productMapping.findUnique({
-        where: { ecommerceId: Number(item.id) },
-      });
+    for (const item of items) {
+      const mapping = item.productId
+        ? await dbService.crmDb.productMapping.findUnique({ where: { ecommerceId: item.productId } })
+        : await dbService.crmDb.productMapping.findFirst({ where: { keycrmSku: item.sku } });
+      const reference = item.productId ? `ecommerceId ${item.productId}` : `SKU ${item.sku}`;
 
       if (!mapping) {
-        throw new Error(`No product mapping found for ecommerceId ${item.id}`);
+        throw new AppError(`No product mapping found for ${reference}`, 422, 'PRODUCT_NOT_MAPPED');
       }
 
       if (!mapping.keycrmId) {
-        throw new Error(
-          `Product mapping for ecommerceId ${item.id} (${mapping.name}) has no keycrmId — sync it first`
+        throw new AppError(
+          `Product mapping for ${reference} (${mapping.name}) has no keycrmId — sync it first`,
+          422,
+          'PRODUCT_NOT_MAPPED'
         );
       }
 
-      // Fetch live product data to get current price
-      const keycrmProduct = await keyCrmApiService.getProductById(mapping.keycrmId);
+      // Price from the product snapshot (live KeyCRM fetch when stale); the
+      // price quoted by the source is informational only
+      const keycrmProduct = await productSnapshotService.getForMapping(mapping);
+      const unit = getProductUnit(mapping);
+      const quantity = toKeycrmQuantity(unit, item.quantity);
+      const sku = mapping.keycrmOfferId ? keycrmProduct.sku : (mapping.keycrmSku || item.sku);
 
       resolved.push({
-        sku: mapping.keycrmSku,        // SKU to link to catalog product
-        name: mapping.name,            // product name fallback
-        price: keycrmProduct.price,    // price from KeyCRM
-        quantity: Number(item.quantity) || 1,
-        currency_code: 'CHF',
+        sku,                                 // SKU to link to catalog product / variant
+        name: mapping.name || item.name,     // product name fallback
+        price: keycrmProduct.price,          // KeyCRM price, at most PRODUCT_SNAPSHOT_MAX_AGE_MS old
+        quantity,                            // in KeyCRM units (kg for keycrmUnit 'kg')
+        currency_code: getOrderCurrency(),
+      });
+
+      const availability = stockService.availabilityOf(keycrmProduct, unit, item.quantity);
+      if (!availability.sufficient && stockService.mode !== 'off') {
+        shortages.push({ name: mapping.name, requested: item.quantity, available: availability.available });
+      }
+
+      lineItems.push({
+        id: item.productId,
+        sku,
+        name: mapping.name || item.name,
+        price: toCartUnitPrice(unit, keycrmProduct.price),
+        quantity: item.quantity,
       });
 
       logger.debug('Product resolved for KeyCRM order', {
-        ecommerceId: item.id,
+        productId: item.productId,
+        sku: item.sku,
         keycrmId: mapping.keycrmId,
+        offerId: keycrmProduct.offer_id,
         price: keycrmProduct.price,
         quantity: item.quantity,
+        keycrmQuantity: quantity,
       });
     }
 
-    return resolved;
+    return { products: resolved, lineItems, shortages };
   }
 }
 
+// Map order source → KeyCRM source ID
+// whatsapp=1, telegram=2, instagram=3, website=4 (configure via env to override)
+function getSourceId(source) {
+  const websiteId = Number(process.env.KEYCRM_SOURCE_WEBSITE_ID) || 4;
+  const SOURCE_IDS = {
+    whatsapp: Number(process.env.KEYCRM_SOURCE_WHATSAPP_ID) || 1,
+    telegram: Number(process.env.KEYCRM_SOURCE_TELEGRAM_ID) || 2,
+    instagram: Number(process.env.KEYCRM_SOURCE_INSTAGRAM_ID) || 3,
+    hostinger_email: websiteId,
+    ecommerce: websiteId,
+  };
+
+  return SOURCE_IDS[source] || SOURCE_IDS.telegram;
+}
+
+function buildOrderPayload(order, sourceId, orderProducts, buyerPhone, options = {}) {
+  const { shortages = [], promo = null, shippingCost = 0, totalAmount = 0 } = options;
+  const { delivery } = order;
+  const paymentMethod = normalizePaymentMethod(order.payment.method);
+
+  const managerNotes = [
+    shortages.length > 0 && `Not enough stock: ${shortages
+      .map((shortage) => `${shortage.name} ${shortage.requested} ordered, ${shortage.available} available`)
+      .join('; ')}`,
+    promo?.promoCode && `Promo code ${promo.promoCode.code}: -${promo.discountAmount.toFixed(2)} CHF`,
+    promo?.rejected && `Promo code ${promo.code} not applied: ${promo.rejected}`,
+    !paymentMethod && `Payment method ${order.payment.label ? `"${order.payment.label}" not recognized` : 'not given'}, recorded as ${DEFAULT_PAYMENT_METHOD}`,
+  ].filter(Boolean);
+
+  // Structured delivery (registry station, scheduled date) or the source's own wording
+  const deliverySummary = [
+    delivery.city,
+    delivery.station,
+    delivery.canton,
+    delivery.deliveryDate && [delivery.deliveryDate, delivery.deliveryTimeSlot].filter(Boolean).join(' '),
+  ].filter(Boolean).join(', ') || delivery.method;
+
+  return {
+    source_id: sourceId,
+    source_uuid: order.botOrderId,
+
+    buyer_comment: [deliverySummary, order.payment.label || order.payment.method, order.notes]
+      .filter(Boolean)
+      .join(' | '),
+
+    ...(managerNotes.length > 0 && { manager_comment: managerNotes.join('\n') }),
+
+    buyer: {
+      // Send only phone to avoid creating duplicate buyers
+      phone: buyerPhone,
+    },
+
+    products: orderProducts,
+
+    ...(shippingCost > 0 && { shipping_price: shippingCost }),
+
+    // Payment record for the order total, IDs from src/config/payments.js
+    payment: buildPayment(paymentMethod || DEFAULT_PAYMENT_METHOD, totalAmount, order.payment.label),
+
+    // Delivery date picked by DeliveryScheduleService when the order was queued
+    ...(delivery.deliveryDate && {
+      shipping: { shipping_date: delivery.deliveryDate },
+    }),
+
+    custom_fields: buildCustomFields('order', {
+      language: order.language,
+      deliveryType: delivery.type,
+      deliveryAddress: delivery.type === 'address' ? (delivery.address || '') : '',
+    }),
+  };
+}
+
+function buildPayment(method, amount, label) {
+  const { methodId, statusId } = getKeycrmPayment(method);
+
+  return {
+    payment_method_id: methodId,
+    payment_status_id: statusId,
+    amount,
+    currency_code: getOrderCurrency(),
+    description: label || method,
+  };
+}
+
+function buildBuyerUpdate(order, phone) {
+  const { delivery, customer } = order;
+  const updateData = {
+    custom_fields: buildCustomFields('buyer', { language: order.language, deliveryType: delivery.type }),
+  };
+
+  if (customer.fullName) updateData.full_name = customer.fullName;
+
+  // Add delivery address to the buyer profile only for address delivery
+  if (delivery.address && delivery.type === 'address') {
+    updateData.shipping = [
+      {
+        address: delivery.address,
+        ...(delivery.city && { city: delivery.city }),
+        ...(delivery.canton && { region: delivery.canton }),
+        recipient_full_name: customer.fullName || '',
+        recipient_phone: phone,
+      }
+    ];
+  }
+
+  return updateData;
+}
+
 // Shared singleton instance
 export const keyCrmOrderService = new KeyCrmOrderService();
@@ -0,0 +1,110 @@
+// Notification Service — keeps the customer's bot contact in sync with their
+// latest order and optionally messages them on order creation / status change.
+//
+// Bot variables set on every event:
+//   has_active_order   '1' until the order is delivered or cancelled
+//   last_order_number  KeyCRM order number
+//   last_order_status  internal order status (CREATED on creation)
+//
+// Messages are sent only when ORDER_NOTIFICATIONS_SEND_MESSAGES=true.
+import { SendPulseCRMService } from './sendPulseCrmService.js';
+import { FINAL_ORDER_STATUSES } from '../config/keycrmStatuses.js';
+import {
+  ORDER_NOTIFICATION_MESSAGES,
+  DEFAULT_NOTIFICATION_LANGUAGE
+} from '../config/orderNotifications.js';
+import logger from '../utils/logger.js';
+
+const sendPulseService = new SendPulseCRMService();
+
+// Channels with SendPulse bot variables / bot messaging support
+const BOT_VARIABLE_SOURCES = ['telegram', 'whatsapp', 'messenger', 'instagram'];
+const BOT_MESSAGE_SOURCES = ['telegram', 'whatsapp'];
+
+export const ORDER_CREATED_EVENT = 'CREATED';
+
+export class NotificationService {
+  get sendMessages() {
+    return process.env.ORDER_NOTIFICATIONS_SEND_MESSAGES === 'true';
+  }
+
+  // Order was accepted by KeyCRM
+  async notifyOrderCreated(botOrder) {
+    return this._notify(botOrder, ORDER_CREATED_EVENT);
+  }
+
+  // Order moved to a new internal status (see config/keycrmStatuses.js)
+  async notifyStatusChanged(botOrder, status) {
+    return this._notify(botOrder, status);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Returns { variables, message } with 'updated' | 'sent' | 'skipped' | 'failed'.
+  // Never throws — notifications must not fail order processing.
+  // ---------------------------------------------------------------------------
+  async _notify(botOrder, event) {
+    const botType = botOrder.source?.toLowerCase();
+    const contactId = botOrder.sendpulseContactId;
+
+    if (!contactId || !BOT_VARIABLE_SOURCES.includes(botType)) {
+      logger.debug('Order notification skipped, no bot contact', {
+        botOrderId: botOrder.botOrderId,
+        source: botOrder.source
+      });
+      return { variables: 'skipped', message: 'skipped' };
+    }
+
+    const orderNumber = botOrder.keycrmOrderNumber || botOrder.keycrmOrderId || botOrder.botOrderId;
+
+    const variablesResult = await sendPulseService.setBotVariable(botType, contactId, {
+      has_active_order: FINAL_ORDER_STATUSES.includes(event) ? '0' : '1',
+      last_order_number: orderNumber,
+      last_order_status: event
+    });
+
+    let message = 'skipped';
+    if (this.sendMessages && BOT_MESSAGE_SOURCES.includes(botType)) {
+      const text = this.buildMessage(event, orderNumber, getOrderLanguage(botOrder));
+      if (text) {
+        const messageResult = await sendPulseService.sendBotMessage(botType, contactId, text);
+        message = messageResult.success ? 'sent' : 'failed';
+      }
+    }
+
+    logger.info('Order notification processed', {
+      botOrderId: botOrder.botOrderId,
+      event,
+      variables: variablesResult.success ? 'updated' : 'failed',
+      message
+    });
+
+    return {
+      variables: variablesResult.success ? 'updated' : 'failed',
+      message
+    };
+  }
+
+  /**
+   * Localized message for an order event, or null when there is none
+   * (e.g. PENDING, which customers already got as CREATED).
+   */
+  buildMessage(event, orderNumber, language) {
+    const messages = ORDER_NOTIFICATION_MESSAGES[language] ||
+      ORDER_NOTIFICATION_MESSAGES[DEFAULT_NOTIFICATION_LANGUAGE];
+    const template = messages[event];
+
+    return template ? template.replace('{number}', orderNumber) : null;
+  }
+}
+
+// Language is stored in BotOrder.metadata when the order is saved
+function getOrderLanguage(botOrder) {
+  try {
+    return JSON.parse(botOrder.metadata || '{}').language || DEFAULT_NOTIFICATION_LANGUAGE;
+  } catch {
+    return DEFAULT_NOTIFICATION_LANGUAGE;
+  }
+}
+
+// Shared singleton instance
+export const notificationService = new NotificationService();
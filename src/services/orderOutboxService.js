@@ -0,0 +1,336 @@
+// Order Outbox Service — durable queue between accepted bot orders and KeyCRM
+//
+// Every accepted order is written to the `order_outbox` table first and then
+// submitted by a background worker (see src/jobs/outboxJob.js). Failed
+// submissions are retried with exponential backoff and dead-lettered after
+// OUTBOX_MAX_ATTEMPTS, from where they can be listed and replayed.
+import { DatabaseService } from './databaseService.js';
+import { EnhancedCrmService } from './enhancedCrmService.js';
+import { promoService } from './promoService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { fromOutboxPayload, validateOrder } from '../adapters/index.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+const crmService = new EnhancedCrmService();
+
+export const OUTBOX_STATUS = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  SUBMITTED: 'SUBMITTED',
+  DEAD: 'DEAD',
+};
+
+// Outbox entry kind → function that submits the stored payload
+const HANDLERS = {
+  BOT_ORDER: (payload) => crmService.createOrderComplete(fromOutboxPayload(payload)),
+};
+
+export class OrderOutboxService {
+  constructor() {
+    this.maxAttempts = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30_000;
+    this.maxDelayMs = Number(process.env.OUTBOX_MAX_DELAY_MS) || 60 * 60 * 1000;
+    // Entries stuck in PROCESSING longer than this (e.g. after a crash) are released
+    this.lockTimeoutMs = Number(process.env.OUTBOX_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+    this.batchSize = Number(process.env.OUTBOX_BATCH_SIZE) || 10;
+
+    this._running = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Store a canonical bot order in the outbox and schedule an immediate
+  // submission attempt. The order's botOrderId doubles as the tracking ID
+  // returned to the bot. A checked promo code (promoService.checkOrderPromo)
+  // is reserved in the same transaction.
+  // ---------------------------------------------------------------------------
+  async enqueueBotOrder(order, { promo = null } = {}) {
+    const orderData = validateOrder(order);
+
+    let entry;
+    try {
+      entry = await dbService.crmDb.$transaction(async (tx) => {
+        const created = await tx.orderOutbox.create({
+          data: {
+            trackingId: orderData.botOrderId,
+            kind: 'BOT_ORDER',
+            source: orderData.source,
+            contactId: orderData.contactId,
+            payload: JSON.stringify(orderData),
+            maxAttempts: this.maxAttempts,
+          },
+        });
+
+        if (promo) await promoService.reserve(promo, orderData, tx);
+        return created;
+      });
+    } catch (error) {
+      // botOrderId reused outside the idempotency window
+      if (error.code === 'P2002') {
+        throw new AppError(
+          `Order ${orderData.botOrderId} has already been accepted`,
+          409,
+          'DUPLICATE_BOT_ORDER_ID'
+        );
+      }
+      throw error;
+    }
+
+    logger.info('Order stored in outbox', {
+      trackingId: entry.trackingId,
+      kind: entry.kind,
+      source: entry.source,
+    });
+
+    this.kick();
+    return entry;
+  }
+
+  // Trigger a worker run without waiting for the next scheduled tick
+  kick() {
+    setImmediate(() => {
+      this.processDue().catch((error) => {
+        logger.error('Outbox processing run failed', { error: error.message });
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Worker entry point: submit every PENDING entry whose next attempt is due.
+  // Runs are serialized within the process; entries are claimed with a
+  // conditional update so several instances can share the same table.
+  // ---------------------------------------------------------------------------
+  async processDue() {
+    if (this._running) {
+      logger.debug('Outbox run already in progress, skipping');
+      return { processed: 0 };
+    }
+
+    this._running = true;
+    try {
+      await this._releaseStaleLocks();
+
+      const due = await dbService.crmDb.orderOutbox.findMany({
+        where: {
+          status: OUTBOX_STATUS.PENDING,
+          nextAttemptAt: { lte: new Date() },
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: this.batchSize,
+      });
+
+      let processed = 0;
+      for (const entry of due) {
+        if (await this._processEntry(entry)) processed++;
+      }
+
+      if (processed > 0) {
+        logger.info('Outbox run completed', { processed });
+      }
+
+      return { processed };
+    } finally {
+      this._running = false;
+    }
+  }
+
+  async _processEntry(entry) {
+    const claimed = await dbService.crmDb.orderOutbox.updateMany({
+      where: { id: entry.id, status: OUTBOX_STATUS.PENDING },
+      data: {
+        status: OUTBOX_STATUS.PROCESSING,
+        lockedAt: new Date(),
+        attempts: { increment: 1 },
+      },
+    });
+
+    // Another worker got there first
+    if (claimed.count === 0) return false;
+
+    const attempt = entry.attempts + 1;
+    const handler = HANDLERS[entry.kind];
+
+    try {
+      if (!handler) {
+        throw new AppError(`No outbox handler for kind ${entry.kind}`, 400, 'OUTBOX_UNKNOWN_KIND');
+      }
+
+      const result = await handler(JSON.parse(entry.payload));
+
+      await dbService.crmDb.orderOutbox.update({
+        where: { id: entry.id },
+        data: {
+          status: OUTBOX_STATUS.SUBMITTED,
+          lockedAt: null,
+          lastError: null,
+          result: JSON.stringify(result),
+          keycrmOrderId: result?.crmOrderId ? Number(result.crmOrderId) : null,
+          keycrmOrderNumber: result?.orderNumber ? String(result.orderNumber) : null,
+          submittedAt: new Date(),
+        },
+      });
+
+      logger.info('Outbox entry submitted', {
+        trackingId: entry.trackingId,
+        attempt,
+        crmOrderId: result?.crmOrderId,
+      });
+    } catch (error) {
+      await this._recordFailure(entry, attempt, error);
+    }
+
+    return true;
+  }
+
+  async _recordFailure(entry, attempt, error) {
+    const permanent = isPermanentFailure(error);
+    const exhausted = attempt >= entry.maxAttempts;
+
+    if (permanent || exhausted) {
+      await dbService.crmDb.orderOutbox.update({
+        where: { id: entry.id },
+        data: {
+          status: OUTBOX_STATUS.DEAD,
+          lockedAt: null,
+          lastError: error.message,
+          deadAt: new Date(),
+        },
+      });
+
+      // The order won't reach KeyCRM: give the promo code back
+      await promoService.releaseReservation(entry.trackingId);
+
+      logger.error('Outbox entry dead-lettered', {
+        trackingId: entry.trackingId,
+        attempt,
+        reason: permanent ? 'permanent_failure' : 'max_attempts_reached',
+        error: error.message,
+      });
+      return;
+    }
+
+    const delayMs = this._backoffDelay(attempt);
+
+    await dbService.crmDb.orderOutbox.update({
+      where: { id: entry.id },
+      data: {
+        status: OUTBOX_STATUS.PENDING,
+        lockedAt: null,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delayMs),
+      },
+    });
+
+    logger.warn('Outbox entry submission failed, will retry', {
+      trackingId: entry.trackingId,
+      attempt,
+      maxAttempts: entry.maxAttempts,
+      retryInSec: Math.round(delayMs / 1000),
+      error: error.message,
+    });
+  }
+
+  // Exponential backoff with ±20% jitter so retries of a batch don't align
+  _backoffDelay(attempt) {
+    const delay = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(delay + jitter);
+  }
+
+  async _releaseStaleLocks() {
+    const released = await dbService.crmDb.orderOutbox.updateMany({
+      where: {
+        status: OUTBOX_STATUS.PROCESSING,
+        lockedAt: { lt: new Date(Date.now() - this.lockTimeoutMs) },
+      },
+      data: { status: OUTBOX_STATUS.PENDING, lockedAt: null },
+    });
+
+    if (released.count > 0) {
+      logger.warn('Released stale outbox locks', { count: released.count });
+    }
+  }
+
+  async getByTrackingId(trackingId) {
+    return dbService.crmDb.orderOutbox.findUnique({ where: { trackingId } });
+  }
+
+  // List outbox entries, dead-lettered ones by default
+  async list({ status = OUTBOX_STATUS.DEAD, page = 1, limit = 50 } = {}) {
+    const where = status ? { status } : {};
+
+    const [entries, total] = await Promise.all([
+      dbService.crmDb.orderOutbox.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      dbService.crmDb.orderOutbox.count({ where }),
+    ]);
+
+    return { entries, total, page, limit };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Move a dead-lettered entry back to PENDING with a fresh attempt budget.
+  // Returns null when the entry does not exist; throws if it is not DEAD.
+  // ---------------------------------------------------------------------------
+  async replay(trackingId) {
+    const entry = await this.getByTrackingId(trackingId);
+    if (!entry) return null;
+
+    if (entry.status !== OUTBOX_STATUS.DEAD) {
+      throw new AppError(
+        `Only dead-lettered entries can be replayed (current status: ${entry.status})`,
+        409,
+        'OUTBOX_NOT_DEAD'
+      );
+    }
+
+    const updated = await dbService.crmDb.orderOutbox.update({
+      where: { id: entry.id },
+      data: {
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: new Date(),
+        deadAt: null,
+      },
+    });
+
+    logger.info('Outbox entry replayed', { trackingId });
+
+    this.kick();
+    return updated;
+  }
+}
+
+// Shape an outbox entry for API responses
+export function formatOutboxEntry(entry) {
+  return {
+    trackingId: entry.trackingId,
+    kind: entry.kind,
+    source: entry.source,
+    contactId: entry.contactId,
+    status: entry.status,
+    attempts: entry.attempts,
+    maxAttempts: entry.maxAttempts,
+    nextAttemptAt: entry.status === OUTBOX_STATUS.PENDING ? entry.nextAttemptAt : null,
+    lastError: entry.lastError,
+    keycrmOrderId: entry.keycrmOrderId,
+    orderNumber: entry.keycrmOrderNumber,
+    createdAt: entry.createdAt,
+    submittedAt: entry.submittedAt,
+    deadAt: entry.deadAt,
+  };
+}
+
+// 4xx responses (other than timeouts and rate limits) won't succeed on retry
+function isPermanentFailure(error) {
+  const status = error.status ?? error.cause?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// Shared singleton instance
+export const orderOutboxService = new OrderOutboxService();
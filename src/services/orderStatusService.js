@@ -0,0 +1,159 @@
+// Order Status Service — applies KeyCRM order status changes to our side:
+// BotOrder.status, the linked ecommerce order and the customer notification.
+//
+// A status change can arrive before its BotOrder is stored (the outbox worker
+// is still between KeyCRM and bot_orders). The latest such change per KeyCRM
+// order is kept in `deferred_status_changes` and applied once the BotOrder is
+// stored; changes for orders that never show up (created in KeyCRM directly)
+// are dropped after DEFERRED_STATUS_TTL_DAYS (default 7).
+import { DatabaseService } from './databaseService.js';
+import { keyCrmApiService } from './keyCrmApiService.js';
+import { notificationService } from './notificationService.js';
+import { mapKeycrmStatus } from '../config/keycrmStatuses.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+// How long the KeyCRM status → group lookup is cached
+const STATUS_GROUPS_TTL_MS = 60 * 60 * 1000;
+
+export class OrderStatusService {
+  constructor() {
+    this._statusGroups = null;
+    this._statusGroupsLoadedAt = 0;
+    this.deferredTtlMs = (Number(process.env.DEFERRED_STATUS_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Apply a KeyCRM status change.
+  //
+  // Returns { outcome, ... } where outcome is one of:
+  //   'updated'        — BotOrder status changed, downstream actions ran
+  //   'unchanged'      — BotOrder already had this status
+  //   'unmapped'       — KeyCRM status has no internal equivalent
+  //   'deferred'       — no BotOrder for this KeyCRM order yet, kept until
+  //                      it is stored (see applyDeferredStatusChange)
+  // Downstream failures are logged and reported in `actions`, never thrown.
+  // ---------------------------------------------------------------------------
+  async applyKeycrmStatusChange({ keycrmOrderId, statusId, statusGroupId }) {
+    const groupId = statusGroupId ?? await this._resolveStatusGroup(statusId);
+    const status = mapKeycrmStatus({ statusId, statusGroupId: groupId });
+
+    if (!status) {
+      logger.warn('Unmapped KeyCRM order status', { keycrmOrderId, statusId, statusGroupId: groupId });
+      return { outcome: 'unmapped', statusId, statusGroupId: groupId };
+    }
+
+    const botOrder = await dbService.getBotOrderByKeycrmId(keycrmOrderId);
+    if (!botOrder) {
+      await this._deferStatusChange({ keycrmOrderId, statusId, statusGroupId: groupId });
+      logger.warn('No bot order for KeyCRM order yet, status change deferred', { keycrmOrderId, status });
+      return { outcome: 'deferred', status };
+    }
+
+    if (botOrder.status === status) {
+      logger.info('Bot order status already up to date', { botOrderId: botOrder.botOrderId, status });
+      return { outcome: 'unchanged', botOrderId: botOrder.botOrderId, status };
+    }
+
+    const previousStatus = botOrder.status;
+    const updatedOrder = await dbService.updateBotOrder(botOrder.botOrderId, { status });
+
+    logger.info('Bot order status updated from KeyCRM', {
+      botOrderId: botOrder.botOrderId,
+      keycrmOrderId,
+      previousStatus,
+      status
+    });
+
+    const actions = {
+      ecommerce: await this._syncEcommerceStatus(keycrmOrderId, status),
+      notification: await notificationService.notifyStatusChanged(updatedOrder, status)
+    };
+
+    return { outcome: 'updated', botOrderId: botOrder.botOrderId, previousStatus, status, actions };
+  }
+
+  async _syncEcommerceStatus(keycrmOrderId, status) {
+    try {
+      const order = await dbService.findEcommerceOrderByDeal(keycrmOrderId);
+      if (!order) {
+        return 'skipped';
+      }
+      if (order.status === status) {
+        return 'unchanged';
+      }
+
+      await dbService.updateEcommerceOrderStatus(order.id, status);
+      return 'updated';
+    } catch (error) {
+      logger.error('Failed to sync ecommerce order status', {
+        error: error.message,
+        keycrmOrderId,
+        status: error.response?.status
+      });
+      return 'failed';
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Apply the status change deferred for a KeyCRM order, now that its BotOrder
+  // is stored. Returns the applyKeycrmStatusChange() result, or null when
+  // nothing was deferred. Never throws — the order itself is already stored.
+  // ---------------------------------------------------------------------------
+  async applyDeferredStatusChange(keycrmOrderId) {
+    try {
+      const deferred = await dbService.crmDb.deferredStatusChange.findUnique({
+        where: { keycrmOrderId: Number(keycrmOrderId) },
+      });
+      if (!deferred) return null;
+
+      await dbService.crmDb.deferredStatusChange.delete({ where: { id: deferred.id } });
+      logger.info('Applying deferred KeyCRM status change', { keycrmOrderId, statusId: deferred.statusId });
+
+      return await this.applyKeycrmStatusChange({
+        keycrmOrderId: deferred.keycrmOrderId,
+        statusId: deferred.statusId,
+        statusGroupId: deferred.statusGroupId,
+      });
+    } catch (error) {
+      logger.error('Failed to apply deferred KeyCRM status change', { keycrmOrderId, error: error.message });
+      return null;
+    }
+  }
+
+  async _deferStatusChange({ keycrmOrderId, statusId, statusGroupId }) {
+    const data = { statusId, statusGroupId: statusGroupId ?? null };
+
+    await dbService.crmDb.deferredStatusChange.upsert({
+      where: { keycrmOrderId },
+      create: { keycrmOrderId, ...data },
+      update: data,
+    });
+
+    // Orders created in KeyCRM directly never get a BotOrder
+    await dbService.crmDb.deferredStatusChange.deleteMany({
+      where: { updatedAt: { lt: new Date(Date.now() - this.deferredTtlMs) } },
+    });
+  }
+
+  // Webhooks don't always carry the status group — look it up from KeyCRM
+  async _resolveStatusGroup(statusId) {
+    try {
+      const expired = Date.now() - this._statusGroupsLoadedAt > STATUS_GROUPS_TTL_MS;
+      if (!this._statusGroups || expired || !(statusId in this._statusGroups)) {
+        const statuses = await keyCrmApiService.getOrderStatuses();
+        this._statusGroups = Object.fromEntries(statuses.map((s) => [s.id, s.group_id]));
+        this._statusGroupsLoadedAt = Date.now();
+      }
+
+      return this._statusGroups[statusId] ?? null;
+    } catch (error) {
+      logger.warn('Could not resolve KeyCRM status group', { statusId, error: error.message });
+      return null;
+    }
+  }
+}
+
+// Shared singleton instance
+export const orderStatusService = new OrderStatusService();
@@ -0,0 +1,190 @@
+// Product Catalog Service — bot-facing catalog built from ProductMapping rows
+// joined with KeyCRM product data (price, SKU, stock, chatbot names, category)
+// and the availability of each product (StockService).
+//
+// Product data comes from the product snapshot table (kept fresh by the
+// snapshot job), categories from KeyCRM. Both are cached in memory and
+// reloaded in the background once older than CATALOG_CACHE_TTL_MS, so bot
+// menus never wait on (or exhaust) the KeyCRM rate limit.
+import { DatabaseService } from './databaseService.js';
+import { keyCrmApiService } from './keyCrmApiService.js';
+import { productSnapshotService, productForMapping, offerLabel } from './productSnapshotService.js';
+import { stockService } from './stockService.js';
+import { getProductUnit, toCartUnitPrice } from '../config/productUnits.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+// Bot language codes → keys of KeyCRM `chatbotNames`. KeyCRM has no English
+// chatbot name, so English menus show the French one. A missing name falls
+// back to the Ukrainian one, then to the KeyCRM product name.
+const LANGUAGE_KEYS = {
+  uk: 'ua',
+  ua: 'ua',
+  ru: 'ru',
+  fr: 'fr',
+  en: 'fr',
+};
+
+export const CATALOG_LANGUAGES = Object.keys(LANGUAGE_KEYS);
+
+export class ProductCatalogService {
+  constructor() {
+    this.cacheTtlMs = Number(process.env.CATALOG_CACHE_TTL_MS) || 5 * 60 * 1000;
+    this._cache = null;
+    this._refreshing = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Catalog page for the requested language.
+  //
+  // Returns { products, categories, total, page, limit, totalPages, cachedAt }.
+  // `categories` always covers the whole catalog so bots can build menus.
+  // ---------------------------------------------------------------------------
+  async getCatalog({ lang = 'ru', page = 1, limit = 50, categoryId = null } = {}) {
+    const snapshot = await this._getSnapshot();
+
+    const mappings = await dbService.crmDb.productMapping.findMany({
+      where: { syncStatus: 'ACTIVE', keycrmId: { not: null }, ecommerceId: { not: null } },
+      orderBy: { ecommerceId: 'asc' },
+    });
+
+    const items = mappings
+      .map((mapping) => this._toCatalogItem(mapping, snapshot, lang))
+      .filter(Boolean);
+
+    const categories = this._summarizeCategories(items);
+    const filtered = categoryId
+      ? items.filter((item) => item.category?.id === categoryId)
+      : items;
+
+    return {
+      products: filtered.slice((page - 1) * limit, page * limit),
+      categories,
+      total: filtered.length,
+      page,
+      limit,
+      totalPages: Math.ceil(filtered.length / limit),
+      cachedAt: new Date(snapshot.fetchedAt).toISOString(),
+    };
+  }
+
+  // Force a reload of the cached data (waits for it to finish)
+  async refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._loadSnapshot()
+        .then((snapshot) => {
+          this._cache = snapshot;
+          return snapshot;
+        })
+        .finally(() => {
+          this._refreshing = null;
+        });
+    }
+
+    return this._refreshing;
+  }
+
+  async _getSnapshot() {
+    if (!this._cache) {
+      return this.refresh();
+    }
+
+    // Serve the stale copy and refresh in the background
+    if (Date.now() - this._cache.fetchedAt > this.cacheTtlMs) {
+      this.refresh().catch((error) => {
+        logger.error('Background catalog refresh failed', { error: error.message });
+      });
+    }
+
+    return this._cache;
+  }
+
+  async _loadSnapshot() {
+    let products = await productSnapshotService.listAll();
+
+    // First start — snapshot job hasn't run yet
+    if (products.length === 0) {
+      await productSnapshotService.refreshAll();
+      products = await productSnapshotService.listAll();
+    }
+
+    const categories = await keyCrmApiService.getProductCategories();
+
+    logger.info('Product catalog cache refreshed', {
+      products: products.length,
+      categories: categories.length,
+    });
+
+    return {
+      productsById: new Map(products.map((product) => [product.id, product])),
+      categoriesById: new Map(categories.map((category) => [category.id, category])),
+      fetchedAt: Date.now(),
+    };
+  }
+
+  _toCatalogItem(mapping, snapshot, lang) {
+    const keycrmProduct = snapshot.productsById.get(mapping.keycrmId);
+
+    // Mapped but archived or deleted in KeyCRM
+    if (!keycrmProduct || keycrmProduct.is_archived) {
+      return null;
+    }
+
+    let product;
+    try {
+      product = productForMapping(keycrmProduct, mapping);
+    } catch (error) {
+      // Variant gone or not chosen — it can't be ordered either
+      logger.debug('Product left out of catalog', { mappingId: mapping.id, reason: error.message });
+      return null;
+    }
+
+    const category = snapshot.categoriesById.get(product.category_id);
+    const nameKey = LANGUAGE_KEYS[lang];
+    const name = (nameKey && product.chatbotNames[nameKey]) || product.chatbotNames.ua || product.name;
+    const variant = mapping.keycrmOfferId ? offerLabel(product) : null;
+    const unit = getProductUnit(mapping);
+    const { status, available } = stockService.availabilityOf(product, unit);
+
+    return {
+      id: mapping.ecommerceId,
+      keycrm_id: mapping.keycrmId,
+      keycrm_offer_id: product.offer_id,
+      name: variant ? `${name} (${variant})` : name,
+      variant,
+      // Per cart unit, as the cart charges it
+      price: toCartUnitPrice(unit, Number(product.price)),
+      currency: product.currency_code || 'CHF',
+      unit: {
+        type: unit.unitType,
+        weightKg: unit.unitWeightKg,
+        quantityStep: unit.quantityStep,
+        minQuantity: unit.minQuantity,
+        maxQuantity: unit.maxQuantity,
+      },
+      sku: product.sku,
+      stock: product.quantity ?? null,
+      // Free stock in cart units
+      availability: status,
+      available,
+      category: category ? { id: category.id, name: category.name } : null,
+    };
+  }
+
+  _summarizeCategories(items) {
+    const counts = new Map();
+
+    for (const item of items) {
+      if (!item.category) continue;
+      const entry = counts.get(item.category.id) || { ...item.category, productCount: 0 };
+      entry.productCount++;
+      counts.set(item.category.id, entry);
+    }
+
+    return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+// Shared singleton instance
+export const productCatalogService = new ProductCatalogService();
@@ -0,0 +1,261 @@
+// Product Mapping Service — admin management of `product_mappings`
+//
+// Every write invalidates the n8nHelper mapping cache so bots and the order
+// pipeline see the change immediately. Mappings are never deleted, only
+// ARCHIVED, because historical orders reference them by ecommerceId.
+import { DatabaseService } from './databaseService.js';
+import { MAPPING_STATUS } from './productSyncService.js';
+import { clearMappingCache } from '../helpers/n8nHelper.js';
+import { UNIT_FIELDS, UNIT_TYPES, KEYCRM_UNITS, findUnitProblem } from '../config/productUnits.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+// Columns accepted by the CSV import (header row, any order)
+export const CSV_COLUMNS = ['id', 'ecommerceId', 'sendpulseId', 'name', 'keycrmId', 'keycrmSku', 'keycrmOfferId', 'googleSheetsColumn', 'syncStatus', ...UNIT_FIELDS];
+
+const INTEGER_COLUMNS = ['id', 'ecommerceId', 'sendpulseId', 'keycrmId', 'keycrmOfferId', 'quantityStep', 'minQuantity', 'maxQuantity'];
+
+const ENUM_COLUMNS = {
+  syncStatus: Object.values(MAPPING_STATUS),
+  unitType: UNIT_TYPES,
+  keycrmUnit: KEYCRM_UNITS,
+};
+
+export class ProductMappingService {
+  // ---------------------------------------------------------------------------
+  // Filtered, paginated list.
+  //
+  // `search` matches name, keycrmSku and googleSheetsColumn (case-insensitive)
+  // and, when numeric, the ecommerce / KeyCRM IDs.
+  // Returns { mappings, total, page, limit, totalPages }.
+  // ---------------------------------------------------------------------------
+  async list({ syncStatus = null, search = null, hasEcommerceId = null, hasKeycrmId = null, page = 1, limit = 50 } = {}) {
+    const where = {};
+
+    if (syncStatus) {
+      where.syncStatus = syncStatus;
+    }
+    if (hasEcommerceId !== null) {
+      where.ecommerceId = hasEcommerceId ? { not: null } : null;
+    }
+    if (hasKeycrmId !== null) {
+      where.keycrmId = hasKeycrmId ? { not: null } : null;
+    }
+    if (search) {
+      const numeric = /^\d+$/.test(search) ? Number(search) : null;
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { keycrmSku: { contains: search, mode: 'insensitive' } },
+        { googleSheetsColumn: { contains: search, mode: 'insensitive' } },
+        ...(numeric !== null ? [{ ecommerceId: numeric }, { keycrmId: numeric }] : []),
+      ];
+    }
+
+    const [mappings, total] = await Promise.all([
+      dbService.crmDb.productMapping.findMany({
+        where,
+        orderBy: { id: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      dbService.crmDb.productMapping.count({ where }),
+    ]);
+
+    return { mappings, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+
+  async getById(id) {
+    const mapping = await dbService.crmDb.productMapping.findUnique({ where: { id } });
+
+    if (!mapping) {
+      throw new AppError(`Product mapping ${id} not found`, 404, 'MAPPING_NOT_FOUND');
+    }
+
+    return mapping;
+  }
+
+  async create(data) {
+    assertValidUnit(data);
+
+    const mapping = await dbService.crmDb.productMapping.create({ data });
+    clearMappingCache();
+
+    logger.info('Product mapping created', { mappingId: mapping.id, ecommerceId: mapping.ecommerceId, keycrmId: mapping.keycrmId });
+    return mapping;
+  }
+
+  async update(id, data) {
+    const existing = await this.getById(id);
+    assertValidUnit({ ...existing, ...data });
+
+    const mapping = await dbService.crmDb.productMapping.update({ where: { id }, data });
+    clearMappingCache();
+
+    logger.info('Product mapping updated', { mappingId: id, fields: Object.keys(data) });
+    return mapping;
+  }
+
+  // Soft delete — the row stays for order history, bots stop offering it
+  async archive(id) {
+    return this.update(id, { syncStatus: MAPPING_STATUS.ARCHIVED });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bulk import from CSV text with a header row of CSV_COLUMNS.
+  //
+  // Rows with `id` update that mapping, rows whose ecommerceId already exists
+  // update it, everything else is created. Empty cells leave a field unchanged
+  // on update. Rows are applied in one transaction; any invalid row rejects
+  // the whole import. Returns { created, updated, rows }.
+  // ---------------------------------------------------------------------------
+  async importCsv(csvText) {
+    const records = parseCsv(csvText);
+
+    if (records.length < 2) {
+      throw new AppError('CSV must contain a header row and at least one data row', 400, 'CSV_EMPTY');
+    }
+
+    const [header, ...dataRows] = records;
+    const columns = header.map((column) => column.trim());
+    const unknown = columns.filter((column) => !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown CSV columns: ${unknown.join(', ')}`, 400, 'CSV_INVALID_HEADER');
+    }
+
+    const rows = dataRows
+      .map((cells, index) => ({ line: index + 2, data: toMappingData(columns, cells, index + 2) }))
+      .filter(({ data }) => Object.keys(data).length > 0);
+
+    const db = dbService.crmDb;
+    const ids = rows.map(({ data }) => data.id).filter((value) => value != null);
+    const ecommerceIds = rows.map(({ data }) => data.ecommerceId).filter((value) => value != null);
+    const existing = await db.productMapping.findMany({
+      where: { OR: [{ id: { in: ids } }, { ecommerceId: { in: ecommerceIds } }] },
+    });
+    const existingById = new Map(existing.map((mapping) => [mapping.id, mapping]));
+    const existingByEcommerceId = new Map(existing.map((mapping) => [mapping.ecommerceId, mapping]));
+
+    const results = [];
+    const operations = rows.map(({ line, data }) => {
+      const { id, ...fields } = data;
+      const targetId = id ?? existingByEcommerceId.get(fields.ecommerceId)?.id;
+
+      const unitProblem = findUnitProblem({ ...existingById.get(targetId), ...fields });
+      if (unitProblem) {
+        throw new AppError(`Line ${line}: ${unitProblem}`, 400, 'CSV_INVALID_ROW');
+      }
+
+      if (targetId) {
+        results.push({ line, action: 'updated', id: targetId });
+        return db.productMapping.update({ where: { id: targetId }, data: fields });
+      }
+
+      if (!fields.name) {
+        throw new AppError(`Line ${line}: name is required for new mappings`, 400, 'CSV_INVALID_ROW');
+      }
+
+      results.push({ line, action: 'created' });
+      return db.productMapping.create({ data: fields });
+    });
+
+    const saved = await db.$transaction(operations);
+    saved.forEach((mapping, index) => {
+      results[index].id = mapping.id;
+    });
+    clearMappingCache();
+
+    const created = results.filter((row) => row.action === 'created').length;
+    logger.info('Product mappings imported from CSV', { created, updated: results.length - created });
+
+    return { created, updated: results.length - created, rows: results };
+  }
+}
+
+// Unit columns that contradict each other (config/productUnits.js)
+function assertValidUnit(mapping) {
+  const problem = findUnitProblem(mapping);
+  if (problem) {
+    throw new AppError(`Invalid product unit: ${problem}`, 400, 'INVALID_UNIT');
+  }
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF / LF line ends
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function toMappingData(columns, cells, line) {
+  const data = {};
+
+  columns.forEach((column, index) => {
+    const value = (cells[index] ?? '').trim();
+    if (value === '') return;
+
+    if (INTEGER_COLUMNS.includes(column)) {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number <= 0) {
+        throw new AppError(`Line ${line}: ${column} must be a positive integer`, 400, 'CSV_INVALID_ROW');
+      }
+      data[column] = number;
+    } else if (column === 'unitWeightKg') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0) {
+        throw new AppError(`Line ${line}: unitWeightKg must be a positive number`, 400, 'CSV_INVALID_ROW');
+      }
+      data[column] = number;
+    } else if (ENUM_COLUMNS[column]) {
+      if (!ENUM_COLUMNS[column].includes(value)) {
+        throw new AppError(`Line ${line}: ${column} must be one of ${ENUM_COLUMNS[column].join(', ')}`, 400, 'CSV_INVALID_ROW');
+      }
+      data[column] = value;
+    } else {
+      data[column] = value;
+    }
+  });
+
+  return data;
+}
+
+// Shared singleton instance
+export const productMappingService = new ProductMappingService();
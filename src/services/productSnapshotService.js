@@ -0,0 +1,275 @@
+// Product Snapshot Service — local copy of KeyCRM products in `product_snapshots`
+//
+// Refreshed in bulk by the product snapshot job (src/jobs/productSnapshotJob.js)
+// and POST /api/sync/products. Price lookups read the snapshot and only go to
+// KeyCRM when it is older than the requested max age, which keeps order
+// creation fast under the 60 req/min KeyCRM limit.
+//
+// Stock comes from the offer stocks (GET /offers/stocks) summed per product,
+// less reserved units, as `available_quantity`. It is refreshed only by the
+// bulk refresh; single-product fetches keep the last known stock.
+//
+// Products with variants (`has_offers`, e.g. 500 g and 1 kg packs) carry their
+// offers with each offer's SKU, price and stock. A variant is sold through a
+// product mapping with `keycrmOfferId`; productForMapping() gives the product
+// as sold under a mapping.
+import { DatabaseService } from './databaseService.js';
+import { keyCrmApiService } from './keyCrmApiService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+export class ProductSnapshotService {
+  constructor() {
+    // Oldest snapshot price that may be charged on an order
+    this.orderMaxAgeMs = Number(process.env.PRODUCT_SNAPSHOT_MAX_AGE_MS) || 15 * 60 * 1000;
+    this._refreshing = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fetch every product and its stock from KeyCRM and store them. Concurrent
+  // calls share the same run. Returns { refreshed, stockUpdated, durationMs }.
+  // ---------------------------------------------------------------------------
+  async refreshAll() {
+    if (!this._refreshing) {
+      this._refreshing = (async () => {
+        const startTime = Date.now();
+        const products = await keyCrmApiService.getProducts({ fetchAll: true });
+        const stockUpdated = await this.attachOffers(products);
+        const refreshed = await this.saveProducts(products);
+        const durationMs = Date.now() - startTime;
+
+        logger.info('Product snapshots refreshed', { refreshed, stockUpdated, durationMs });
+        return { refreshed, stockUpdated, durationMs };
+      })().finally(() => {
+        this._refreshing = null;
+      });
+    }
+
+    return this._refreshing;
+  }
+
+  // Upsert KeyCRM products (as returned by KeyCrmApiService) into the snapshot table
+  async saveProducts(products, fetchedAt = new Date()) {
+    for (const product of products) {
+      const data = toSnapshotData(product, fetchedAt);
+      await dbService.crmDb.productSnapshot.upsert({
+        where: { keycrmId: product.id },
+        create: data,
+        update: data,
+      });
+    }
+
+    return products.length;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Product by KeyCRM ID in the same shape as KeyCrmApiService.getProductById,
+  // plus `fetchedAt`. Falls back to a live KeyCRM fetch (and stores the result)
+  // when there is no snapshot or it is older than `maxAgeMs`.
+  // ---------------------------------------------------------------------------
+  async getProduct(keycrmId, { maxAgeMs = this.orderMaxAgeMs } = {}) {
+    const snapshot = await dbService.crmDb.productSnapshot.findUnique({
+      where: { keycrmId: Number(keycrmId) },
+    });
+
+    if (snapshot && Date.now() - snapshot.fetchedAt.getTime() <= maxAgeMs) {
+      return fromSnapshot(snapshot);
+    }
+
+    logger.debug('Product snapshot missing or stale, fetching from KeyCRM', {
+      keycrmId,
+      fetchedAt: snapshot?.fetchedAt,
+    });
+
+    const product = await keyCrmApiService.getProductById(keycrmId);
+    const storedOffers = snapshot ? JSON.parse(snapshot.offers) : [];
+    if (product.has_offers) {
+      // Offer prices are needed as fresh as the product's; stock stays as stored
+      const stockByOffer = new Map(storedOffers.map((offer) => [offer.id, offer.available_quantity]));
+      product.offers = (await keyCrmApiService.getProductOffers(product.id))
+        .map((offer) => toOffer(offer, stockByOffer.get(offer.id) ?? null));
+    }
+
+    const fetchedAt = new Date();
+    await this.saveProducts([product], fetchedAt);
+
+    return {
+      offers: storedOffers,
+      ...product,
+      available_quantity: snapshot?.availableQuantity ?? null,
+      stock_fetched_at: snapshot?.stockFetchedAt ?? null,
+      fetchedAt,
+    };
+  }
+
+  // Product as sold under a product mapping (see productForMapping)
+  async getForMapping(mapping, options) {
+    return productForMapping(await this.getProduct(mapping.keycrmId, options), mapping);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Set `offers` and `available_quantity` on each product from the KeyCRM
+  // offers (fetched unless passed in) and offer stocks. Returns true when they
+  // were fetched; on failure the products keep their stored offers and stock
+  // and the refresh goes on.
+  // ---------------------------------------------------------------------------
+  async attachOffers(products, offers = null) {
+    let stocks;
+    try {
+      offers ??= await keyCrmApiService.getOffers();
+      stocks = await keyCrmApiService.getOfferStocks();
+    } catch (error) {
+      logger.warn('KeyCRM offers unavailable, keeping stored offers and stock', { error: error.message });
+      return false;
+    }
+
+    // null: KeyCRM reports no stock for the offer (not tracked)
+    const stockByOffer = new Map(stocks.map((stock) => [
+      stock.id,
+      (Number(stock.quantity) || 0) - (Number(stock.reserve) || 0),
+    ]));
+    const offersByProduct = new Map();
+    for (const offer of offers) {
+      const list = offersByProduct.get(offer.product_id) || [];
+      list.push(toOffer(offer, stockByOffer.get(offer.id) ?? null));
+      offersByProduct.set(offer.product_id, list);
+    }
+
+    const stockFetchedAt = new Date();
+    for (const product of products) {
+      product.offers = offersByProduct.get(product.id) || [];
+      product.available_quantity = sumStock(product.offers);
+      product.stock_fetched_at = stockFetchedAt;
+    }
+
+    return true;
+  }
+
+  // All snapshots, converted back to the KeyCRM product shape
+  async listAll() {
+    const snapshots = await dbService.crmDb.productSnapshot.findMany({
+      orderBy: { keycrmId: 'asc' },
+    });
+
+    return snapshots.map(fromSnapshot);
+  }
+
+  // Snapshots of KeyCRM IDs as a Map keycrmId → product, read as stored
+  async listByIds(keycrmIds) {
+    const snapshots = await dbService.crmDb.productSnapshot.findMany({
+      where: { keycrmId: { in: [...new Set(keycrmIds)] } },
+    });
+
+    return new Map(snapshots.map((snapshot) => [snapshot.keycrmId, fromSnapshot(snapshot)]));
+  }
+}
+
+/**
+ * A product (snapshot shape) as sold under a product mapping: with the SKU,
+ * price and stock of the mapping's offer and its `offer_id`. A product
+ * without variants keeps its own data (its single offer's ID is attached).
+ * Throws AppError 422 PRODUCT_NOT_MAPPED when the mapping's offer is gone,
+ * or when the product has several offers and the mapping names none.
+ */
+export function productForMapping(product, mapping) {
+  const offers = product.offers || [];
+
+  if (!mapping.keycrmOfferId) {
+    if (product.has_offers && offers.length > 1) {
+      throw new AppError(
+        `Product mapping ${mapping.id} (${mapping.name}) has no keycrmOfferId, but KeyCRM product ${product.id} has ${offers.length} variants`,
+        422,
+        'PRODUCT_NOT_MAPPED'
+      );
+    }
+    return { ...product, offer_id: offers.length === 1 ? offers[0].id : null };
+  }
+
+  const offer = offers.find((entry) => entry.id === mapping.keycrmOfferId);
+  if (!offer) {
+    throw new AppError(
+      `Offer ${mapping.keycrmOfferId} of KeyCRM product ${product.id} (${mapping.name}) not found`,
+      422,
+      'PRODUCT_NOT_MAPPED'
+    );
+  }
+
+  return {
+    ...product,
+    offer_id: offer.id,
+    sku: offer.sku || product.sku,
+    price: offer.price,
+    available_quantity: offer.available_quantity,
+    properties: offer.properties,
+  };
+}
+
+// Variant label from the offer properties, e.g. "500 г" or "Red / XL"
+export function offerLabel(offer) {
+  return (offer.properties || []).map((property) => property.value).filter(Boolean).join(' / ') || offer.sku;
+}
+
+function toOffer(offer, availableQuantity) {
+  return {
+    id: offer.id,
+    sku: offer.sku || null,
+    price: Number(offer.price) || 0,
+    properties: (offer.properties || []).map(({ name, value }) => ({ name, value })),
+    available_quantity: availableQuantity,
+  };
+}
+
+// Stock of a product: its offers' stock, null when none is tracked
+function sumStock(offers) {
+  const tracked = offers.filter((offer) => offer.available_quantity !== null);
+  return tracked.length > 0
+    ? tracked.reduce((sum, offer) => sum + offer.available_quantity, 0)
+    : null;
+}
+
+function toSnapshotData(product, fetchedAt) {
+  return {
+    keycrmId: product.id,
+    sku: product.sku || null,
+    name: product.name,
+    price: Number(product.price) || 0,
+    currencyCode: product.currency_code || 'CHF',
+    quantity: product.quantity ?? null,
+    // Left unchanged when the product came without stock
+    ...(product.available_quantity !== undefined && {
+      availableQuantity: product.available_quantity,
+      stockFetchedAt: product.stock_fetched_at,
+    }),
+    categoryId: product.category_id ?? null,
+    isArchived: !!product.is_archived,
+    chatbotNames: JSON.stringify(product.chatbotNames || {}),
+    hasOffers: !!product.has_offers,
+    // Left unchanged when the product came without offers
+    ...(product.offers !== undefined && { offers: JSON.stringify(product.offers) }),
+    fetchedAt,
+  };
+}
+
+function fromSnapshot(snapshot) {
+  return {
+    id: snapshot.keycrmId,
+    sku: snapshot.sku,
+    name: snapshot.name,
+    price: snapshot.price,
+    currency_code: snapshot.currencyCode,
+    quantity: snapshot.quantity,
+    available_quantity: snapshot.availableQuantity,
+    stock_fetched_at: snapshot.stockFetchedAt,
+    category_id: snapshot.categoryId,
+    is_archived: snapshot.isArchived,
+    chatbotNames: JSON.parse(snapshot.chatbotNames),
+    has_offers: snapshot.hasOffers,
+    offers: JSON.parse(snapshot.offers),
+    fetchedAt: snapshot.fetchedAt,
+  };
+}
+
+// Shared singleton instance
+export const productSnapshotService = new ProductSnapshotService();
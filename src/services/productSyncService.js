@@ -0,0 +1,249 @@
+// Product Sync Service — reconciles `product_mappings` with the KeyCRM catalog
+//
+// For every KeyCRM product the matching mappings (by keycrmId) get the current
+// name and SKU; new products are added, mappings whose product vanished (or
+// was archived) in KeyCRM are marked ARCHIVED and come back to ACTIVE if the
+// product reappears. SKUs shared by several products are reported as conflicts
+// and never written, since orders from email are resolved by SKU.
+// New mappings take their cart unit from the KeyCRM product's unit (kg or
+// piece); units of existing mappings are managed in the admin API.
+//
+// A product with variants (several offers) gets one mapping per offer
+// (`keycrmOfferId`), named "<product> (<variant>)" and carrying the offer SKU.
+// Variant mappings whose offer was removed are archived.
+import { DatabaseService } from './databaseService.js';
+import { keyCrmApiService } from './keyCrmApiService.js';
+import { productSnapshotService, offerLabel } from './productSnapshotService.js';
+import { clearMappingCache } from '../helpers/n8nHelper.js';
+import { unitFromKeycrmProduct } from '../config/productUnits.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+export const MAPPING_STATUS = {
+  ACTIVE: 'ACTIVE',
+  ARCHIVED: 'ARCHIVED',
+};
+
+export class ProductSyncService {
+  // ---------------------------------------------------------------------------
+  // Run a reconciliation. With `dryRun` nothing is written; the report shows
+  // what would change.
+  //
+  // Returns {
+  //   dryRun, summary: { keycrmProducts, added, updated, archived, reactivated, unchanged, conflicts },
+  //   added: [...], updated: [...], archived: [...], reactivated: [...], conflicts: [...],
+  //   snapshotsRefreshed
+  // }
+  // ---------------------------------------------------------------------------
+  async reconcile({ dryRun = false } = {}) {
+    logger.info('Starting KeyCRM product reconciliation', { dryRun });
+
+    const products = await keyCrmApiService.getProducts({ fetchAll: true });
+    const offers = await keyCrmApiService.getOffers();
+    const mappings = await dbService.crmDb.productMapping.findMany({
+      where: { keycrmId: { not: null } },
+      orderBy: { id: 'asc' },
+    });
+
+    const plan = this._plan(products, mappings, offers);
+
+    let snapshotsRefreshed = 0;
+    if (!dryRun) {
+      await this._apply(plan);
+      // Snapshots are stored with the offers fetched above and current stock
+      await productSnapshotService.attachOffers(products, offers);
+      snapshotsRefreshed = await productSnapshotService.saveProducts(products);
+      clearMappingCache();
+    }
+
+    const report = {
+      dryRun,
+      summary: {
+        keycrmProducts: products.length,
+        added: plan.added.length,
+        updated: plan.updated.length,
+        archived: plan.archived.length,
+        reactivated: plan.reactivated.length,
+        unchanged: plan.unchanged,
+        conflicts: plan.conflicts.length,
+      },
+      added: plan.added.map(({ data }) => ({
+        keycrmId: data.keycrmId,
+        keycrmOfferId: data.keycrmOfferId,
+        name: data.name,
+        sku: data.keycrmSku,
+        unitType: data.unitType,
+      })),
+      updated: plan.updated.map(({ mapping, changes }) => ({ mappingId: mapping.id, keycrmId: mapping.keycrmId, changes })),
+      archived: plan.archived.map(describeMapping),
+      reactivated: plan.reactivated.map(describeMapping),
+      conflicts: plan.conflicts,
+      snapshotsRefreshed,
+    };
+
+    logger.info('KeyCRM product reconciliation completed', { dryRun, ...report.summary });
+    return report;
+  }
+
+  // Work out every change without touching the database
+  _plan(products, mappings, offers = []) {
+    const plan = { added: [], updated: [], archived: [], reactivated: [], unchanged: 0, conflicts: [], seenKeycrmIds: [] };
+
+    const liveProducts = products.filter((product) => !product.is_archived);
+    const liveById = new Map(liveProducts.map((product) => [product.id, product]));
+    plan.seenKeycrmIds = [...liveById.keys()];
+    const mappingsByKeycrmId = groupBy(mappings, (mapping) => mapping.keycrmId);
+    const offersByProduct = groupBy(offers, (offer) => offer.product_id);
+
+    // SKU → KeyCRM IDs carrying it; more than one is a collision
+    const productsBySku = groupBy(liveProducts.filter((product) => product.sku), (product) => product.sku);
+    const collidingSkus = new Set();
+    for (const [sku, sharing] of productsBySku) {
+      if (sharing.length > 1) {
+        collidingSkus.add(sku);
+        plan.conflicts.push({
+          type: 'SKU_COLLISION',
+          sku,
+          keycrmIds: sharing.map((product) => product.id),
+          mappingIds: sharing.flatMap((product) => (mappingsByKeycrmId.get(product.id) || []).map((m) => m.id)),
+        });
+      }
+    }
+
+    for (const product of liveProducts) {
+      // Keep a SKU off every mapping while it is ambiguous
+      const sku = product.sku && !collidingSkus.has(product.sku) ? product.sku : null;
+      const related = mappingsByKeycrmId.get(product.id) || [];
+      const productOffers = offersByProduct.get(product.id) || [];
+      const offersById = new Map(productOffers.map((offer) => [offer.id, offer]));
+
+      const newMapping = (fields) => plan.added.push({
+        data: {
+          ecommerceId: null,
+          sendpulseId: null,
+          keycrmId: product.id,
+          ...fields,
+          ...unitFromKeycrmProduct(product),
+          syncStatus: MAPPING_STATUS.ACTIVE,
+          lastSyncAt: new Date(),
+        },
+      });
+
+      if (product.has_offers && productOffers.length > 1) {
+        const mappedOfferIds = new Set(related.map((mapping) => mapping.keycrmOfferId));
+        for (const offer of productOffers) {
+          if (!mappedOfferIds.has(offer.id)) {
+            newMapping({ name: variantName(product, offer), keycrmSku: offer.sku || null, keycrmOfferId: offer.id });
+          }
+        }
+      } else if (related.length === 0) {
+        newMapping({ name: product.name, keycrmSku: sku });
+      }
+
+      for (const mapping of related) {
+        const offer = mapping.keycrmOfferId ? offersById.get(mapping.keycrmOfferId) : null;
+
+        // Variant removed in KeyCRM
+        if (mapping.keycrmOfferId && !offer) {
+          if (mapping.syncStatus !== MAPPING_STATUS.ARCHIVED) {
+            plan.archived.push(mapping);
+          }
+          continue;
+        }
+
+        const expected = offer
+          ? { name: variantName(product, offer), sku: offer.sku || null, skuAllowed: true }
+          : { name: product.name, sku, skuAllowed: !collidingSkus.has(product.sku) };
+
+        const changes = {};
+        if (mapping.name !== expected.name) {
+          changes.name = { from: mapping.name, to: expected.name };
+        }
+        if (mapping.keycrmSku !== expected.sku && expected.skuAllowed) {
+          changes.keycrmSku = { from: mapping.keycrmSku, to: expected.sku };
+        }
+
+        if (mapping.syncStatus === MAPPING_STATUS.ARCHIVED) {
+          plan.reactivated.push(mapping);
+        }
+
+        if (Object.keys(changes).length > 0) {
+          plan.updated.push({ mapping, changes });
+        } else if (mapping.syncStatus !== MAPPING_STATUS.ARCHIVED) {
+          plan.unchanged++;
+        }
+      }
+    }
+
+    for (const mapping of mappings) {
+      if (!liveById.has(mapping.keycrmId) && mapping.syncStatus !== MAPPING_STATUS.ARCHIVED) {
+        plan.archived.push(mapping);
+      }
+    }
+
+    return plan;
+  }
+
+  async _apply(plan) {
+    const now = new Date();
+    const db = dbService.crmDb;
+
+    const reactivatedIds = new Set(plan.reactivated.map((mapping) => mapping.id));
+    const updatedIds = new Set(plan.updated.map(({ mapping }) => mapping.id));
+
+    await db.$transaction([
+      db.productMapping.updateMany({
+        where: { keycrmId: { in: plan.seenKeycrmIds } },
+        data: { lastSyncAt: now },
+      }),
+      ...plan.added.map(({ data }) => db.productMapping.create({ data })),
+      ...plan.updated.map(({ mapping, changes }) => db.productMapping.update({
+        where: { id: mapping.id },
+        data: {
+          ...Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to])),
+          ...(reactivatedIds.has(mapping.id) && { syncStatus: MAPPING_STATUS.ACTIVE }),
+          lastSyncAt: now,
+        },
+      })),
+      ...plan.reactivated
+        .filter((mapping) => !updatedIds.has(mapping.id))
+        .map((mapping) => db.productMapping.update({
+          where: { id: mapping.id },
+          data: { syncStatus: MAPPING_STATUS.ACTIVE, lastSyncAt: now },
+        })),
+      ...plan.archived.map((mapping) => db.productMapping.update({
+        where: { id: mapping.id },
+        data: { syncStatus: MAPPING_STATUS.ARCHIVED, lastSyncAt: now },
+      })),
+    ]);
+  }
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function variantName(product, offer) {
+  return `${product.name} (${offerLabel(offer)})`;
+}
+
+function describeMapping(mapping) {
+  return {
+    mappingId: mapping.id,
+    keycrmId: mapping.keycrmId,
+    ecommerceId: mapping.ecommerceId,
+    name: mapping.name,
+    sku: mapping.keycrmSku,
+    keycrmOfferId: mapping.keycrmOfferId,
+  };
+}
+
+// Shared singleton instance
+export const productSyncService = new ProductSyncService();
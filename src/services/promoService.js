@@ -0,0 +1,384 @@
+// Promo Service — promo codes, their discounts and redemptions
+//
+// A promo code (`promo_codes`) takes a PERCENTAGE off every line or a FIXED
+// amount (CHF) off the order, spread over the lines by value. It can require a
+// minimum order (subtotal before discount), a validity window and a limit of
+// uses per customer; customers are told apart by E.164 phone, or by
+// messenger contact when the phone is unknown.
+//
+// Bots apply a code to the cart (`cart_promos`) and the checkout carries it as
+// the order's `promoCode`; website orders carry the code typed in the shop.
+// A bot order's code is checked when the order is accepted and reserved for it
+// (a `promo_redemptions` row without KeyCRM order), so the discount promised
+// then is kept while the order waits in the outbox. The reservation is stored
+// with the outbox entry and released if the entry is dead-lettered, so a
+// replayed order has its code checked again. KeyCrmOrderService sends the
+// discount per line — checking the code itself for orders without a
+// reservation — and completes the redemption.
+import { DatabaseService } from './databaseService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { normalizePhone } from '../utils/phone.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED: 'FIXED',
+};
+
+export class PromoService {
+  // ---------------------------------------------------------------------------
+  // Check a code for an order of `subtotal` by a customer (phone and/or
+  // messenger contact). Returns the promo code row.
+  // Throws AppError 404 PROMO_NOT_FOUND, or 422 PROMO_INACTIVE, PROMO_EXPIRED,
+  // PROMO_MIN_ORDER (with `minOrderAmount`) or PROMO_USAGE_LIMIT.
+  // ---------------------------------------------------------------------------
+  async validate(code, { subtotal, phone = null, contactId = null, now = new Date() }) {
+    const promo = await this.findByCode(code);
+    if (!promo) {
+      throw new AppError(`Promo code ${normalizeCode(code)} does not exist`, 404, 'PROMO_NOT_FOUND');
+    }
+
+    if (!promo.isActive || (promo.validFrom && now < promo.validFrom)) {
+      throw new AppError(`Promo code ${promo.code} is not active`, 422, 'PROMO_INACTIVE');
+    }
+    if (promo.validUntil && now > promo.validUntil) {
+      throw new AppError(`Promo code ${promo.code} has expired`, 422, 'PROMO_EXPIRED');
+    }
+
+    const minOrderAmount = promo.minOrderAmount !== null ? Number(promo.minOrderAmount) : null;
+    if (minOrderAmount !== null && subtotal < minOrderAmount) {
+      throw Object.assign(
+        new AppError(`Promo code ${promo.code} needs an order of at least ${minOrderAmount.toFixed(2)} CHF`, 422, 'PROMO_MIN_ORDER'),
+        { minOrderAmount }
+      );
+    }
+
+    if (promo.usageLimitPerCustomer !== null) {
+      const used = await this.countRedemptions(promo.id, { phone, contactId });
+      if (used >= promo.usageLimitPerCustomer) {
+        throw new AppError(`Promo code ${promo.code} has already been used`, 422, 'PROMO_USAGE_LIMIT');
+      }
+    }
+
+    return promo;
+  }
+
+  findByCode(code) {
+    const normalized = normalizeCode(code);
+    return normalized
+      ? dbService.crmDb.promoCode.findUnique({ where: { code: normalized } })
+      : null;
+  }
+
+  // Times a customer has redeemed a promo code
+  countRedemptions(promoCodeId, { phone = null, contactId = null }) {
+    const e164 = normalizePhone(phone);
+    const customer = [
+      ...(e164 ? [{ phone: e164 }] : []),
+      ...(contactId ? [{ contactId: String(contactId) }] : []),
+    ];
+    if (customer.length === 0) return 0;
+
+    return dbService.crmDb.promoRedemption.count({
+      where: { promoCodeId, OR: customer },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Apply a code to a contact's cart. The cart must qualify now; it is checked
+  // again at checkout. Returns the cart promo (see getCartPromo).
+  // Throws the validate() errors and 400 CART_EMPTY.
+  // ---------------------------------------------------------------------------
+  async applyToCart(contactId, code, cart) {
+    if (cart.isEmpty) {
+      throw new AppError('Cart is empty', 400, 'CART_EMPTY');
+    }
+
+    const phone = await this._contactPhone(contactId);
+    const promo = await this.validate(code, { subtotal: cart.totalAmount, phone, contactId });
+
+    await dbService.crmDb.cartPromo.upsert({
+      where: { contactId },
+      create: { contactId, promoCodeId: promo.id },
+      update: { promoCodeId: promo.id },
+    });
+
+    logger.info('Promo code applied to cart', { contactId, code: promo.code });
+    return toCartPromo(promo, this.computeDiscount(promo, cart.items));
+  }
+
+  async removeFromCart(contactId) {
+    const { count } = await dbService.crmDb.cartPromo.deleteMany({ where: { contactId } });
+    return count > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Promo applied to a contact's cart, or null:
+  //   { code, description, discountType, discountValue, discountAmount,
+  //     valid, error, errorCode }
+  // A code that no longer qualifies stays on the cart with valid false and
+  // discountAmount 0, so the bot can tell the customer why.
+  // ---------------------------------------------------------------------------
+  async getCartPromo(contactId, cart) {
+    const cartPromo = await dbService.crmDb.cartPromo.findUnique({ where: { contactId } });
+    if (!cartPromo) return null;
+
+    const promo = await dbService.crmDb.promoCode.findUnique({ where: { id: cartPromo.promoCodeId } });
+    if (!promo) return null;
+
+    try {
+      await this.validate(promo.code, {
+        subtotal: cart.totalAmount,
+        phone: await this._contactPhone(contactId),
+        contactId,
+      });
+      return toCartPromo(promo, this.computeDiscount(promo, cart.items));
+    } catch (error) {
+      if (!error.code?.startsWith('PROMO_')) throw error;
+      return { ...toCartPromo(promo, { amount: 0 }), valid: false, error: error.message, errorCode: error.code };
+    }
+  }
+
+  /**
+   * Discount of a promo on order lines [{ price, quantity }] (any unit, as
+   * long as price × quantity is the line value). Amounts are rounded to
+   * cents; a FIXED discount never exceeds the lines' value and its rounding
+   * difference goes to the largest line.
+   * @returns {{ amount: number, lines: number[] }} total and per-line discount
+   */
+  computeDiscount(promo, lines) {
+    const values = lines.map(line => Number(line.price) * Number(line.quantity));
+    const subtotal = values.reduce((sum, value) => sum + value, 0);
+    const discountValue = Number(promo.discountValue);
+
+    let amounts;
+    if (promo.discountType === DISCOUNT_TYPES.PERCENTAGE) {
+      const percent = Math.min(discountValue, 100);
+      amounts = values.map(value => roundMoney(value * percent / 100));
+    } else {
+      const total = roundMoney(Math.min(discountValue, subtotal));
+      amounts = values.map(value => (subtotal > 0 ? roundMoney(total * value / subtotal) : 0));
+
+      const difference = roundMoney(total - amounts.reduce((sum, amount) => sum + amount, 0));
+      if (difference !== 0 && amounts.length > 0) {
+        const largest = values.indexOf(Math.max(...values));
+        amounts[largest] = roundMoney(amounts[largest] + difference);
+      }
+    }
+
+    return { amount: roundMoney(amounts.reduce((sum, amount) => sum + amount, 0)), lines: amounts };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Check the promo code of an order being accepted, with its lines
+  // [{ price, quantity }] at live prices. Returns null without a code, else
+  // { promo, code, discountAmount, phone }.
+  // Throws the validate() errors.
+  // ---------------------------------------------------------------------------
+  async checkOrderPromo(order, lines) {
+    if (!order.promoCode) return null;
+
+    const phone = normalizePhone(order.customer.phone) ||
+      (order.contactId ? await this._contactPhone(order.contactId) : null);
+    const subtotal = lines.reduce((sum, line) => sum + Number(line.price) * Number(line.quantity), 0);
+    const promo = await this.validate(order.promoCode, { subtotal, phone, contactId: order.contactId });
+
+    return { promo, code: promo.code, discountAmount: this.computeDiscount(promo, lines).amount, phone };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reserve a checked promo code (see checkOrderPromo) for an accepted order.
+  // The reservation counts against the usage limit at once and is honoured
+  // when the order is submitted, even if the code has stopped qualifying.
+  // Pass a transaction client as `db` to store it with the order.
+  // ---------------------------------------------------------------------------
+  async reserve(checked, order, db = dbService.crmDb) {
+    await db.promoRedemption.upsert({
+      where: { promoCodeId_botOrderId: { promoCodeId: checked.promo.id, botOrderId: order.botOrderId } },
+      create: {
+        promoCodeId: checked.promo.id,
+        botOrderId: order.botOrderId,
+        contactId: order.contactId || null,
+        phone: checked.phone,
+        discountAmount: checked.discountAmount,
+      },
+      update: {},
+    });
+
+    logger.info('Promo code reserved for order', { code: checked.code, botOrderId: order.botOrderId });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drop the reservation of an order that will not reach KeyCRM, giving the
+  // customer the use back. Completed redemptions are kept. Never throws.
+  // ---------------------------------------------------------------------------
+  async releaseReservation(botOrderId) {
+    try {
+      const { count } = await dbService.crmDb.promoRedemption.deleteMany({
+        where: { botOrderId, keycrmOrderId: null },
+      });
+
+      if (count > 0) {
+        logger.info('Promo reservation released', { botOrderId });
+      }
+      return count;
+    } catch (error) {
+      logger.error('Failed to release promo reservation', { botOrderId, error: error.message });
+      return 0;
+    }
+  }
+
+  // Promo code reserved for an order when it was accepted, or null
+  async findReserved(botOrderId) {
+    const redemption = await dbService.crmDb.promoRedemption.findFirst({ where: { botOrderId } });
+    return redemption
+      ? dbService.crmDb.promoCode.findUnique({ where: { id: redemption.promoCodeId } })
+      : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Record that an order used a promo code, completing its reservation if it
+  // has one. Never throws — the order already exists in KeyCRM.
+  // ---------------------------------------------------------------------------
+  async recordRedemption(promo, order, { phone = null, discountAmount, keycrmOrderId = null }) {
+    try {
+      await dbService.crmDb.promoRedemption.upsert({
+        where: { promoCodeId_botOrderId: { promoCodeId: promo.id, botOrderId: order.botOrderId } },
+        create: {
+          promoCodeId: promo.id,
+          botOrderId: order.botOrderId,
+          contactId: order.contactId || null,
+          phone: normalizePhone(phone),
+          discountAmount,
+          keycrmOrderId,
+        },
+        update: { discountAmount, keycrmOrderId },
+      });
+
+      logger.info('Promo code redeemed', {
+        code: promo.code,
+        botOrderId: order.botOrderId,
+        discountAmount,
+      });
+    } catch (error) {
+      logger.error('Failed to record promo redemption', {
+        code: promo.code,
+        botOrderId: order.botOrderId,
+        error: error.message,
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Admin management
+  // ---------------------------------------------------------------------------
+  async list({ includeInactive = false } = {}) {
+    const promos = await dbService.crmDb.promoCode.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const counts = await dbService.crmDb.promoRedemption.groupBy({
+      by: ['promoCodeId'],
+      where: { promoCodeId: { in: promos.map(promo => promo.id) } },
+      _count: { _all: true },
+    });
+    const countById = new Map(counts.map(entry => [entry.promoCodeId, entry._count._all]));
+
+    return promos.map(promo => ({ ...toPublic(promo), redemptions: countById.get(promo.id) || 0 }));
+  }
+
+  async getById(id) {
+    const promo = await dbService.crmDb.promoCode.findUnique({ where: { id } });
+
+    if (!promo) {
+      throw new AppError(`Promo code ${id} not found`, 404, 'PROMO_NOT_FOUND');
+    }
+
+    return toPublic(promo);
+  }
+
+  // Throws AppError 400 INVALID_PROMO when the fields don't fit together
+  async create(input) {
+    assertValidPromo(input);
+    const promo = await dbService.crmDb.promoCode.create({ data: toRowData(input) });
+
+    logger.info('Promo code created', { promoCodeId: promo.id, code: promo.code });
+    return toPublic(promo);
+  }
+
+  async update(id, input) {
+    assertValidPromo({ ...(await this.getById(id)), ...input });
+
+    const promo = await dbService.crmDb.promoCode.update({ where: { id }, data: toRowData(input) });
+
+    logger.info('Promo code updated', { promoCodeId: id, fields: Object.keys(input) });
+    return toPublic(promo);
+  }
+
+  // Soft delete — redemptions keep pointing at the code
+  async deactivate(id) {
+    return this.update(id, { isActive: false });
+  }
+
+  async _contactPhone(contactId) {
+    const mapping = await dbService.crmDb.customerMapping.findFirst({
+      where: { sendpulseId: String(contactId) },
+      orderBy: { updatedAt: 'desc' },
+    });
+    return mapping?.phone || null;
+  }
+}
+
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function assertValidPromo(promo) {
+  let problem = null;
+
+  if (promo.discountType === DISCOUNT_TYPES.PERCENTAGE && Number(promo.discountValue) > 100) {
+    problem = 'a percentage discount can be at most 100';
+  } else if (promo.validFrom && promo.validUntil && new Date(promo.validFrom) >= new Date(promo.validUntil)) {
+    problem = 'validUntil must be after validFrom';
+  }
+
+  if (problem) {
+    throw new AppError(`Invalid promo code: ${problem}`, 400, 'INVALID_PROMO');
+  }
+}
+
+function toCartPromo(promo, discount) {
+  return {
+    code: promo.code,
+    description: promo.description,
+    discountType: promo.discountType,
+    discountValue: Number(promo.discountValue),
+    discountAmount: discount.amount,
+    valid: true,
+  };
+}
+
+function toPublic(promo) {
+  return {
+    ...promo,
+    discountValue: Number(promo.discountValue),
+    minOrderAmount: promo.minOrderAmount !== null ? Number(promo.minOrderAmount) : null,
+  };
+}
+
+function toRowData(input) {
+  return {
+    ...input,
+    ...(input.code !== undefined && { code: normalizeCode(input.code) }),
+  };
+}
+
+// Shared singleton instance
+export const promoService = new PromoService();
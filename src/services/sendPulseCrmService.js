@@ -586,7 +586,7 @@ export class SendPulseCRMService {
 
   /**
    * Set variable for bot contact
-   * @param {string} botType - Bot type: 'telegram', 'whatsapp', 'messenger'
+   * @param {string} botType - Bot type: 'telegram', 'whatsapp', 'messenger', 'instagram'
    * @param {string} contactId - Bot contact ID (from webhook)
    * @param {Object} variables - Variables to set: { variable_name: value }
    * @returns {Promise<Object>}
@@ -600,7 +600,7 @@ export class SendPulseCRMService {
       });
 
       // Validate bot type
-      const validBotTypes = ['telegram', 'whatsapp', 'messenger'];
+      const validBotTypes = ['telegram', 'whatsapp', 'messenger', 'instagram'];
       if (!validBotTypes.includes(botType)) {
         throw new Error(`Invalid bot type: ${botType}. Must be one of: ${validBotTypes.join(', ')}`);
       }
@@ -609,11 +609,15 @@ export class SendPulseCRMService {
       const botApiUrls = {
         telegram: 'https://api.sendpulse.com/telegram',
         whatsapp: 'https://api.sendpulse.com/whatsapp',
-        messenger: 'https://api.sendpulse.com/fb'
+        messenger: 'https://api.sendpulse.com/fb',
+        instagram: 'https://api.sendpulse.com/instagram'
       };
 
       const baseUrl = botApiUrls[botType];
 
+      // Bot API calls bypass this.client, so refresh the token explicitly
+      await this.ensureValidToken();
+
       // Prepare variables array for API
       const variablesArray = Object.entries(variables).map(([name, value]) => ({
         variable_name: name,
@@ -663,6 +667,136 @@ export class SendPulseCRMService {
     }
   }
 
+  /**
+   * Send a text message to a bot contact
+   * @param {string} botType - Bot type: 'telegram', 'whatsapp'
+   * @param {string} contactId - Bot contact ID
+   * @param {string} text - Message text
+   * @returns {Promise<Object>}
+   */
+  async sendBotMessage(botType, contactId, text) {
+    try {
+      // WhatsApp wraps the text in an object, Telegram takes it as is
+      const requests = {
+        telegram: {
+          url: 'https://api.sendpulse.com/telegram/contacts/send',
+          message: { type: 'text', text }
+        },
+        whatsapp: {
+          url: 'https://api.sendpulse.com/whatsapp/contacts/send',
+          message: { type: 'text', text: { body: text } }
+        }
+      };
+
+      const request = requests[botType];
+      if (!request) {
+        throw new Error(`Sending messages is not supported for bot type: ${botType}`);
+      }
+
+      await this.ensureValidToken();
+
+      const response = await axios.post(
+        request.url,
+        {
+          contact_id: contactId,
+          message: request.message
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      logger.info('Bot message sent successfully', { botType, contactId });
+
+      return {
+        success: true,
+        data: response.data
+      };
+
+    } catch (error) {
+      logger.error('Failed to send bot message', {
+        error: error.message,
+        response: error.response?.data,
+        botType,
+        contactId
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        details: error.response?.data
+      };
+    }
+  }
+
+  /**
+   * Start a bot flow for a contact
+   * @param {string} botType - Bot type: 'telegram', 'whatsapp', 'messenger', 'instagram'
+   * @param {string} contactId - Bot contact ID
+   * @param {string} flowId - Flow ID from the SendPulse bot builder
+   * @param {Object} externalData - Values available to the flow as {{external_data}}
+   * @returns {Promise<Object>}
+   */
+  async runBotFlow(botType, contactId, flowId, externalData = {}) {
+    try {
+      const botApiUrls = {
+        telegram: 'https://api.sendpulse.com/telegram',
+        whatsapp: 'https://api.sendpulse.com/whatsapp',
+        messenger: 'https://api.sendpulse.com/fb',
+        instagram: 'https://api.sendpulse.com/instagram'
+      };
+
+      const baseUrl = botApiUrls[botType];
+      if (!baseUrl) {
+        throw new Error(`Invalid bot type: ${botType}`);
+      }
+
+      await this.ensureValidToken();
+
+      const response = await axios.post(
+        `${baseUrl}/flows/run`,
+        {
+          contact_id: contactId,
+          flow_id: flowId,
+          external_data: externalData
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      logger.info('Bot flow started', { botType, contactId, flowId });
+
+      return {
+        success: true,
+        data: response.data
+      };
+
+    } catch (error) {
+      logger.error('Failed to start bot flow', {
+        error: error.message,
+        response: error.response?.data,
+        botType,
+        contactId,
+        flowId
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        details: error.response?.data
+      };
+    }
+  }
+
   /**
    * Delete variable from bot contact
    * @param {string} botType - Bot type: 'telegram', 'whatsapp', 'messenger'
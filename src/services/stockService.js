@@ -0,0 +1,171 @@
+// Stock Service — availability of products from the KeyCRM stock in the product snapshot
+//
+// Stock is read from `available_quantity` (offer stock minus reserve, see
+// ProductSnapshotService; the variant's own for mappings with an offer) and
+// converted to cart units. Requests above the available quantity are handled
+// per STOCK_CHECK_MODE:
+//   reject  (default) refuse with 409 INSUFFICIENT_STOCK
+//   flag    accept, log and report the shortage
+//   off     no checks
+// Products whose stock KeyCRM doesn't track are always available.
+import { DatabaseService } from './databaseService.js';
+import { productSnapshotService, productForMapping } from './productSnapshotService.js';
+import { getProductUnit, fromKeycrmQuantity } from '../config/productUnits.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const dbService = new DatabaseService();
+
+export const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW_STOCK: 'low_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+  UNKNOWN: 'unknown',
+};
+
+const STOCK_CHECK_MODES = ['reject', 'flag', 'off'];
+
+export class StockService {
+  get mode() {
+    const mode = process.env.STOCK_CHECK_MODE || 'reject';
+    return STOCK_CHECK_MODES.includes(mode) ? mode : 'reject';
+  }
+
+  // At or below this many cart units a product shows as low_stock
+  get lowStockThreshold() {
+    return Number(process.env.LOW_STOCK_THRESHOLD) || 3;
+  }
+
+  /**
+   * Availability of a KeyCRM product (snapshot shape) in cart units.
+   * @param {Object} product - from ProductSnapshotService
+   * @param {Object} unit - from getProductUnit()
+   * @param {number} [requested] - cart quantity wanted
+   * @returns {{ status: string, available: number|null, sufficient: boolean }}
+   */
+  availabilityOf(product, unit, requested = 0) {
+    const stock = product.available_quantity ?? null;
+
+    if (stock === null) {
+      return { status: STOCK_STATUS.UNKNOWN, available: null, sufficient: true };
+    }
+
+    const available = Math.max(fromKeycrmQuantity(unit, stock), 0);
+    let status = STOCK_STATUS.IN_STOCK;
+    if (available === 0) {
+      status = STOCK_STATUS.OUT_OF_STOCK;
+    } else if (available <= this.lowStockThreshold) {
+      status = STOCK_STATUS.LOW_STOCK;
+    }
+
+    return { status, available, sufficient: requested <= available };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Availability of cart or order lines [{ productId, quantity }], as a Map
+  // productId → { status, available, sufficient }. Reads the snapshot as is
+  // (no KeyCRM calls); unmapped products are reported as unknown.
+  // ---------------------------------------------------------------------------
+  async getAvailability(items) {
+    const productIds = [...new Set(items.map(item => Number(item.productId)))];
+    const mappings = await dbService.crmDb.productMapping.findMany({
+      where: { ecommerceId: { in: productIds }, keycrmId: { not: null } }
+    });
+    const products = await productSnapshotService.listByIds(mappings.map(mapping => mapping.keycrmId));
+    const mappingById = new Map(mappings.map(mapping => [mapping.ecommerceId, mapping]));
+
+    const requested = new Map();
+    for (const item of items) {
+      const productId = Number(item.productId);
+      requested.set(productId, (requested.get(productId) || 0) + item.quantity);
+    }
+
+    return new Map(productIds.map(productId => {
+      const mapping = mappingById.get(productId);
+      const product = mapping && products.get(mapping.keycrmId);
+      const availability = product
+        ? this._mappedAvailability(product, mapping, requested.get(productId))
+        : { status: STOCK_STATUS.UNKNOWN, available: null, sufficient: true };
+
+      return [productId, availability];
+    }));
+  }
+
+  // Availability under a mapping; unknown when its variant can't be determined
+  _mappedAvailability(product, mapping, requested) {
+    try {
+      return this.availabilityOf(productForMapping(product, mapping), getProductUnit(mapping), requested);
+    } catch (error) {
+      if (error.code !== 'PRODUCT_NOT_MAPPED') throw error;
+      return { status: STOCK_STATUS.UNKNOWN, available: null, sufficient: true };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Check order items (canonical) against stock before they are accepted.
+  // Items are looked up by ecommerce product ID or SKU, and lines of the same
+  // product are checked together. Stock is that of the last snapshot refresh
+  // with offers (`stock_fetched_at`): usually within the snapshot job's
+  // interval, older while KeyCRM offers can't be fetched. Returns the
+  // shortages [{ productId, sku, name, requested, available }] (empty when
+  // mode is off); in reject mode throws AppError 409 INSUFFICIENT_STOCK with
+  // `shortages`.
+  // ---------------------------------------------------------------------------
+  async assertAvailable(items, context = {}) {
+    if (this.mode === 'off') return [];
+
+    // Requested quantity per mapping
+    const requests = new Map();
+    for (const item of items) {
+      const mapping = item.productId
+        ? await dbService.crmDb.productMapping.findUnique({ where: { ecommerceId: item.productId } })
+        : await dbService.crmDb.productMapping.findFirst({ where: { keycrmSku: item.sku } });
+      // Unmapped products are reported by the KeyCRM mapper
+      if (!mapping?.keycrmId) continue;
+
+      const request = requests.get(mapping.id) || { mapping, item, quantity: 0 };
+      request.quantity += item.quantity;
+      requests.set(mapping.id, request);
+    }
+
+    const shortages = [];
+    for (const { mapping, item, quantity } of requests.values()) {
+      const product = await productSnapshotService.getForMapping(mapping);
+      const availability = this.availabilityOf(product, getProductUnit(mapping), quantity);
+
+      if (!availability.sufficient) {
+        shortages.push({
+          productId: item.productId ?? mapping.ecommerceId,
+          sku: mapping.keycrmSku || item.sku || null,
+          name: mapping.name,
+          requested: quantity,
+          available: availability.available,
+        });
+      }
+    }
+
+    return this.enforce(shortages, context);
+  }
+
+  /**
+   * Apply STOCK_CHECK_MODE to shortages: throw (reject) or log (flag).
+   * @returns {Array} the shortages
+   */
+  enforce(shortages, context = {}) {
+    if (shortages.length === 0 || this.mode === 'off') return shortages;
+
+    if (this.mode === 'reject') {
+      const list = shortages.map(shortage => `${shortage.name}: ${shortage.available} available`).join('; ');
+      throw Object.assign(
+        new AppError(`Not enough stock — ${list}`, 409, 'INSUFFICIENT_STOCK'),
+        { shortages }
+      );
+    }
+
+    logger.warn('Requested quantity exceeds stock', { ...context, shortages });
+    return shortages;
+  }
+}
+
+// Shared singleton instance
+export const stockService = new StockService();
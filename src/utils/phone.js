@@ -0,0 +1,76 @@
+// Phone number normalization to E.164 (+41791234567)
+//
+// Customers type numbers in every format ("079 123 45 67", "0041 79 123 45 67",
+// "41791234567"). National numbers (leading 0) and bare subscriber numbers get
+// the default country's calling code, PHONE_DEFAULT_COUNTRY (default CH).
+
+// Calling code and national significant number length (without trunk 0)
+const COUNTRIES = {
+  CH: { code: '41', length: 9 },
+  FR: { code: '33', length: 9 },
+  DE: { code: '49', length: null },
+  IT: { code: '39', length: null },
+  AT: { code: '43', length: null },
+  UA: { code: '380', length: 9 },
+};
+
+export function getDefaultPhoneCountry() {
+  const country = (process.env.PHONE_DEFAULT_COUNTRY || 'CH').toUpperCase();
+  return COUNTRIES[country] ? country : 'CH';
+}
+
+/**
+ * Normalize a phone number to E.164.
+ * @param {string|number} value - phone as typed / sent by the bot
+ * @param {string} [country] - default country for national numbers (ISO 3166 alpha-2)
+ * @returns {string|null} '+41791234567', or null when it can't be a phone number
+ */
+export function normalizePhone(value, country = getDefaultPhoneCountry()) {
+  if (value === null || value === undefined) return null;
+
+  const raw = String(value).trim();
+  if (/[a-z]/i.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  const defaults = COUNTRIES[country] || COUNTRIES.CH;
+
+  if (raw.startsWith('+')) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = defaults.code + digits.slice(1);
+  } else if (defaults.length && digits.length === defaults.length) {
+    // Subscriber number without trunk prefix, e.g. "791234567"
+    digits = defaults.code + digits;
+  }
+  // Anything else is taken as international without '+' (SendPulse sends "41791234567")
+
+  // E.164: at most 15 digits; shorter than 8 can't be a mobile number
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+    return null;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Spellings under which a number may already be stored in KeyCRM: E.164,
+ * without '+', and for the default country the national form and the
+ * '+' + national form earlier versions produced ("+0791234567").
+ */
+export function phoneVariants(value) {
+  const e164 = normalizePhone(value);
+  if (!e164) {
+    return value ? [String(value)] : [];
+  }
+
+  const variants = [e164, e164.slice(1)];
+  const { code } = COUNTRIES[getDefaultPhoneCountry()];
+  if (e164.startsWith(`+${code}`)) {
+    const national = `0${e164.slice(code.length + 1)}`;
+    variants.push(`+${national}`, national);
+  }
+
+  return variants;
+}